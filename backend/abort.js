@@ -0,0 +1,64 @@
+/**
+ * Cancellation helpers
+ * Chat requests carry an AbortSignal that fires when the client disconnects;
+ * it is combined with per-stage timeouts and passed to every LLM and Google call.
+ */
+
+/**
+ * Combine signals into one that aborts when any of them does
+ * @param {...(AbortSignal|null|undefined)} signals - Signals to combine; empty values are skipped
+ * @returns {AbortSignal|undefined}
+ */
+export function linkSignals(...signals) {
+  const active = signals.filter(Boolean);
+  if (active.length <= 1) return active[0];
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any(active);
+
+  // Node < 18.17
+  const controller = new AbortController();
+  for (const signal of active) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+/**
+ * Check whether an error comes from an aborted fetch or axios request
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError' ||
+    error?.name === 'TimeoutError' ||
+    error?.name === 'CanceledError' ||
+    error?.code === 'ERR_CANCELED';
+}
+
+/**
+ * Wait for a delay, rejecting early when the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancels the wait (optional)
+ */
+export function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    let timer;
+    const abort = () => {
+      clearTimeout(timer);
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    // Already aborted: the 'abort' event has fired and won't fire again
+    if (signal?.aborted) return abort();
+    if (!ms) return resolve();
+
+    timer = setTimeout(() => {
+      // One wait per retry - don't leave a listener behind on a long-lived signal
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
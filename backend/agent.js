@@ -1,224 +1,1193 @@
 import "dotenv/config";
 import { Client } from "@googlemaps/google-maps-services-js";
-import { searchPlaces } from "./maps/places.js";
+import {
+  searchPlaces,
+  searchNearby,
+  getPlaceDetails,
+  reverseGeocode,
+  calculateDistance,
+  formatDistance
+} from "./maps/places.js";
+import { getDirections, buildNavigationUrl } from "./maps/directions.js";
+import {
+  normalizeHistory,
+  getLastPlaces,
+  getLastCursor,
+  resolvePlaceReference,
+  isMostlyReference,
+  describePlaces,
+  toLLMMessages
+} from "./chat/conversation.js";
+import { TOOL_DEFINITIONS, executeTool, parseToolArguments } from "./chat/tools.js";
+import { classifyByRules, normalizeRoute, detectTravelMode, isCategory, ordinalPlace } from "./chat/router.js";
+import {
+  PLACE_ATTRIBUTES,
+  EXTRACTION_SCHEMA,
+  normalizeConstraints,
+  needsDetails,
+  enrichWithDetails,
+  applyConstraints,
+  placeLocalTime
+} from "./chat/constraints.js";
+import { validateSchema } from "./chat/schema.js";
+import { resolveSearchArea, wantsNearest } from "./chat/area.js";
+import { findPickedPlace, locateNamedPlace } from "./chat/picked.js";
+import { createCursor, fetchNextPage } from "./chat/pages.js";
+import { normalizeProfile, preferenceConstraints, preferencesNeedDetails, applyPreferences, describePreferences } from "./chat/profile.js";
+import { checkGrounding } from "./chat/grounding.js";
+import { resolveLanguage, languageInstruction, LANGUAGE_NAMES } from "./chat/language.js";
+import {
+  renderPlacesAnswer,
+  renderPlaceDetailsAnswer,
+  renderDirectionsAnswer,
+  renderDistanceAnswer,
+  renderAddressAnswer,
+  renderItineraryAnswer,
+  renderComparisonAnswer,
+  renderReviewSummaryAnswer,
+  CONVERSATION_TEMPLATE
+} from "./chat/template.js";
+import { planItinerary } from "./chat/itinerary.js";
+import { comparePlaces, MAX_COMPARE_PLACES, SERVICE_OPTIONS } from "./chat/compare.js";
+import { getReviewSummary } from "./chat/reviews.js";
+import { getProvider, withModel, LLMError, ToolsUnsupportedError } from "./llm/index.js";
+import { renderPrompt } from "./prompts/index.js";
+import { linkSignals, isAbortError } from "./abort.js";
 
 const googleClient = new Client({});
 
-// Ollama configuration - using native API endpoint
-const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || "http://localhost:11434";
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "phi3:mini";
+// "pipeline" (extract -> search -> answer), "tools" (model-driven tool calls)
+// or "template" (no LLM: rule routing, raw query search, templated answers).
+// Tool calling needs a model that supports it, e.g. llama3.1 or qwen2.5.
+const AGENT_MODE = process.env.AGENT_MODE || "pipeline";
+const MAX_AGENT_STEPS = parseInt(process.env.MAX_AGENT_STEPS || "5");
 
-// System prompt for JSON extraction (like llm-map)
-const EXTRACTION_PROMPT = `Extract location search information from user queries. Return ONLY a valid JSON object with these exact fields:
+// Checking answers against the places they describe: "annotate" flags
+// unverified names, ratings and distances; "strict" holds the answer back
+// and sends a templated one instead when anything can't be verified; "off".
+const GROUNDING_MODE = process.env.GROUNDING_MODE || "annotate";
 
-{
-  "query": "what the user is looking for (e.g., 'coffee shop', 'restaurant', 'hospital')",
-  "location": "where to search (e.g., 'Taipei 101', 'downtown', 'near me')",
-  "formatted_query": "query + ' in ' + location for Google Places API (or just query if location is 'near me')"
+// Whole extraction budget, including one retry on malformed output
+const EXTRACTION_TIMEOUT_MS = 5000;
+const CLASSIFICATION_TIMEOUT_MS = 3000;
+// Time allowed before the answer model produces its first token
+const FIRST_TOKEN_TIMEOUT_MS = 10000;
+// Time allowed for each tool-calling step, which isn't streamed
+const AGENT_STEP_TIMEOUT_MS = 30000;
+const EXTRACTION_ATTEMPTS = 2;
+
+/**
+ * Render a prompt template for this request and record which one was used
+ * Every template can use language, language_instruction and user_location.
+ * @param {Object} ctx - Request context
+ * @param {string} id - Template id (see prompts/)
+ * @param {Object} vars - Template-specific variables
+ * @param {LLMProvider} llm - Model the prompt is for (default: the response model)
+ */
+function usePrompt(ctx, id, vars = {}, llm = ctx.llm) {
+  const prompt = renderPrompt(id, {
+    language: LANGUAGE_NAMES[ctx.language] || ctx.language,
+    language_instruction: languageInstruction(ctx.language),
+    user_location: ctx.userLocation ? toLatLngString(ctx.userLocation) : "unknown",
+    ...vars
+  }, { model: llm?.model });
+  ctx.prompts.push({ id: prompt.id, version: prompt.version, variant: prompt.variant });
+  return prompt;
 }
 
-Examples:
-User: "find a coffee shop near Taipei 101"
-Response: {"query": "coffee shop", "location": "Taipei 101", "formatted_query": "coffee shop in Taipei 101"}
+/**
+ * Extract location intent from user query using LLM with JSON output
+ * Exported for the evaluation harness (eval/run.js).
+ * @param {Object} ctx - Request context (extractionLlm, userQuery, history)
+ * @param {AbortSignal} signal - Cancels the LLM call (optional)
+ * @returns {Promise<Object|null>} Validated extraction, or null when the LLM failed
+ */
+export async function extractLocationIntent(ctx, signal) {
+  const { extractionLlm: llm, userQuery, history } = ctx;
+  const prompt = usePrompt(ctx, "extraction", { attributes: Object.keys(PLACE_ATTRIBUTES).join(", ") }, llm);
+  const messages = [
+    { role: "system", content: prompt.text },
+    ...history,
+    { role: "user", content: userQuery }
+  ];
 
-User: "good beef noodles around here"
-Response: {"query": "beef noodles", "location": "near me", "formatted_query": "beef noodles"}
+  for (let attempt = 1; attempt <= EXTRACTION_ATTEMPTS; attempt++) {
+    let content = "";
+    try {
+      ({ content } = await llm.chat({
+        purpose: "extraction",
+        messages,
+        json: true,
+        maxTokens: 150, // Limit output length
+        signal
+      }));
 
-User: "gas stations nearby"
-Response: {"query": "gas station", "location": "near me", "formatted_query": "gas station"}
+      if (!content) {
+        throw new Error("Empty response from LLM");
+      }
 
-User: "restaurants in San Francisco"
-Response: {"query": "restaurant", "location": "San Francisco", "formatted_query": "restaurant in San Francisco"}
+      // Parse and validate JSON response
+      const extracted = JSON.parse(content);
+      const errors = validateSchema(extracted, EXTRACTION_SCHEMA);
+      if (errors.length > 0) {
+        throw new Error(`Schema validation failed: ${errors.join("; ")}`);
+      }
 
-Return ONLY the JSON object, no other text.`;
+      if (!extracted.formatted_query) {
+        extracted.formatted_query = extracted.query;
+      }
+
+      console.log(`[LLM] Extracted:`, extracted);
+      return extracted;
+
+    } catch (error) {
+      console.error(`[LLM] Extraction error (attempt ${attempt}/${EXTRACTION_ATTEMPTS}):`, error.message);
+      if (isAbortError(error) || !content) break;
+
+      // Show the model its output and what was wrong with it
+      messages.push(
+        { role: "assistant", content },
+        { role: "user", content: `That was not valid: ${error.message}. Return ONLY the corrected JSON object.` }
+      );
+    }
+  }
+
+  return null;
+}
 
 /**
- * Extract location intent from user query using LLM with JSON output
+ * Fallback extraction: treat the entire query as the search
+ */
+function rawQueryExtraction(userQuery) {
+  return {
+    query: userQuery,
+    location: "near me",
+    formatted_query: userQuery
+  };
+}
+
+/**
+ * Classify the user message into a route (search, directions, details, ...)
+ * Rules handle obvious phrasings; the LLM (when there is one) classifies the rest.
+ * @param {Object} ctx - Request context (extractionLlm, userQuery, history, signal)
  */
-async function extractLocationIntent(userQuery) {
+async function classifyIntent(ctx) {
+  const { extractionLlm: llm, userQuery, history, signal } = ctx;
+  const ruled = classifyByRules(userQuery);
+  if (ruled) {
+    const route = normalizeRoute(ruled);
+    console.log(`[ROUTER] Rules:`, route);
+    return route;
+  }
+
+  if (!llm) return { intent: "search" };
+
   try {
-    const response = await fetch(`${OLLAMA_BASE_URL}/api/chat`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: OLLAMA_MODEL,
-        messages: [
-          { role: "system", content: EXTRACTION_PROMPT },
-          { role: "user", content: userQuery }
-        ],
-        stream: false,
-        format: "json",
-        options: { num_predict: 50 } // Limit output length
-      })
+    const { content } = await llm.chat({
+      purpose: "router",
+      messages: [
+        { role: "system", content: usePrompt(ctx, "router", {}, llm).text },
+        ...history,
+        { role: "user", content: userQuery }
+      ],
+      json: true,
+      maxTokens: 60,
+      signal: linkSignals(signal, AbortSignal.timeout(CLASSIFICATION_TIMEOUT_MS))
     });
 
-    if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.status}`);
-    }
+    const route = normalizeRoute(JSON.parse(content || "{}"));
+    console.log(`[ROUTER] LLM:`, route);
+    return route;
+
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error(`[ROUTER] Classification error:`, error.message);
+    return { intent: "search" };
+  }
+}
 
-    const result = await response.json();
-    const content = result.message?.content;
+// Places listed in the answer context, each citable as [n]
+const MAX_CITED_PLACES = 5;
 
-    if (!content) {
-      throw new Error("Empty response from LLM");
-    }
+// "the one at Taipei 101" - same name as the first place, another branch
+const OTHER_BRANCH = /^the (?:one|branch|location|shop|store|restaurant)\s+(?:at|in|near|on|by)\s+(.+)$/i;
 
-    // Parse JSON response
-    const extracted = JSON.parse(content);
+// "what do people say about it" - the one place on screen
+const SAME_PLACE = /^(it|this|that|there|this place|that place|this one|that one)$/i;
 
-    // Validate required fields
-    if (!extracted.query) {
-      extracted.query = userQuery;
-    }
-    if (!extracted.formatted_query) {
-      extracted.formatted_query = extracted.query;
-    }
+/**
+ * Build the places context appended to the user message
+ * @param {Array} places - Places to summarize
+ * @param {Object} notes - What shaped the results (all optional)
+ * @param {string[]} notes.filters - Descriptions of the constraints applied
+ * @param {string} notes.preferences - How the saved preferences were applied
+ * @param {Object} notes.anchor - Point distances are measured from {name, rank_by}
+ * @param {number} notes.unchecked - Results left out because their details weren't looked up
+ */
+function buildPlacesContext(places, { filters = [], preferences = null, anchor = null, unchecked = 0 } = {}) {
+  const filterNote = filters.length > 0 ? ` matching: ${filters.join(", ")}` : "";
+  const notes = [
+    anchor?.name && `Distances are from ${anchor.name}.`,
+    anchor?.rank_by === "distance" && "Listed nearest first.",
+    preferences && `Saved preferences: ${preferences}.`,
+    unchecked > 0 && `${unchecked} more results were not checked against the filters.`,
+  ].filter(Boolean).join("\n");
 
-    console.log(`[LLM] Extracted:`, extracted);
-    return extracted;
+  if (!places || places.length === 0) {
+    return `\n\nNo places found${filterNote}.${notes ? `\n${notes}` : ""}`;
+  }
 
-  } catch (error) {
-    console.error(`[LLM] Extraction error:`, error.message);
+  let context = `\n\nFound ${places.length} place${places.length > 1 ? 's' : ''}${filterNote}:\n`;
+  places.slice(0, MAX_CITED_PLACES).forEach((p, i) => {
+    context += `[${i + 1}] ${p.name} - ${p.rating || "N/A"}★${p.distance_text ? ` (${p.distance_text} away)` : ""}\n`;
+  });
+  return context + notes;
+}
 
-    // Fallback: treat entire query as the search
-    return {
-      query: userQuery,
-      location: "near me",
-      formatted_query: userQuery
-    };
+/**
+ * Citation markers for the places given to the model: [n] -> place_id
+ * Numbers follow the order of the places event, so they match the cards.
+ */
+function buildCitations(places) {
+  return places.slice(0, MAX_CITED_PLACES)
+    .map((p, i) => ({ n: i + 1, place_id: p.place_id }))
+    .filter(citation => citation.place_id);
+}
+
+/**
+ * Build the context for a follow-up about one place from the previous list
+ */
+function buildPlaceDetailsContext(place) {
+  const lines = [`\n\nThe user is asking about this place:\n${describePlaces([place])}`];
+  if (place.opening_hours?.weekday_text) {
+    lines.push(`Hours: ${place.opening_hours.weekday_text.join("; ")}`);
   }
+  if (place.phone) lines.push(`Phone: ${place.phone}`);
+  if (place.website) lines.push(`Website: ${place.website}`);
+  if (place.editorial_summary) lines.push(`Summary: ${place.editorial_summary}`);
+  return lines.join("\n");
 }
 
-// System prompt for generating final response
-const CHAT_PROMPT = `You are a helpful assistant for finding places. Format your response as a markdown list with bullet points. Keep responses brief and helpful.`;
+/**
+ * Build the context for a directions answer
+ */
+function buildDirectionsContext(directions) {
+  const steps = directions.legs[0].steps
+    .slice(0, 8)
+    .map((step, i) => `${i + 1}. ${step.instruction} (${step.distance.text})`)
+    .join("\n");
+  return `\n\nRoute from ${directions.origin} to ${directions.destination} by ${directions.mode}: ${directions.distance}, ${directions.duration}.\nSteps:\n${steps}`;
+}
+
+/**
+ * Build the context for an itinerary answer
+ */
+function buildItineraryContext(itinerary) {
+  const lines = [`\n\nPlanned itinerary${itinerary.area ? ` around ${itinerary.area}` : ""} (${itinerary.mode}):`];
+  itinerary.stops.forEach((stop, i) => {
+    if (!stop.place) {
+      lines.push(`Stop ${i + 1} (${stop.query}): nothing found`);
+      return;
+    }
+    lines.push(`Stop ${i + 1} (${stop.query}): ${stop.place.name} - ${stop.place.rating || "N/A"}★, ${stop.place.formatted_address || stop.place.vicinity || ""}`);
+    const leg = itinerary.legs.find(l => l.from === i);
+    if (leg?.duration) lines.push(`  Travel to next stop: ${leg.duration} (${leg.distance})`);
+  });
+  if (itinerary.total_duration) lines.push(`Total travel time: ${itinerary.total_duration}`);
+  return lines.join("\n");
+}
+
+/**
+ * Build the context for a comparison answer
+ */
+function buildComparisonContext(comparison, now = new Date()) {
+  const lines = [`\n\nComparing ${comparison.places.length} places:`];
+  comparison.places.forEach(place => {
+    const facts = [
+      place.rating ? `${place.rating}★ from ${place.user_ratings_total || 0} reviews` : "no rating",
+      place.price_level ? "$".repeat(place.price_level) : "price unknown",
+      place.opening_hours?.open_now === true ? "open now" : place.opening_hours?.open_now === false ? "closed now" : null,
+      // weekday_text starts on Monday; today where the place is
+      place.opening_hours?.weekday_text?.[(placeLocalTime(place, now).day + 6) % 7],
+      place.distance_text ? `${place.distance_text} away` : null,
+    ];
+    const services = SERVICE_OPTIONS.filter(option => place.services[option] === true).map(option => option.replace("_", " "));
+    if (services.length > 0) facts.push(`offers ${services.join(", ")}`);
+    if (place.wheelchair_accessible_entrance !== null) {
+      facts.push(place.wheelchair_accessible_entrance ? "wheelchair accessible entrance" : "no wheelchair accessible entrance");
+    }
+    lines.push(`- ${place.name}: ${facts.filter(Boolean).join("; ")}`);
+  });
+  return lines.join("\n");
+}
 
 /**
  * Stream LLM response with timeout
+ * @param {LLMProvider} llm - LLM provider
+ * @param {Object} request - Answer request
+ * @param {string} request.userQuery - Current user message
+ * @param {string} request.context - Search results context appended to the query
+ * @param {Array} request.history - Earlier turns as LLM chat messages
+ * @param {string} request.systemPrompt - System prompt
+ * @param {AbortSignal} request.signal - Cancels the generation (optional)
+ * @param {Function} onChunk - Callback for each chunk of text
  */
-async function streamLLMResponse(userQuery, places, onChunk) {
+async function streamLLMResponse(llm, { userQuery, context, history, systemPrompt, signal }, onChunk) {
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 10000);
+  // Abort if the model hasn't started answering in time
+  const timeoutId = setTimeout(() => controller.abort(), FIRST_TOKEN_TIMEOUT_MS);
 
   try {
-    // Build context from search results
-    let context = "";
-    if (places && places.length > 0) {
-      context = `\n\nFound ${places.length} place${places.length > 1 ? 's' : ''}:\n`;
-      places.slice(0, 5).forEach((p, i) => {
-        context += `${i + 1}. ${p.name} - ${p.rating || "N/A"}★${p.distance_text ? ` (${p.distance_text} away)` : ""}\n`;
+    const stream = llm.stream({
+      purpose: "answer",
+      messages: [
+        { role: "system", content: systemPrompt },
+        ...history,
+        { role: "user", content: userQuery + context }
+      ],
+      maxTokens: 150,
+      temperature: 0.7,
+      signal: linkSignals(signal, controller.signal)
+    });
+
+    for await (const chunk of stream) {
+      clearTimeout(timeoutId);
+      onChunk(chunk);
+    }
+  } catch (error) {
+    if (isAbortError(error) && !signal?.aborted) {
+      console.warn('[LLM] Response timeout, using fallback');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Iterative tool-calling agent
+ * The model calls maps tools until it can answer or MAX_AGENT_STEPS is reached.
+ * Every call and result is emitted as its own event.
+ */
+async function runToolAgent(ctx) {
+  const { llm, client, userQuery, history, userLocation, onEvent, signal, language, profile, pickedPlaces } = ctx;
+
+  const messages = [
+    { role: "system", content: usePrompt(ctx, "tool_agent").text },
+    ...history,
+    { role: "user", content: userQuery }
+  ];
+  const shownPlaces = [];
+  // Answers are only checked once a place tool ran - an empty search included
+  let searched = false;
+
+  // Every provider failure surfaces as an LLMError, so the caller can tell it from a bug
+  const chat = (request) => llm.chat({ ...request, signal: linkSignals(signal, AbortSignal.timeout(AGENT_STEP_TIMEOUT_MS)) })
+    .catch(error => {
+      if (signal?.aborted || error instanceof LLMError) throw error;
+      throw new LLMError(isAbortError(error) ? `No reply within ${AGENT_STEP_TIMEOUT_MS}ms` : error.message);
+    });
+
+  for (let step = 1; step <= MAX_AGENT_STEPS; step++) {
+    const message = await chat({ purpose: "agent", messages, tools: TOOL_DEFINITIONS, temperature: 0.2 });
+
+    if (message.tool_calls.length === 0) {
+      if (message.content) sendAnswer(ctx, message.content, searched ? shownPlaces : null);
+      return;
+    }
+
+    // Ollama doesn't always assign ids - they're needed to pair results with calls
+    const toolCalls = message.tool_calls.map((call, index) => ({
+      ...call,
+      id: call.id || `call_${step}_${index}`,
+    }));
+    messages.push({ role: "assistant", content: message.content || "", tool_calls: toolCalls });
+
+    for (const call of toolCalls) {
+      const { id } = call;
+      const name = call.function?.name;
+      const args = parseToolArguments(call.function?.arguments);
+
+      console.log(`[AGENT] Step ${step}: ${name}(${JSON.stringify(args)})`);
+      onEvent("tool_call", { id, step, name, arguments: args });
+
+      let content;
+      try {
+        const { result, places } = await executeTool(client, name, args, { userLocation, signal, language, profile, picked: pickedPlaces });
+        onEvent("tool_result", { id, step, name, result });
+        if (places) searched = true;
+        if (places && places.length > 0) {
+          onEvent("places", places);
+          shownPlaces.push(...places);
+        }
+        content = JSON.stringify(result);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn(`[AGENT] ${name} failed: ${error.message}`);
+        onEvent("tool_result", { id, step, name, error: error.message });
+        content = JSON.stringify({ error: error.message });
+      }
+
+      messages.push({ role: "tool", tool_call_id: id, tool_name: name, content });
+    }
+  }
+
+  // Step limit reached - answer with what has been gathered so far
+  console.warn(`[AGENT] Step limit (${MAX_AGENT_STEPS}) reached`);
+  messages.push({ role: "user", content: "Answer now using only the tool results above." });
+  const final = await chat({ purpose: "agent", messages });
+  if (final.content) sendAnswer(ctx, final.content, searched ? shownPlaces : null);
+}
+
+/**
+ * Format a location for the Directions API
+ */
+function toLatLngString(location) {
+  return `${location.lat},${location.lng}`;
+}
+
+/**
+ * Tell the client which path produced a stage's output
+ * @param {string} stage - "extraction" or "answer"
+ * @param {string} source - "llm", "template" or "fallback"
+ * @param {string} reason - Why the LLM wasn't used: no_llm, timeout, llm_error, empty, unverified
+ */
+function sendStatus(ctx, stage, source, reason) {
+  ctx.onEvent("status", { stage, source, ...(reason && { reason }) });
+}
+
+/**
+ * Report which prompt templates (id, version, variant) produced this response
+ */
+function sendPrompts(ctx) {
+  if (ctx.prompts.length === 0) return;
+  console.log(`[PROMPTS] Used: ${ctx.prompts.map(p => `${p.id}@${p.version}${p.variant !== "default" ? `/${p.variant}` : ""}`).join(", ")}`);
+  ctx.onEvent("prompts", ctx.prompts);
+}
+
+/**
+ * Send a complete answer, checked against the places it describes
+ * In strict mode the text has not been streamed yet: it is sent as is when
+ * every claim checks out, otherwise replaced by a templated answer.
+ */
+function sendAnswer(ctx, text, places, { streamed = false, fallback = null } = {}) {
+  const send = () => {
+    if (streamed) return;
+    sendStatus(ctx, "answer", "llm");
+    ctx.onChunk(text);
+  };
+
+  if (GROUNDING_MODE === "off" || !places) {
+    send();
+    return;
+  }
+
+  const report = checkGrounding(text, places);
+  if (report.unverified > 0) {
+    console.warn(`[GROUNDING] ${report.unverified} unverified claim(s):`,
+      report.claims.filter(c => !c.verified).map(c => c.text));
+  }
+
+  if (GROUNDING_MODE === "strict" && report.unverified > 0) {
+    sendStatus(ctx, "answer", "template", "unverified");
+    ctx.onChunk(fallback || renderPlacesAnswer(places));
+    ctx.onEvent("grounding", { mode: GROUNDING_MODE, claims: [], unverified: 0, replaced: report.unverified });
+    return;
+  }
+
+  send();
+  ctx.onEvent("grounding", { mode: GROUNDING_MODE, ...report });
+}
+
+/**
+ * Generate the answer text, falling back to a templated answer when the LLM
+ * is disabled, unavailable or too slow
+ * @param {Object} ctx - Request context
+ * @param {string} context - Places or route data; appended to the user message
+ *   unless the prompt template places {{context}} itself
+ * @param {Object} options - Answer options
+ * @param {string} options.prompt - Prompt template id (default: chat)
+ * @param {Object} options.vars - Extra template variables (e.g. constraints)
+ * @param {Array} options.places - Places the answer describes, to check it against (optional)
+ * @param {string} options.fallback - Templated answer used without the LLM
+ */
+async function answer(ctx, context, { prompt = "chat", vars = {}, places = null, fallback = null } = {}) {
+  // An empty list is checked too: any place, rating or distance it names is made up
+  const checked = GROUNDING_MODE !== "off" && Array.isArray(places);
+  // Strict mode can only replace an answer the user hasn't seen yet
+  const holdBack = checked && GROUNDING_MODE === "strict";
+  let text = "";
+  let failure = null;
+
+  if (!ctx.llm) {
+    failure = ctx.llmFailure || "no_llm";
+  } else {
+    const systemPrompt = usePrompt(ctx, prompt, { context, ...vars });
+    try {
+      await streamLLMResponse(ctx.llm, {
+        userQuery: ctx.userQuery,
+        context: systemPrompt.uses("context") ? "" : context,
+        history: ctx.history,
+        systemPrompt: systemPrompt.text,
+        signal: ctx.signal
+      }, (chunk) => {
+        if (!holdBack && !text) sendStatus(ctx, "answer", "llm");
+        text += chunk;
+        if (!holdBack) ctx.onChunk(chunk);
       });
-    } else {
-      context = "\n\nNo places found.";
+    } catch (llmError) {
+      if (ctx.signal?.aborted) throw llmError;
+      console.warn(`[LLM] Response generation failed: ${llmError.message}`);
+      failure = isAbortError(llmError) ? "timeout" : "llm_error";
+    }
+  }
+
+  // A partial answer is kept; with nothing to show, use the template
+  if (!text.trim()) {
+    if (fallback) {
+      sendStatus(ctx, "answer", "template", failure || "empty");
+      ctx.onChunk(fallback);
     }
+    return;
+  }
+
+  if (checked) {
+    sendAnswer(ctx, text, places, { streamed: !holdBack, fallback });
+  }
+}
+
+/**
+ * Resolve a named place (or one from the previous list) to coordinates
+ * @returns {Promise<{name: string, lat: number, lng: number}|null>}
+ */
+async function resolveLocation(name, ctx) {
+  if (!name) {
+    return ctx.userLocation ? { name: "your location", ...ctx.userLocation } : null;
+  }
+
+  const referenced = resolvePlaceReference(name, ctx.lastPlaces);
+  if (referenced?.lat && referenced?.lng) {
+    return { name: referenced.name, lat: referenced.lat, lng: referenced.lng };
+  }
 
-    const response = await fetch(`${OLLAMA_BASE_URL}/api/chat`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: OLLAMA_MODEL,
-        messages: [
-          { role: "system", content: CHAT_PROMPT },
-          { role: "user", content: userQuery + context }
-        ],
-        stream: true,
-        options: { num_predict: 150, temperature: 0.7 }
-      }),
-      signal: controller.signal
+  const location = await locateNamedPlace(ctx.client, name, ctx.pickedPlaces, { signal: ctx.signal, language: ctx.language });
+  return location ? { name, ...location } : null;
+}
+
+/**
+ * Route: place search (extract -> search -> filter -> answer)
+ */
+async function handleSearch(route, ctx) {
+  // Step 1: Extract search intent and constraints using LLM (with timeout).
+  // The timeout aborts the LLM call itself; extraction falls back to the raw query.
+  let extracted = ctx.extractionLlm && await extractLocationIntent(
+    ctx,
+    linkSignals(ctx.signal, AbortSignal.timeout(EXTRACTION_TIMEOUT_MS))
+  );
+  ctx.signal?.throwIfAborted();
+  if (!extracted) {
+    sendStatus(ctx, "extraction", "fallback", ctx.extractionLlm ? "llm_error" : (ctx.llmFailure || "no_llm"));
+    extracted = rawQueryExtraction(ctx.userQuery);
+  }
+  const constraints = normalizeConstraints(extracted);
+  // Saved preferences fill in what the message doesn't say
+  const preferences = preferenceConstraints(ctx.profile, constraints);
+
+  // Step 2: Search Google Places around the named place (or the user),
+  // measuring distances from there - nearest first when that's what was asked
+  const area = await resolveSearchArea(ctx.client, extracted, {
+    userLocation: ctx.userLocation,
+    maxDistanceKm: constraints.max_distance_km,
+    signal: ctx.signal,
+    language: ctx.language,
+    nearest: wantsNearest(ctx.userQuery),
+    picked: ctx.pickedPlaces,
+    shown: ctx.lastPlaces
+  });
+  console.log(`[${new Date().toISOString()}] Searching: "${area.query}"${area.anchor?.name ? ` around ${area.anchor.name}` : ""}${area.nearby ? " by distance" : ""}`, constraints);
+  const filters = {
+    openNow: constraints.open_now,
+    minPrice: constraints.price_min,
+    maxPrice: constraints.price_max
+  };
+  const placesResult = area.nearby
+    ? await searchNearby(ctx.client, {
+      location: area.location,
+      ...area.nearby,
+      userLocation: ctx.userLocation,
+      distanceFrom: area.anchor,
+      ...filters,
+      language: ctx.language,
+      signal: ctx.signal
+    })
+    : await searchPlaces(ctx.client, {
+      query: area.query,
+      location: area.location,
+      radius: area.radius,
+      userLocation: ctx.userLocation,
+      distanceFrom: area.anchor,
+      ...filters,
+      language: ctx.language,
+      signal: ctx.signal
     });
 
-    clearTimeout(timeoutId);
+  if (placesResult.error) {
+    ctx.onError(placesResult.error);
+    return;
+  }
+
+  // Step 3: Apply constraints Google can't filter on, then the saved preferences
+  let candidates = placesResult.results || [];
+  if (needsDetails(constraints) || preferencesNeedDetails(preferences, ctx.profile?.apply)) {
+    candidates = await enrichWithDetails(ctx.client, candidates, ctx.userLocation, {
+      signal: ctx.signal,
+      language: ctx.language
+    });
+  }
+  const filtered = applyConstraints(candidates, constraints);
+  const preferred = applyPreferences(filtered.places, preferences, ctx.profile?.apply);
+  const { places } = preferred;
+  const applied = [...filtered.applied, ...(preferred.apply === "filter" ? preferred.applied : [])];
+  const removed = filtered.removed + preferred.removed;
+  // Only the top results get their details looked up - the rest can't be checked
+  const unchecked = filtered.unchecked + preferred.unchecked;
+  const preferenceNote = describePreferences(preferred);
+  console.log(`[${new Date().toISOString()}] Found ${places.length} places (${removed} filtered out)${preferenceNote ? `, ${preferenceNote}` : ""}`);
+
+  // Step 4: Send places data to frontend
+  if (area.anchor) {
+    ctx.onEvent("search_area", area.anchor);
+  }
+  if (applied.length > 0 || preferred.applied.length > 0) {
+    ctx.onEvent("constraints", {
+      constraints,
+      applied,
+      removed,
+      unchecked,
+      ...(preferred.applied.length > 0 && { preferences: { applied: preferred.applied, apply: preferred.apply } })
+    });
+  }
+  if (places.length > 0) {
+    ctx.onEvent("places", places);
+    ctx.onEvent("citations", buildCitations(places));
+  }
+  // Later pages are fetched and filtered the same way ("Show more", "show me more")
+  const cursor = createCursor(placesResult.next_page_token, {
+    userLocation: ctx.userLocation,
+    distanceFrom: area.anchor,
+    language: ctx.language,
+    constraints,
+    preferences,
+    apply: ctx.profile?.apply,
+    anchor: area.anchor,
+    nearby: !!area.nearby
+  });
+  if (cursor) {
+    ctx.onEvent("next_page", { cursor });
+  }
+
+  // Step 5: Generate LLM response
+  const notes = { filters: filtered.applied, preferences: preferenceNote, anchor: area.anchor, unchecked };
+  await answer(ctx, buildPlacesContext(places, notes), {
+    vars: { constraints: applied.join(", ") || "none" },
+    places,
+    fallback: renderPlacesAnswer(places, notes)
+  });
+}
+
+/**
+ * Route: the next page of the last search ("show me more")
+ */
+async function handleMore(route, ctx) {
+  if (!ctx.lastCursor) {
+    ctx.onChunk(ctx.lastPlaces.length > 0
+      ? "There are no more results for that search."
+      : "Search for something first, then ask for more results.");
+    return;
+  }
+
+  const page = await fetchNextPage(ctx.client, ctx.lastCursor, { signal: ctx.signal });
+  if (!page) {
+    ctx.onChunk("Those results have expired. Please search again.");
+    return;
+  }
+  if (page.error) {
+    ctx.onError(page.error);
+    return;
+  }
+
+  const { places, search } = page;
+  const preferenceNote = describePreferences(page.preferences);
+  console.log(`[${new Date().toISOString()}] Next page: ${places.length} places (${page.removed} filtered out)`);
+
+  if (search.anchor) {
+    ctx.onEvent("search_area", search.anchor);
+  }
+  if (places.length > 0) {
+    ctx.onEvent("places", places);
+    ctx.onEvent("citations", buildCitations(places));
+  }
+  if (page.next_cursor) {
+    ctx.onEvent("next_page", { cursor: page.next_cursor });
+  }
+
+  const notes = { filters: page.filters, preferences: preferenceNote, anchor: search.anchor, unchecked: page.unchecked };
+  await answer(ctx, `${buildPlacesContext(places, notes)}\nThese are more results for the previous search.`, {
+    vars: { constraints: page.filters.join(", ") || "none" },
+    places,
+    fallback: renderPlacesAnswer(places, notes)
+  });
+}
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
+/**
+ * Route: details about one place - from the previous list or looked up by name
+ */
+async function handleDetails(route, ctx) {
+  let place = resolvePlaceReference(ctx.userQuery, ctx.lastPlaces);
+  // "hours for it" names no place - only the one on screen, if there is just one
+  const samePlace = route.place && SAME_PLACE.test(route.place);
+  if (!place && samePlace && ctx.lastPlaces.length === 1) {
+    place = ctx.lastPlaces[0];
+  }
+  const picked = !place && !samePlace && findPickedPlace(route.place, ctx.pickedPlaces);
+  if (picked) {
+    place = { place_id: picked.place_id, name: picked.main_text, formatted_address: picked.description };
+  }
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
+  if (!place && samePlace) {
+    ctx.onChunk("Which place would you like details for?");
+    return;
+  }
 
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split("\n").filter(line => line.trim());
+  if (!place && route.place) {
+    const found = await searchPlaces(ctx.client, {
+      query: route.place,
+      userLocation: ctx.userLocation,
+      language: ctx.language,
+      signal: ctx.signal
+    });
+    place = found.results?.[0] || null;
+  }
+
+  if (!place) {
+    return handleSearch({ intent: "search" }, ctx);
+  }
 
-      for (const line of lines) {
-        try {
-          const parsed = JSON.parse(line);
-          if (parsed.message?.content) {
-            onChunk(parsed.message.content);
-          }
-        } catch {}
+  let detailed = place;
+  if (place.place_id) {
+    try {
+      const details = await getPlaceDetails(ctx.client, place.place_id, ctx.userLocation, {
+        signal: ctx.signal,
+        language: ctx.language,
+        sessionToken: picked?.session_token
+      });
+      if (details.result) {
+        detailed = {
+          ...details.result,
+          lat: details.result.location?.lat,
+          lng: details.result.location?.lng,
+        };
       }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`[AGENT] Place details failed, using previous data: ${error.message}`);
     }
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      console.warn('[LLM] Response timeout, using fallback');
-      throw error;
+  }
+
+  ctx.onEvent("place_details", detailed);
+  await answer(ctx, buildPlaceDetailsContext(detailed), {
+    places: [detailed],
+    fallback: renderPlaceDetailsAnswer(detailed)
+  });
+}
+
+/**
+ * Route: directions between two points (origin defaults to the user)
+ */
+async function handleDirections(route, ctx) {
+  const referenced = resolvePlaceReference(route.destination, ctx.lastPlaces)
+    || resolvePlaceReference(ctx.userQuery, ctx.lastPlaces);
+  // Places picked from suggestions go to Google by place_id, not by name
+  const pickedDestination = !referenced?.place_id && findPickedPlace(route.destination, ctx.pickedPlaces);
+  const pickedOrigin = findPickedPlace(route.origin, ctx.pickedPlaces);
+  const destination = referenced?.place_id
+    ? `place_id:${referenced.place_id}`
+    : (pickedDestination ? `place_id:${pickedDestination.place_id}` : route.destination);
+  const destinationName = referenced?.name || route.destination;
+  const origin = (pickedOrigin && `place_id:${pickedOrigin.place_id}`)
+    || route.origin
+    || (ctx.userLocation ? toLatLngString(ctx.userLocation) : null);
+  const mode = route.mode || detectTravelMode(ctx.userQuery) || ctx.profile?.travel_mode || "driving";
+
+  if (!origin) {
+    ctx.onChunk(`I need a starting point for directions to ${destinationName}. Enable location or tell me where you're starting from.`);
+    return;
+  }
+
+  const result = await getDirections(ctx.client, { origin, destination, mode, language: ctx.language, signal: ctx.signal });
+  if (!result.result) {
+    ctx.onChunk(`I couldn't find ${mode} directions to ${destinationName}.`);
+    return;
+  }
+
+  const directionsRoute = result.result.routes[0];
+  const leg = directionsRoute.legs[0];
+  const directions = {
+    origin: route.origin || "your location",
+    destination: destinationName,
+    origin_address: leg.start_address,
+    destination_address: leg.end_address,
+    mode,
+    distance: leg.distance.text,
+    duration: leg.duration.text,
+    summary: directionsRoute.summary,
+    legs: directionsRoute.legs,
+    warnings: directionsRoute.warnings,
+    navigation_url: buildNavigationUrl({
+      // Without an explicit origin Google Maps navigates from the device's live position
+      origin: route.origin || undefined,
+      destination: referenced?.name || leg.end_address || route.destination,
+      destinationPlaceId: referenced?.place_id,
+      mode,
+    }),
+  };
+
+  ctx.onEvent("directions", directions);
+  await answer(ctx, buildDirectionsContext(directions), { fallback: renderDirectionsAnswer(directions) });
+}
+
+/**
+ * Route: straight-line distance between two points
+ */
+async function handleDistance(route, ctx) {
+  const [origin, destination] = await Promise.all([
+    resolveLocation(route.origin, ctx),
+    resolveLocation(route.destination, ctx),
+  ]);
+
+  if (!origin || !destination) {
+    const missing = !origin ? (route.origin || "your location") : route.destination;
+    ctx.onChunk(`I couldn't locate ${missing}.`);
+    return;
+  }
+
+  const distanceKm = calculateDistance(origin.lat, origin.lng, destination.lat, destination.lng);
+  const distance = {
+    origin,
+    destination,
+    distance_km: distanceKm,
+    distance_text: formatDistance(distanceKm),
+    distance_meters: Math.round(distanceKm * 1000),
+  };
+
+  ctx.onEvent("distance", distance);
+  await answer(ctx, `\n\nStraight-line distance from ${origin.name} to ${destination.name}: ${distance.distance_text}.`, {
+    fallback: renderDistanceAnswer(distance)
+  });
+}
+
+/**
+ * Route: address for coordinates (defaults to the user's location)
+ */
+async function handleReverseGeocode(route, ctx) {
+  const point = typeof route.lat === "number" ? { lat: route.lat, lng: route.lng } : ctx.userLocation;
+
+  if (!point) {
+    ctx.onChunk("I don't know your location yet. Enable location access and ask again.");
+    return;
+  }
+
+  const address = await reverseGeocode(ctx.client, point.lat, point.lng, { signal: ctx.signal, language: ctx.language });
+  if (!address) {
+    ctx.onChunk("I couldn't find an address for that location.");
+    return;
+  }
+
+  ctx.onEvent("address", { ...point, address });
+  await answer(ctx, `\n\nAddress at ${point.lat},${point.lng}: ${address}.`, {
+    fallback: renderAddressAnswer(address)
+  });
+}
+
+/**
+ * Route: several stops in order, each searched near the previous one
+ */
+async function handleItinerary(route, ctx) {
+  // Stops in a plan are usually close together
+  const mode = route.mode || detectTravelMode(ctx.userQuery) || ctx.profile?.travel_mode || "walking";
+  const itinerary = await planItinerary(ctx.client, {
+    stops: route.stops,
+    area: route.area,
+    mode,
+    userLocation: ctx.userLocation,
+    language: ctx.language,
+    signal: ctx.signal
+  });
+
+  const places = itinerary.stops.filter(stop => stop.place).map(stop => stop.place);
+  console.log(`[${new Date().toISOString()}] Itinerary: ${places.length}/${itinerary.stops.length} stops, ${itinerary.total_duration || "no routes"}`);
+  if (places.length === 0) {
+    ctx.onChunk(`I couldn't find places for ${route.stops.join(", ")}${route.area ? ` around ${route.area}` : ""}.`);
+    return;
+  }
+
+  ctx.onEvent("itinerary", itinerary);
+  await answer(ctx, buildItineraryContext(itinerary), {
+    prompt: "itinerary",
+    places,
+    fallback: renderItineraryAnswer(itinerary)
+  });
+}
+
+/**
+ * Find one place named in a comparison: a place already shown or picked, or a search
+ * A kind of place ("sushi") has no single answer, and an ordinal only picks
+ * from the shown list, so neither is searched for.
+ */
+async function resolveComparisonPlace(name, picked, ctx) {
+  const lower = name.toLowerCase();
+  const shown = ctx.lastPlaces.find(p => p.name?.toLowerCase() === lower)
+    || resolvePlaceReference(name, ctx.lastPlaces);
+  if (shown) return shown;
+  const suggested = findPickedPlace(name, ctx.pickedPlaces);
+  if (suggested) return { place_id: suggested.place_id, name: suggested.main_text };
+  // An ordinal that isn't on the list ("the fourth one" of three) has nothing to search for
+  if (isCategory(name) || ordinalPlace(name)) return null;
+
+  const branch = name.match(OTHER_BRANCH);
+  const query = branch && picked[0] ? `${picked[0].name} ${branch[1]}` : name;
+  const found = await searchPlaces(ctx.client, {
+    query,
+    userLocation: ctx.userLocation,
+    language: ctx.language,
+    signal: ctx.signal
+  });
+  return found.results?.find(p => !picked.some(q => q.place_id === p.place_id)) || null;
+}
+
+/**
+ * Route: side-by-side comparison of named places, or of the places already shown
+ */
+async function handleCompare(route, ctx) {
+  // "sushi vs ramen" compares kinds of food, not places - list them instead
+  if (route.places.some(name => isCategory(name) && !resolvePlaceReference(name, ctx.lastPlaces))) {
+    return handleSearch({ intent: "search" }, ctx);
+  }
+
+  let picked = [];
+  if (route.places.length === 0) {
+    picked = ctx.lastPlaces.slice(0, MAX_COMPARE_PLACES);
+  } else {
+    // One at a time: "the one at Taipei 101" needs the first place's name
+    for (const name of route.places) {
+      const place = await resolveComparisonPlace(name, picked, ctx);
+      if (place?.place_id) picked.push(place);
     }
-    throw error;
   }
+
+  if (picked.length < 2) {
+    ctx.onChunk(route.places.length > 0
+      ? `I couldn't find enough of ${route.places.join(", ")} to compare.`
+      : "I need at least two places to compare. Search for some first, or name them.");
+    return;
+  }
+
+  const comparison = await comparePlaces(ctx.client, picked.map(p => p.place_id), {
+    userLocation: ctx.userLocation,
+    language: ctx.language,
+    signal: ctx.signal
+  });
+  console.log(`[${new Date().toISOString()}] Comparing: ${comparison.places.map(p => p.name).join(" | ")}`);
+  if (comparison.places.length < 2) {
+    ctx.onChunk("I couldn't load the details needed to compare those places.");
+    return;
+  }
+
+  ctx.onEvent("comparison", comparison);
+  await answer(ctx, buildComparisonContext(comparison), {
+    prompt: "comparison",
+    places: comparison.places,
+    fallback: renderComparisonAnswer(comparison)
+  });
+}
+
+/**
+ * Route: what reviewers say about one place
+ * The summary comes from the LLM (cached per place), not from the answer stream.
+ */
+async function handleReviews(route, ctx) {
+  let place = resolvePlaceReference(ctx.userQuery, ctx.lastPlaces);
+
+  if (!place && (!route.place || SAME_PLACE.test(route.place)) && ctx.lastPlaces.length === 1) {
+    place = ctx.lastPlaces[0];
+  } else if (!place && route.place && !SAME_PLACE.test(route.place)) {
+    const found = await searchPlaces(ctx.client, {
+      query: route.place,
+      userLocation: ctx.userLocation,
+      language: ctx.language,
+      signal: ctx.signal
+    });
+    place = found.results?.[0] || null;
+  }
+
+  if (!place?.place_id) {
+    ctx.onChunk(route.place && !SAME_PLACE.test(route.place)
+      ? `I couldn't find ${route.place}.`
+      : "Which place would you like a review summary for?");
+    return;
+  }
+
+  const summary = await getReviewSummary(ctx.client, ctx.llm, place.place_id, {
+    language: ctx.language,
+    signal: ctx.signal
+  });
+  if (!summary) {
+    ctx.onChunk(`I couldn't load the reviews for ${place.name}.`);
+    return;
+  }
+  console.log(`[${new Date().toISOString()}] Review summary: ${summary.name} (${summary.source}${summary.cached ? ", cached" : ""})`);
+  if (summary.prompt) ctx.prompts.push(summary.prompt);
+
+  ctx.onEvent("review_summary", { ...summary, place });
+  if (summary.source === "llm") {
+    sendStatus(ctx, "answer", "llm");
+  } else {
+    sendStatus(ctx, "answer", "template", !ctx.llm ? (ctx.llmFailure || "no_llm") : summary.review_count === 0 ? "empty" : "llm_error");
+  }
+  ctx.onChunk(renderReviewSummaryAnswer(summary));
+}
+
+/**
+ * Route: plain conversation, no maps lookup
+ */
+async function handleConversation(route, ctx) {
+  await answer(ctx, "", { prompt: "conversation", fallback: CONVERSATION_TEMPLATE });
 }
 
+const ROUTE_HANDLERS = {
+  search: handleSearch,
+  details: handleDetails,
+  directions: handleDirections,
+  distance: handleDistance,
+  reverse_geocode: handleReverseGeocode,
+  itinerary: handleItinerary,
+  compare: handleCompare,
+  reviews: handleReviews,
+  more: handleMore,
+  chat: handleConversation,
+};
+
 /**
  * Stream chat with places search
+ * Each message is routed to a handler (search, directions, details, ...);
+ * earlier turns and the places shown in them are used to resolve follow-ups
+ * @param {Array} messages - Chat history from the client
+ * Resolves once the response is complete.
+ * @param {Function} onChunk - Callback for answer text
+ * @param {Function} onError - Callback for errors
+ * @param {Object} userLocation - User's location {lat, lng}
+ * @param {Object} options - Dependencies (for offline runs)
+ * @param {Function} options.onEvent - Callback for structured payloads: (type, data) with type
+ *   intent, status, places, constraints, citations, grounding, directions, ... (see README)
+ * @param {LLMProvider} options.provider - LLM provider (default: configured provider)
+ * @param {Object} options.models - {response, extraction} model names (default: the provider's model)
+ * @param {Client} options.googleClient - Google Maps client
+ * @param {AbortSignal} options.signal - Aborts every LLM and Google call when the client goes away
+ * @param {string} options.locale - Client locale, used when the message's language is ambiguous
+ * @param {Object} options.profile - Saved preferences applied to searches and directions (optional)
  */
-export async function streamChatWithTools(messages, onChunk, onError, userLocation = null) {
+export async function streamChatWithTools(messages, onChunk, onError, userLocation = null, options = {}) {
   const startTime = Date.now();
+  const provider = AGENT_MODE === "template" ? null : (options.provider || getProvider());
+  const llm = withModel(provider, options.models?.response);
+  const extractionLlm = withModel(provider, options.models?.extraction);
 
   try {
-    console.log(`[${new Date().toISOString()}] Chat request - model: ${OLLAMA_MODEL}`);
+    const models = llm && extractionLlm.model !== llm.model ? `${llm.model} (extraction: ${extractionLlm.model})` : llm?.model;
+    console.log(`[${new Date().toISOString()}] Chat request - ${llm ? `${llm.name}: ${models}` : "no LLM"}, mode: ${AGENT_MODE}`);
+
+    const conversation = normalizeHistory(messages);
 
     // Get the last user message
-    const lastUserMessage = messages.filter(m => m.role === "user").pop();
-    if (!lastUserMessage) {
+    const lastUserIndex = conversation.map(m => m.role).lastIndexOf("user");
+    if (lastUserIndex === -1) {
       onError("No user message found");
       return;
     }
 
-    const userQuery = lastUserMessage.content;
-    console.log(`[${new Date().toISOString()}] User query: "${userQuery}"`);
-
-    // Step 1: Extract search intent using LLM (with timeout)
-    const extracted = await Promise.race([
-      extractLocationIntent(userQuery),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error("LLM timeout")), 3000)
-      )
-    ]).catch(err => {
-      console.warn(`[LLM] Using fallback: ${err.message}`);
-      return { query: userQuery, formatted_query: userQuery };
-    });
+    const userQuery = conversation[lastUserIndex].content;
+    const previousTurns = conversation.slice(0, lastUserIndex);
+    const history = toLLMMessages(previousTurns);
+    console.log(`[${new Date().toISOString()}] User query: "${userQuery}" (${previousTurns.length} previous messages)`);
 
-    // Step 2: Search Google Places
-    console.log(`[${new Date().toISOString()}] Searching: "${extracted.formatted_query}"`);
-    const placesResult = await searchPlaces(googleClient, {
-      query: extracted.formatted_query,
-      userLocation: userLocation
-    });
+    const language = resolveLanguage(userQuery, options.locale);
 
-    if (placesResult.error) {
-      onError(placesResult.error);
-      return;
+    const ctx = {
+      llm,
+      // Routing and JSON extraction may run on a smaller model
+      extractionLlm,
+      client: options.googleClient || googleClient,
+      userQuery,
+      history,
+      lastPlaces: getLastPlaces(previousTurns),
+      // Cursor for the next page of those places
+      lastCursor: getLastCursor(previousTurns),
+      // Places picked from autocomplete suggestions for this message
+      pickedPlaces: conversation[lastUserIndex].picked_places || [],
+      userLocation,
+      onChunk,
+      onEvent: options.onEvent || (() => {}),
+      onError,
+      signal: options.signal,
+      language,
+      profile: options.profile ? normalizeProfile(options.profile) : null,
+      // Prompt templates used, reported with the response
+      prompts: [],
+      // Why llm is null after the tool agent gave up on it (status reason)
+      llmFailure: null,
+    };
+
+    if (AGENT_MODE === "tools") {
+      try {
+        await runToolAgent(ctx);
+        sendPrompts(ctx);
+        console.log(`[${new Date().toISOString()}] Total: ${Date.now() - startTime}ms`);
+        return;
+      } catch (error) {
+        if (!(error instanceof LLMError) || options.signal?.aborted) throw error;
+        if (error instanceof ToolsUnsupportedError) {
+          console.warn(`[AGENT] ${error.message}, falling back to pipeline`);
+        } else {
+          // The model is unreachable, failing or too slow - answer from the templates
+          console.warn(`[AGENT] ${error.message}, falling back to templates`);
+          ctx.llm = ctx.extractionLlm = null;
+          ctx.llmFailure = "llm_error";
+        }
+      }
     }
 
-    const places = placesResult.results || [];
-    console.log(`[${new Date().toISOString()}] Found ${places.length} places`);
+    let route = await classifyIntent(ctx);
 
-    // Step 3: Send places data to frontend
-    if (places.length > 0) {
-      onChunk(JSON.stringify({ type: "places", data: places }));
+    // A search or chat message that points at a place already shown
+    // ("tell me more about the second one") is a details question, unless it
+    // asks for something new around it ("restaurants near the second one")
+    if ((route.intent === "search" || route.intent === "chat") && isMostlyReference(userQuery, ctx.lastPlaces)) {
+      route = { intent: "details" };
     }
 
-    // Step 4: Generate LLM response
-    try {
-      await streamLLMResponse(userQuery, places, onChunk);
-    } catch (llmError) {
-      console.warn(`[LLM] Response generation failed: ${llmError.message}`);
-    }
+    console.log(`[${new Date().toISOString()}] Route: ${route.intent}, language: ${language}`);
+    ctx.onEvent("intent", route);
 
-    // Always send completion signal
-    onChunk(""); // Signal end of stream
+    await ROUTE_HANDLERS[route.intent](route, ctx);
+    sendPrompts(ctx);
     console.log(`[${new Date().toISOString()}] Total: ${Date.now() - startTime}ms`);
 
   } catch (error) {
+    // The client went away - nobody is listening for an error
+    if (options.signal?.aborted) {
+      console.log(`[${new Date().toISOString()}] Cancelled after ${Date.now() - startTime}ms`);
+      return;
+    }
     console.error(`[${new Date().toISOString()}] Error:`, error);
     onError(error.message);
     throw error;
@@ -0,0 +1,105 @@
+/**
+ * Search areas
+ * Where a search is centred and what distances are measured from. A place
+ * named in the message ("coffee near Taipei 101") is geocoded into an anchor:
+ * the search is biased towards it and distances are measured from it rather
+ * than from the user. "Near me" searches are anchored on the user. Asking for
+ * the nearest or closest place ranks results by distance from the anchor.
+ */
+
+import { nearbyQuery } from '../maps/placeTypes.js';
+import { locateNamedPlace } from './picked.js';
+import { resolvePlaceReference } from './conversation.js';
+
+// Bias radius when the message gives no distance, and the Places API maximum
+const DEFAULT_RADIUS_M = 5000;
+const MAX_RADIUS_M = 50000;
+
+const NEAR_ME = /^(near me|nearby|near here|here|around here|around me|close by|current location|my location)$/i;
+
+// "the nearest pharmacy", "closest ATM", "離我最近的藥局", "一番近いコンビニ"
+const NEAREST = /\b(?:nearest|closest)\b|最近的|離我最近|离我最近|一番近い|最寄り/i;
+const NEAREST_WORDS = /\b(?:the\s+)?(?:nearest|closest)\b/gi;
+
+/**
+ * Whether a message asks for the nearest place rather than the best match
+ */
+export function wantsNearest(text) {
+  return NEAREST.test(text || '');
+}
+
+/**
+ * Whether an extracted location means the user's own position
+ */
+export function isNearMe(location) {
+  return !location || NEAR_ME.test(location.trim());
+}
+
+/**
+ * Work out where to search from an extraction
+ * Falls back to the query as written ("coffee shop in Taipei 101") when the
+ * location can't be geocoded.
+ * @param {Client} client - Google Maps client
+ * @param {Object} extracted - Extraction output {query, location, formatted_query}
+ * @param {Object} options - Area options
+ * @param {Object} options.userLocation - User's location {lat, lng} (optional)
+ * @param {number} options.maxDistanceKm - Radius asked for in the message (optional)
+ * @param {AbortSignal} options.signal - Cancels the geocoding (optional)
+ * @param {string} options.language - Language code (optional)
+ * @param {boolean} options.nearest - Rank by distance from the anchor (optional)
+ * @param {Array} options.picked - Places picked from suggestions, used instead of geocoding (optional)
+ * @param {Array} options.shown - Places from the previous answer, for "near the second one" (optional)
+ * @returns {Promise<{query: string, location: Object|null, radius: number, anchor: Object|null, nearby: Object|null}>}
+ *   searchPlaces arguments; anchor is {name, lat, lng, source: "geocoded"|"user", radius_m, rank_by?};
+ *   nearby is the searchNearby {keyword, type?} to use instead, when ranking by distance
+ */
+export async function resolveSearchArea(client, extracted, { userLocation = null, maxDistanceKm, signal, language, nearest = false, picked = [], shown = [] } = {}) {
+  const radius = Math.min(maxDistanceKm ? Math.round(maxDistanceKm * 1000) : DEFAULT_RADIUS_M, MAX_RADIUS_M);
+  const radiusM = maxDistanceKm ? radius : null;
+
+  // Ranking by distance needs a point to rank from
+  const withRanking = (area) => {
+    if (!nearest || !area.location) return { ...area, nearby: null };
+    const keyword = area.query.replace(NEAREST_WORDS, ' ').replace(/\s+/g, ' ').trim();
+    return {
+      ...area,
+      anchor: { ...area.anchor, rank_by: 'distance' },
+      nearby: nearbyQuery(keyword || area.query),
+    };
+  };
+
+  if (!isNearMe(extracted.location)) {
+    const referenced = resolvePlaceReference(extracted.location, shown);
+    const point = typeof referenced?.lat === 'number' && typeof referenced?.lng === 'number'
+      ? { lat: referenced.lat, lng: referenced.lng }
+      : await locateNamedPlace(client, extracted.location, picked, { signal, language });
+    if (point) {
+      return withRanking({
+        query: extracted.query,
+        location: point,
+        radius,
+        anchor: { name: referenced?.name || extracted.location, ...point, source: 'geocoded', radius_m: radiusM },
+      });
+    }
+    console.warn(`[AREA] Could not geocode "${extracted.location}", searching by name`);
+    return {
+      query: extracted.formatted_query || extracted.query,
+      location: null,
+      radius,
+      // Distances are still measured from the user
+      anchor: userLocation ? { name: null, lat: userLocation.lat, lng: userLocation.lng, source: 'user', radius_m: radiusM } : null,
+      nearby: null,
+    };
+  }
+
+  if (userLocation) {
+    return withRanking({
+      query: extracted.query,
+      location: userLocation,
+      radius,
+      anchor: { name: null, lat: userLocation.lat, lng: userLocation.lng, source: 'user', radius_m: radiusM },
+    });
+  }
+
+  return { query: extracted.formatted_query || extracted.query, location: null, radius, anchor: null, nearby: null };
+}
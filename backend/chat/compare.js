@@ -0,0 +1,88 @@
+/**
+ * Place comparison
+ * Fetches details for a handful of places and lines them up field by field:
+ * rating, reviews, price, hours, service options, accessibility and distance
+ */
+
+import { getPlaceDetails } from '../maps/places.js';
+import { isAbortError } from '../abort.js';
+
+// More columns than this don't fit a table or a small model's context
+export const MAX_COMPARE_PLACES = 4;
+
+export const SERVICE_OPTIONS = ['dine_in', 'takeout', 'delivery', 'curbside_pickup', 'reservable'];
+
+/**
+ * Keep the fields a comparison shows
+ */
+function toComparisonRow(place) {
+  return {
+    place_id: place.place_id,
+    name: place.name,
+    formatted_address: place.formatted_address,
+    lat: place.location?.lat,
+    lng: place.location?.lng,
+    rating: place.rating ?? null,
+    user_ratings_total: place.user_ratings_total ?? null,
+    price_level: place.price_level ?? null,
+    opening_hours: place.opening_hours,
+    utc_offset: place.utc_offset ?? null,
+    services: Object.fromEntries(SERVICE_OPTIONS.map(option => [option, place[option] ?? null])),
+    wheelchair_accessible_entrance: place.wheelchair_accessible_entrance ?? null,
+    distance_km: place.distance_km,
+    distance_text: place.distance_text,
+    google_maps_url: place.google_maps_url,
+  };
+}
+
+/**
+ * place_id of the single best row for a field, or null when fewer than two
+ * rows have a value or the best value is shared
+ */
+function bestBy(rows, value, lowerIsBetter = false) {
+  const scored = rows.filter(row => typeof value(row) === 'number');
+  if (scored.length < 2) return null;
+
+  const sign = lowerIsBetter ? -1 : 1;
+  const top = Math.max(...scored.map(row => sign * value(row)));
+  const winners = scored.filter(row => sign * value(row) === top);
+  return winners.length === 1 ? winners[0].place_id : null;
+}
+
+/**
+ * Compare places side by side
+ * @param {Client} client - Google Maps client
+ * @param {string[]} placeIds - Places to compare (duplicates dropped, capped at MAX_COMPARE_PLACES)
+ * @param {Object} options - Lookup options
+ * @param {Object} options.userLocation - User's location {lat, lng} for distances (optional)
+ * @param {string} options.language - Language code for results
+ * @param {AbortSignal} options.signal - Cancels the lookups (optional)
+ * @returns {Promise<Object>} {places: [row], best: {rating, reviews, price, distance}, missing: [place_id]}
+ */
+export async function comparePlaces(client, placeIds, { userLocation = null, language, signal } = {}) {
+  const ids = [...new Set(placeIds)].slice(0, MAX_COMPARE_PLACES);
+
+  const results = await Promise.all(ids.map(async (placeId) => {
+    try {
+      const details = await getPlaceDetails(client, placeId, userLocation, { language, signal });
+      return details.result;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`[COMPARE] Details failed for ${placeId}: ${error.message}`);
+      return null;
+    }
+  }));
+
+  const places = results.filter(Boolean).map(toComparisonRow);
+
+  return {
+    places,
+    best: {
+      rating: bestBy(places, row => row.rating),
+      reviews: bestBy(places, row => row.user_ratings_total),
+      price: bestBy(places, row => row.price_level, true),
+      distance: bestBy(places, row => row.distance_km, true),
+    },
+    missing: ids.filter((id, i) => !results[i]),
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Search constraints
+ * Schema for the structured output of the extraction stage, and filters that
+ * apply those constraints to Places results
+ */
+
+import { getPlaceDetails } from '../maps/places.js';
+import { isAbortError } from '../abort.js';
+
+// Service and accessibility attributes returned by getPlaceDetails
+export const PLACE_ATTRIBUTES = {
+  dine_in: 'dine-in',
+  takeout: 'takeout',
+  delivery: 'delivery',
+  curbside_pickup: 'curbside pickup',
+  reservable: 'takes reservations',
+  wheelchair_accessible_entrance: 'wheelchair accessible',
+  serves_vegetarian_food: 'vegetarian-friendly',
+  serves_beer: 'serves beer',
+  serves_wine: 'serves wine',
+  serves_breakfast: 'serves breakfast',
+  serves_brunch: 'serves brunch',
+  serves_lunch: 'serves lunch',
+  serves_dinner: 'serves dinner',
+};
+
+// Details lookups cost one API call each - only the top results are checked
+const MAX_DETAIL_LOOKUPS = 8;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * JSON schema for the extraction stage output
+ * Optional fields may be null - small models like to emit every key.
+ */
+export const EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: { type: 'string' },
+    location: { type: ['string', 'null'] },
+    formatted_query: { type: ['string', 'null'] },
+    price_min: { type: ['integer', 'null'], minimum: 0, maximum: 4 },
+    price_max: { type: ['integer', 'null'], minimum: 0, maximum: 4 },
+    min_rating: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+    min_reviews: { type: ['integer', 'null'], minimum: 0 },
+    open_now: { type: ['boolean', 'null'] },
+    open_at: {
+      type: ['object', 'null'],
+      required: ['time'],
+      properties: {
+        day: { type: ['integer', 'null'], minimum: 0, maximum: 6 },
+        time: { type: 'string', pattern: '^([01]\\d|2[0-3])[0-5]\\d$' },
+      },
+    },
+    max_distance_km: { type: ['number', 'null'], minimum: 0 },
+    attributes: {
+      type: ['array', 'null'],
+      items: { type: 'string', enum: Object.keys(PLACE_ATTRIBUTES) },
+    },
+  },
+};
+
+/**
+ * Pick the constraint fields out of a validated extraction
+ * @param {Object} extracted - Extraction output
+ * @returns {Object} Constraints with only the fields that were set
+ */
+export function normalizeConstraints(extracted) {
+  const constraints = {};
+  const isSet = (value) => value !== null && value !== undefined;
+
+  if (isSet(extracted.price_min)) constraints.price_min = extracted.price_min;
+  if (isSet(extracted.price_max)) constraints.price_max = extracted.price_max;
+  if (isSet(extracted.min_rating) && extracted.min_rating > 0) constraints.min_rating = extracted.min_rating;
+  if (isSet(extracted.min_reviews) && extracted.min_reviews > 0) constraints.min_reviews = extracted.min_reviews;
+  if (extracted.open_now === true) constraints.open_now = true;
+  if (isSet(extracted.open_at?.time)) {
+    constraints.open_at = {
+      ...(isSet(extracted.open_at.day) && { day: extracted.open_at.day }),
+      time: extracted.open_at.time,
+    };
+  }
+  if (isSet(extracted.max_distance_km) && extracted.max_distance_km > 0) {
+    constraints.max_distance_km = extracted.max_distance_km;
+  }
+  if (Array.isArray(extracted.attributes) && extracted.attributes.length > 0) {
+    constraints.attributes = [...new Set(extracted.attributes)];
+  }
+
+  return constraints;
+}
+
+/**
+ * Whether the constraints need fields only Place Details returns
+ */
+export function needsDetails(constraints) {
+  return !!constraints.open_at || (constraints.attributes?.length || 0) > 0;
+}
+
+/**
+ * Describe constraints for the UI and the LLM ("open now", "rated 4.5+")
+ * @returns {string[]}
+ */
+export function describeConstraints(constraints) {
+  const labels = [];
+
+  if (constraints.price_min !== undefined && constraints.price_max !== undefined) {
+    labels.push(`${'$'.repeat(Math.max(constraints.price_min, 1))}-${'$'.repeat(Math.max(constraints.price_max, 1))}`);
+  } else if (constraints.price_max !== undefined) {
+    labels.push(constraints.price_max === 0 ? 'free' : `${'$'.repeat(constraints.price_max)} or less`);
+  } else if (constraints.price_min !== undefined) {
+    labels.push(`${'$'.repeat(Math.max(constraints.price_min, 1))} or more`);
+  }
+  if (constraints.min_rating) labels.push(`rated ${constraints.min_rating}+`);
+  if (constraints.min_reviews) labels.push(`${constraints.min_reviews}+ reviews`);
+  if (constraints.open_now) labels.push('open now');
+  if (constraints.open_at) {
+    const { day, time } = constraints.open_at;
+    const when = `${time.slice(0, 2)}:${time.slice(2)}`;
+    labels.push(day !== undefined ? `open ${DAY_NAMES[day]} at ${when}` : `open at ${when}`);
+  }
+  if (constraints.max_distance_km) {
+    const km = constraints.max_distance_km;
+    labels.push(`within ${km < 1 ? `${Math.round(km * 1000)} m` : `${km} km`}`);
+  }
+  for (const attribute of constraints.attributes || []) {
+    labels.push(PLACE_ATTRIBUTES[attribute]);
+  }
+
+  return labels;
+}
+
+/**
+ * Check Google opening periods for a day and time
+ * Periods use day 0 = Sunday and "HHMM" times; a single period with no
+ * close means open 24/7.
+ * @param {Array} periods - opening_hours.periods
+ * @param {number} day - Day of week (0 = Sunday)
+ * @param {string} time - "HHMM"
+ * @returns {boolean|null} null when there are no periods to check
+ */
+export function isOpenAt(periods, day, time) {
+  if (!Array.isArray(periods) || periods.length === 0) return null;
+
+  if (periods.length === 1 && periods[0].open && !periods[0].close) return true;
+
+  const WEEK = 7 * 24 * 60;
+  const toMinutes = (d, t) => d * 24 * 60 + parseInt(t.slice(0, 2)) * 60 + parseInt(t.slice(2));
+  const target = toMinutes(day, time);
+
+  return periods.some(period => {
+    if (!period.open || !period.close) return false;
+    const open = toMinutes(period.open.day, period.open.time);
+    let close = toMinutes(period.close.day, period.close.time);
+    if (close <= open) close += WEEK; // Wraps past Saturday night
+    return (target >= open && target < close) || (target + WEEK >= open && target + WEEK < close);
+  });
+}
+
+/**
+ * Day and "HHMM" time at a place
+ * Uses the place's utc_offset (from Place Details) when known, else the
+ * server's clock.
+ * @param {Object} place - Place, enriched or not
+ * @param {Date} now - Reference time
+ * @returns {{day: number, time: string}}
+ */
+export function placeLocalTime(place, now = new Date()) {
+  const offset = place?.utc_offset;
+  if (typeof offset !== 'number') {
+    return { day: now.getDay(), time: `${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}` };
+  }
+  const local = new Date(now.getTime() + offset * 60 * 1000);
+  return {
+    day: local.getUTCDay(),
+    time: `${String(local.getUTCHours()).padStart(2, '0')}${String(local.getUTCMinutes()).padStart(2, '0')}`,
+  };
+}
+
+/**
+ * Fill in details-only fields (services, accessibility, periods) for the top places
+ * Places past MAX_DETAIL_LOOKUPS are kept as they are, marked
+ * details_checked: false, so callers can say how many went unchecked.
+ * @param {Client} client - Google Maps client
+ * @param {Array} places - Search results
+ * @param {Object} userLocation - User's location {lat, lng}
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the lookups (optional)
+ * @param {string} options.language - Language code for results (optional)
+ * @returns {Promise<Array>} All places, the top ones with details merged in
+ */
+export async function enrichWithDetails(client, places, userLocation = null, { signal, language } = {}) {
+  const candidates = places.slice(0, MAX_DETAIL_LOOKUPS);
+  const rest = places.slice(MAX_DETAIL_LOOKUPS).map(place => ({ ...place, details_checked: false }));
+
+  const enriched = await Promise.all(candidates.map(async place => {
+    try {
+      const { result } = await getPlaceDetails(client, place.place_id, userLocation, { signal, language });
+      if (!result) return place;
+      return {
+        ...result,
+        lat: place.lat,
+        lng: place.lng,
+        vicinity: place.vicinity,
+        distance_km: place.distance_km,
+        distance_text: place.distance_text,
+      };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`[CONSTRAINTS] Details failed for ${place.place_id}: ${error.message}`);
+      return place;
+    }
+  }));
+  return [...enriched, ...rest];
+}
+
+/**
+ * Count the places dropped without their details ever being looked up
+ * @param {Array} places - Places before filtering
+ * @param {Array} kept - Places that passed
+ */
+export function countUnchecked(places, kept) {
+  return places.filter(place => place.details_checked === false && !kept.includes(place)).length;
+}
+
+/**
+ * Check one place against constraints
+ * Unknown price levels pass; every other constraint must be known to pass.
+ * @param {Object} place - Search result (enriched when needsDetails)
+ * @param {Object} constraints - Normalized constraints
+ * @param {Date} now - Reference time for open_now and open_at without a day, read in the place's time zone
+ * @returns {boolean}
+ */
+export function matchesConstraints(place, constraints, now = new Date()) {
+  if (constraints.price_max !== undefined && place.price_level !== undefined && place.price_level !== null &&
+    place.price_level > constraints.price_max) return false;
+  if (constraints.price_min !== undefined && place.price_level !== undefined && place.price_level !== null &&
+    place.price_level < constraints.price_min) return false;
+  if (constraints.min_rating && !(place.rating >= constraints.min_rating)) return false;
+  if (constraints.min_reviews && !(place.user_ratings_total >= constraints.min_reviews)) return false;
+  if (constraints.open_now) {
+    // Google's flag when it sent one, else the periods at the place's local time
+    const local = placeLocalTime(place, now);
+    const open = typeof place.opening_hours?.open_now === 'boolean'
+      ? place.opening_hours.open_now
+      : typeof place.utc_offset === 'number' && isOpenAt(place.opening_hours?.periods, local.day, local.time);
+    if (open !== true) return false;
+  }
+  if (constraints.open_at) {
+    // "Open at 8pm" is 8pm where the place is, today there unless a day is given
+    const day = constraints.open_at.day ?? placeLocalTime(place, now).day;
+    if (isOpenAt(place.opening_hours?.periods, day, constraints.open_at.time) !== true) return false;
+  }
+  if (constraints.max_distance_km && !(place.distance_km <= constraints.max_distance_km)) return false;
+  for (const attribute of constraints.attributes || []) {
+    if (place[attribute] !== true) return false;
+  }
+  return true;
+}
+
+/**
+ * Filter places by constraints
+ * Unknown price levels are kept (Google often omits them); everything else
+ * must be known to pass. Distance is only checked when distances exist.
+ * @param {Array} places - Search results (enriched when needsDetails)
+ * @param {Object} constraints - Normalized constraints
+ * @param {Date} now - Reference time for open_at without a day
+ * @returns {{places: Array, applied: string[], removed: number, unchecked: number}} unchecked counts the
+ *   removed places whose details were never looked up (see enrichWithDetails)
+ */
+export function applyConstraints(places, constraints, now = new Date()) {
+  const active = { ...constraints };
+
+  if (active.max_distance_km && !places.some(p => p.distance_km !== null && p.distance_km !== undefined)) {
+    delete active.max_distance_km;
+  }
+
+  const filtered = places.filter(place => matchesConstraints(place, active, now));
+
+  return {
+    places: filtered,
+    applied: describeConstraints(active),
+    removed: places.length - filtered.length,
+    unchecked: needsDetails(active) ? countUnchecked(places, filtered) : 0,
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * Conversation history helpers
+ * Normalizes the chat history sent by the client and resolves follow-up
+ * references ("the second one", "Blue Bottle") against earlier place results
+ */
+
+import { normalizePickedPlaces } from './picked.js';
+import { placeTypeFor } from '../maps/placeTypes.js';
+
+// Only the most recent turns are useful to a small local model
+const MAX_HISTORY_MESSAGES = 12;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_PLACES_PER_MESSAGE = 10;
+
+// Words that signal the user is talking about a place already on screen
+const FOLLOW_UP_CUES = /\b(more|about|details?|info|hours|open|address|phone|website|reviews?|that|this|it|one|there|get to)\b/;
+
+// Nouns that make an ordinal a pick from the list: "the 2nd one", "the third result"
+const REFERENCE_NOUN = /^(?:one|place|result|option|spot|pick|choice)\b/;
+
+// Ordinals that are part of an address: "5th avenue", "2nd street", "no. 1 st"
+const ADDRESS_WORD = /^(?:avenue|ave|street|st|road|rd|floor|fl|boulevard|blvd|lane|ln)\b/;
+
+// A new place to search around, right before the reference: "restaurants near the second one"
+const LOCATION_BEFORE_REFERENCE = /\b(?:near|nearby|around|close to|next to|in|within|by)\s*$/;
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+};
+
+/**
+ * Check whether a place name appears in the text as a whole word
+ */
+function mentionsName(text, name) {
+  const needle = name.toLowerCase();
+  if (needle.length < 2) return false;
+
+  const index = text.indexOf(needle);
+  if (index === -1) return false;
+
+  // Latin names need word boundaries; CJK text has no spaces to check
+  const before = text[index - 1] || ' ';
+  const after = text[index + needle.length] || ' ';
+  return !/[a-z0-9]/.test(before) && !/[a-z0-9]/.test(after);
+}
+
+/**
+ * Check whether an ordinal match picks from the list
+ * It does when a reference noun follows it ("the 2nd one"), when it is the
+ * whole message ("#2"), or when the message reads as a follow-up and the
+ * ordinal isn't part of an address.
+ */
+function isOrdinalReference(text, match, followUp) {
+  const rest = text.slice(match.index + match[0].length).trim();
+  if (ADDRESS_WORD.test(rest)) return false;
+  const alone = /^[\s!.?]*$/.test(rest) && /^(?:the)?$/.test(text.slice(0, match.index).trim());
+  return REFERENCE_NOUN.test(rest) || alone || followUp;
+}
+
+/**
+ * Keep only the place fields the agent needs to reason about a follow-up
+ */
+function compactPlace(place) {
+  return {
+    place_id: typeof place.place_id === 'string' ? place.place_id : null,
+    name: typeof place.name === 'string' ? place.name.slice(0, 200) : null,
+    formatted_address: typeof place.formatted_address === 'string' ? place.formatted_address.slice(0, 300) : null,
+    vicinity: typeof place.vicinity === 'string' ? place.vicinity.slice(0, 300) : null,
+    lat: typeof place.lat === 'number' ? place.lat : null,
+    lng: typeof place.lng === 'number' ? place.lng : null,
+    rating: typeof place.rating === 'number' ? place.rating : null,
+    user_ratings_total: typeof place.user_ratings_total === 'number' ? place.user_ratings_total : null,
+    price_level: typeof place.price_level === 'number' ? place.price_level : null,
+    open_now: typeof place.open_now === 'boolean'
+      ? place.open_now
+      : (typeof place.opening_hours?.open_now === 'boolean' ? place.opening_hours.open_now : null),
+    distance_text: typeof place.distance_text === 'string' ? place.distance_text : null,
+  };
+}
+
+/**
+ * Sanitize the client-sent message array
+ * @param {Array} messages - Raw messages from the request body
+ * @returns {Array<{role: string, content: string, places?: Array, next_page?: string, picked_places?: Array}>}
+ */
+export function normalizeHistory(messages) {
+  if (!Array.isArray(messages)) return [];
+
+  return messages
+    .filter(m => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string')
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map(m => {
+      const normalized = {
+        role: m.role,
+        content: m.content.slice(0, MAX_MESSAGE_LENGTH),
+      };
+      if (m.role === 'assistant' && Array.isArray(m.places) && m.places.length > 0) {
+        normalized.places = m.places
+          .filter(p => p && typeof p === 'object')
+          .slice(0, MAX_PLACES_PER_MESSAGE)
+          .map(compactPlace)
+          .filter(p => p.name);
+      }
+      // Places picked from autocomplete suggestions while typing (see picked.js)
+      if (m.role === 'user' && Array.isArray(m.picked_places) && m.picked_places.length > 0) {
+        normalized.picked_places = normalizePickedPlaces(m.picked_places);
+      }
+      // Cursor for the next page of those places (see pages.js)
+      if (m.role === 'assistant' && typeof m.next_page === 'string' && m.next_page) {
+        normalized.next_page = m.next_page.slice(0, 100);
+      }
+      return normalized;
+    });
+}
+
+/**
+ * Get the most recent place list shown to the user
+ * @param {Array} history - Normalized history (excluding the current message)
+ * @returns {Array} Places, or an empty array
+ */
+export function getLastPlaces(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].places?.length > 0) {
+      return history[i].places;
+    }
+  }
+  return [];
+}
+
+/**
+ * Get the next-page cursor of the most recent place list
+ * @param {Array} history - Normalized history (excluding the current message)
+ * @returns {string|null} Cursor, or null when that list has no more pages
+ */
+export function getLastCursor(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].places?.length > 0) {
+      return history[i].next_page || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find where a message refers to one place from the previous list
+ * @returns {{place: Object, start: number, end: number}|null} The place and
+ *   the span of the lowercased text that names it
+ */
+function findReference(text, places) {
+  const followUp = FOLLOW_UP_CUES.test(text);
+  const span = (place, index, length) => (place ? { place, start: index, end: index + length } : null);
+
+  // Name match first - longest name wins so "Starbucks Reserve" beats "Starbucks".
+  // A bare name ("Starbucks in Tokyo") is a new search, not a follow-up.
+  if (followUp) {
+    const byName = places
+      .filter(p => p.name && mentionsName(text, p.name))
+      .sort((a, b) => b.name.length - a.name.length);
+    if (byName.length > 0) {
+      const name = byName[0].name.toLowerCase();
+      return span(byName[0], text.indexOf(name), name.length);
+    }
+  }
+
+  const pick = (n) => (n >= 1 && n <= places.length ? places[n - 1] : null);
+
+  // "the first time in Tokyo" and "coffee on 5th avenue" aren't picks
+  const wordMatch = text.match(/\bthe (first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth)\b/);
+  if (wordMatch && isOrdinalReference(text, wordMatch, followUp)) {
+    return span(pick(ORDINALS[wordMatch[1]]), wordMatch.index, wordMatch[0].length);
+  }
+
+  const numericMatch = text.match(/\b(\d{1,2})(?:st|nd|rd|th)\b|#\s?(\d{1,2})\b|\bnumber\s+(\d{1,2})\b|\bno\.\s?(\d{1,2})\b/);
+  if (numericMatch && isOrdinalReference(text, numericMatch, followUp)) {
+    const n = parseInt(numericMatch[1] || numericMatch[2] || numericMatch[3] || numericMatch[4]);
+    return span(pick(n), numericMatch.index, numericMatch[0].length);
+  }
+
+  const lastMatch = text.match(/\b(last|final) (one|place|result|option)\b/);
+  if (lastMatch) return span(places[places.length - 1], lastMatch.index, lastMatch[0].length);
+
+  return null;
+}
+
+/**
+ * Resolve a follow-up that targets one place from the previous list
+ * Matches ordinals ("the second one", "#2", "number 3", "the last one")
+ * and place names mentioned in the query.
+ * @param {string} query - Current user message
+ * @param {Array} places - Places from the previous turn
+ * @returns {Object|null} The referenced place, or null
+ */
+export function resolvePlaceReference(query, places) {
+  if (!query || !places || places.length === 0) return null;
+  return findReference(query.toLowerCase(), places)?.place || null;
+}
+
+/**
+ * Check whether a message is mostly a reference to a place already shown
+ * "tell me more about the second restaurant" and "does the second one have
+ * parking?" are; "restaurants near the second one" and "bars like the third
+ * one" name a new search target, so they stay searches.
+ * @param {string} query - Current user message
+ * @param {Array} places - Places from the previous turn
+ * @returns {boolean}
+ */
+export function isMostlyReference(query, places) {
+  if (!query || !places || places.length === 0) return false;
+
+  const text = query.toLowerCase();
+  const reference = findReference(text, places);
+  if (!reference) return false;
+
+  // Only what comes before the reference can be a search target: words after
+  // it ("the third bar", "have parking?") describe or ask about the place
+  const before = text.slice(0, reference.start);
+  return !LOCATION_BEFORE_REFERENCE.test(before) && !placeTypeFor(before);
+}
+
+/**
+ * Describe a place list in one line per place for LLM context
+ */
+export function describePlaces(places) {
+  return places
+    .map((p, i) => {
+      const details = [
+        p.rating ? `${p.rating}★` : null,
+        p.price_level ? '$'.repeat(p.price_level) : null,
+        p.open_now === true ? 'open now' : p.open_now === false ? 'closed now' : null,
+        p.distance_text ? `${p.distance_text} away` : null,
+      ].filter(Boolean).join(', ');
+      const address = p.formatted_address || p.vicinity;
+      return `${i + 1}. ${p.name}${address ? ` - ${address}` : ''}${details ? ` (${details})` : ''}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Convert history into chat messages for the LLM
+ * Place lists shown in earlier answers are appended to the assistant text
+ * so the model can resolve "cheaper ones" or "the second one".
+ * @param {Array} history - Normalized history (excluding the current message)
+ */
+export function toLLMMessages(history) {
+  return history.map(m => {
+    if (m.role === 'assistant' && m.places?.length > 0) {
+      const content = m.content ? `${m.content}\n\n` : '';
+      return {
+        role: 'assistant',
+        content: `${content}Places shown:\n${describePlaces(m.places)}`,
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+/**
+ * Places an answer showed, from its streamed payloads
+ * Mirrors what the frontend sends back with each assistant message, so
+ * stored conversations resolve follow-ups the same way.
+ * @param {Object} payloads - Event data by type (places, place_details, itinerary, ...)
+ * @returns {Array} Places, or an empty array
+ */
+export function shownPlaces(payloads) {
+  if (payloads.itinerary) return payloads.itinerary.stops.filter(stop => stop.place).map(stop => stop.place);
+  if (payloads.comparison) return payloads.comparison.places;
+  if (payloads.review_summary?.place) return [payloads.review_summary.place];
+  if (payloads.places?.length > 0) return payloads.places;
+  if (payloads.place_details) return [payloads.place_details];
+  return [];
+}
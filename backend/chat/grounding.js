@@ -0,0 +1,177 @@
+/**
+ * Grounding checks for generated answers
+ * Finds place names, ratings and distances in the answer text and checks
+ * them against the places the answer was generated from. Names are found in
+ * bold, at the head of list items and after a recommendation ("I recommend
+ * Din Tai Fung"); a name in any other prose goes unchecked.
+ */
+
+// A rating may be off by rounding ("4.5" for 4.46); distances by formatting
+const RATING_TOLERANCE = 0.05;
+const DISTANCE_TOLERANCE = 0.15;
+const MIN_DISTANCE_TOLERANCE_KM = 0.1;
+
+// Bold spans ("**Cafe One**") and list item heads ("- Cafe One - 4.5★")
+const BOLD_PATTERN = /\*\*([^*\n]+)\*\*|__([^_\n]+)__/g;
+const LIST_HEAD_PATTERN = /^[ \t]*(?:[-*•]|\d+[.)])[ \t]+([^*_\n:()[\]–—-]{2,60}?)(?=[ \t]+[-–—([]|:)/gm;
+// Capitalized words after a recommendation: "I recommend Din Tai Fung", "try the Simple Kaffa"
+const PROSE_NAME_PATTERN = /\b(?:[Rr]ecommend|[Ss]uggest|[Tt]ry|[Vv]isit|[Cc]heck out|[Hh]ead (?:over )?to|[Gg]o to|[Ss]top by)(?:s|ing)?[ \t]+(?:the[ \t]+)?([\p{Lu}\d][\p{L}\p{N}'’&-]*(?:[ \t]+(?:(?:of|the|de|&)[ \t]+)?[\p{Lu}\d][\p{L}\p{N}'’&-]*){0,5})/gu;
+const RATING_PATTERN = /\b(?:rated|rating(?: of)?:?)\s*([0-5](?:\.\d)?)\b|\b([0-5](?:\.\d)?)\s*(?:★|⭐|\/\s*5\b|stars?\b)/gi;
+const DISTANCE_PATTERN = /\b(\d+(?:\.\d+)?)\s*(km|kilomet(?:er|re)s?|m|met(?:er|re)s?|mi|miles?)\b/gi;
+
+const KM_PER_UNIT = { k: 1, m: 0.001, mi: 1.609344 };
+
+/**
+ * Lowercase, strip accents and punctuation for loose name comparison
+ */
+function normalizeName(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Find the place a name in the answer refers to
+ * Models shorten names ("Cafe One" for "Cafe One Xinyi"), so containment
+ * and most-words-shared both count.
+ */
+function matchPlaceName(name, places) {
+  const claim = normalizeName(name);
+  if (claim.length < 2) return null;
+  const claimWords = claim.split(' ');
+
+  return places.find(place => {
+    if (!place.name) return false;
+    const actual = normalizeName(place.name);
+    if (actual === claim) return true;
+    if (claim.length >= 3 && (actual.includes(claim) || claim.includes(actual))) return true;
+    const actualWords = new Set(actual.split(' '));
+    const shared = claimWords.filter(word => actualWords.has(word)).length;
+    return shared / claimWords.length >= 0.6;
+  }) || null;
+}
+
+/**
+ * Whether a bold or list-head span reads like a place name rather than a
+ * rating, distance or label
+ */
+function looksLikeName(text) {
+  const trimmed = text.trim();
+  if (!trimmed || /^[\d.,\s★⭐$/%-]+$/.test(trimmed)) return false;
+  if (trimmed.split(/\s+/).length > 8) return false;
+  // Latin names are capitalized; other scripts have no case
+  const first = trimmed[0];
+  return first !== first.toLowerCase() || first === first.toUpperCase();
+}
+
+function toKm(value, unit) {
+  const u = unit.toLowerCase();
+  if (u === 'mi' || u.startsWith('mile')) return value * KM_PER_UNIT.mi;
+  if (u === 'km' || u.startsWith('kilo')) return value * KM_PER_UNIT.k;
+  return value * KM_PER_UNIT.m;
+}
+
+function distanceMatches(km, place) {
+  if (typeof place.distance_km !== 'number') return false;
+  const tolerance = Math.max(MIN_DISTANCE_TOLERANCE_KM, place.distance_km * DISTANCE_TOLERANCE);
+  return Math.abs(place.distance_km - km) <= tolerance;
+}
+
+function ratingMatches(rating, place) {
+  return typeof place.rating === 'number' && Math.abs(place.rating - rating) <= RATING_TOLERANCE;
+}
+
+/**
+ * Collect name, rating and distance claims with their positions in the text
+ */
+function findClaims(text) {
+  const claims = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+
+  const add = (kind, value, start, end) => {
+    if (overlaps(start, end)) return;
+    taken.push([start, end]);
+    claims.push({ kind, value, text: text.slice(start, end), start, end });
+  };
+
+  for (const match of text.matchAll(RATING_PATTERN)) {
+    const value = parseFloat(match[1] ?? match[2]);
+    add('rating', value, match.index, match.index + match[0].length);
+  }
+  for (const match of text.matchAll(DISTANCE_PATTERN)) {
+    add('distance', toKm(parseFloat(match[1]), match[2]), match.index, match.index + match[0].length);
+  }
+  for (const match of text.matchAll(BOLD_PATTERN)) {
+    const name = (match[1] ?? match[2]).trim();
+    if (!looksLikeName(name)) continue;
+    const start = match.index + match[0].indexOf(name);
+    add('name', name, start, start + name.length);
+  }
+  for (const pattern of [LIST_HEAD_PATTERN, PROSE_NAME_PATTERN]) {
+    for (const match of text.matchAll(pattern)) {
+      const name = match[1].trim();
+      if (!looksLikeName(name)) continue;
+      const start = match.index + match[0].lastIndexOf(name);
+      add('name', name, start, start + name.length);
+    }
+  }
+
+  return claims.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check the claims in an answer against the places it was generated from
+ * Ratings and distances are checked against the place named earlier on the
+ * same line, or against any place when the line names none. A line naming
+ * an unknown place has nothing to check them against, and with no places
+ * every claim is unverified.
+ * @param {string} text - Generated answer
+ * @param {Array} places - Places given to the model
+ * @returns {{claims: Array, unverified: number}} Claims as
+ *   {kind, text, start, end, verified, place_id}
+ */
+export function checkGrounding(text, places = []) {
+  const claims = [];
+  let subject = null;
+  let unknownSubject = false;
+  let line = -1;
+
+  for (const claim of findClaims(text)) {
+    const claimLine = text.slice(0, claim.start).split('\n').length;
+    if (claimLine !== line) {
+      line = claimLine;
+      subject = places.length === 1 ? places[0] : null;
+      unknownSubject = false;
+    }
+
+    let place = null;
+    if (claim.kind === 'name') {
+      place = matchPlaceName(claim.value, places);
+      subject = place;
+      unknownSubject = !place;
+    } else if (!unknownSubject) {
+      const matches = claim.kind === 'rating' ? ratingMatches : distanceMatches;
+      place = subject
+        ? (matches(claim.value, subject) ? subject : null)
+        : places.find(p => matches(claim.value, p)) || null;
+    }
+
+    claims.push({
+      kind: claim.kind,
+      text: claim.text,
+      start: claim.start,
+      end: claim.end,
+      verified: !!place,
+      place_id: place?.place_id || null,
+    });
+  }
+
+  return {
+    claims,
+    unverified: claims.filter(claim => !claim.verified).length,
+  };
+}
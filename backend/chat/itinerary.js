@@ -0,0 +1,170 @@
+/**
+ * Itinerary planner
+ * Turns an ordered list of stops ("coffee", "museum", "dinner") into places:
+ * each stop is searched near the previous one, and consecutive stops are
+ * joined with directions
+ */
+
+import { searchPlaces, geocodeLocation, calculateDistance } from '../maps/places.js';
+import { getDirections, buildNavigationUrl } from '../maps/directions.js';
+import { isAbortError } from '../abort.js';
+
+// How hard each extra km between stops counts against a candidate's rating
+const DISTANCE_PENALTY_PER_KM = {
+  walking: 0.8,
+  bicycling: 0.3,
+  transit: 0.15,
+  driving: 0.1,
+};
+
+// Search bias radius around the previous stop, in meters
+const SEARCH_RADIUS = {
+  walking: 1500,
+  bicycling: 4000,
+  transit: 8000,
+  driving: 10000,
+};
+
+const CANDIDATES_PER_STOP = 5;
+const ALTERNATIVES_PER_STOP = 2;
+
+/**
+ * Score a candidate: good ratings with enough reviews, close to the previous stop
+ */
+function scoreCandidate(place, hopKm, mode) {
+  const rating = place.rating ?? 3.5;
+  const confidence = Math.min(Math.log10((place.user_ratings_total || 0) + 1), 3) * 0.2;
+  return rating + confidence - (hopKm ?? 0) * DISTANCE_PENALTY_PER_KM[mode];
+}
+
+/**
+ * Format a duration in seconds like Google does ("1 hour 5 mins")
+ */
+export function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min${minutes === 1 ? '' : 's'}`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}${rest ? ` ${rest} min${rest === 1 ? '' : 's'}` : ''}`;
+}
+
+/**
+ * Pick a place for one stop near the previous point
+ * @returns {Promise<{place: Object|null, alternatives: Array, hop_km: number|null}>}
+ */
+async function pickStop(client, query, { previous, area, mode, used, userLocation, language, signal }) {
+  const response = await searchPlaces(client, {
+    query,
+    // Without a point to search around, name the area in the query instead
+    location: previous ? { lat: previous.lat, lng: previous.lng } : (area || undefined),
+    radius: SEARCH_RADIUS[mode],
+    userLocation,
+    language,
+    signal,
+  });
+
+  const ranked = (response.results || [])
+    .filter(p => p.lat && p.lng && !used.has(p.place_id) && !p.permanently_closed)
+    .slice(0, CANDIDATES_PER_STOP)
+    .map(place => {
+      const hopKm = previous ? calculateDistance(previous.lat, previous.lng, place.lat, place.lng) : null;
+      return { place, hopKm, score: scoreCandidate(place, hopKm, mode) };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length === 0) return { place: null, alternatives: [], hop_km: null };
+
+  return {
+    place: ranked[0].place,
+    alternatives: ranked.slice(1, 1 + ALTERNATIVES_PER_STOP).map(r => r.place),
+    hop_km: ranked[0].hopKm,
+  };
+}
+
+/**
+ * Route between two chosen stops
+ */
+async function routeBetween(client, from, to, { mode, language, signal }) {
+  try {
+    const response = await getDirections(client, {
+      origin: `place_id:${from.place_id}`,
+      destination: `place_id:${to.place_id}`,
+      mode,
+      language,
+      signal,
+    });
+    const route = response.result?.routes[0];
+    const leg = route?.legs[0];
+    if (!leg) return null;
+    return {
+      distance: leg.distance.text,
+      distance_meters: leg.distance.value,
+      duration: leg.duration.text,
+      duration_seconds: leg.duration.value,
+      polyline: route.overview_polyline,
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn(`[ITINERARY] Directions failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Plan an itinerary
+ * @param {Client} client - Google Maps client
+ * @param {Object} options - Plan options
+ * @param {string[]} options.stops - What to visit, in order
+ * @param {string} options.area - Where the plan takes place (optional, defaults to the user)
+ * @param {string} options.mode - Travel mode between stops (default: walking)
+ * @param {Object} options.userLocation - User's location {lat, lng}
+ * @param {string} options.language - Language code for results
+ * @param {AbortSignal} options.signal - Cancels the lookups (optional)
+ * @returns {Promise<Object>} {area, mode, stops: [{query, place, alternatives, hop_km}],
+ *   legs: [{from, to, distance, duration, duration_seconds, polyline, navigation_url}],
+ *   total_duration, total_duration_seconds}
+ */
+export async function planItinerary(client, { stops, area = null, mode = 'walking', userLocation = null, language, signal }) {
+  let previous = area ? await geocodeLocation(client, area, { signal, language }) : null;
+  if (!previous && userLocation) previous = userLocation;
+
+  // Stops are searched one after another: each one is searched near the last pick
+  const planned = [];
+  const used = new Set();
+  for (const query of stops) {
+    const stop = await pickStop(client, query, { previous, area, mode, used, userLocation, language, signal });
+    planned.push({ query, ...stop });
+    if (stop.place) {
+      used.add(stop.place.place_id);
+      previous = stop.place;
+    }
+  }
+
+  const visited = planned.map((stop, index) => ({ ...stop, index })).filter(stop => stop.place);
+  const legs = await Promise.all(visited.slice(1).map(async (to, i) => {
+    const from = visited[i];
+    const route = await routeBetween(client, from.place, to.place, { mode, language, signal });
+    return {
+      from: from.index,
+      to: to.index,
+      ...(route || { distance: null, duration: null, duration_seconds: null, polyline: null }),
+      navigation_url: buildNavigationUrl({
+        origin: from.place.name,
+        destination: to.place.name,
+        destinationPlaceId: to.place.place_id,
+        mode,
+      }),
+    };
+  }));
+
+  const totalSeconds = legs.reduce((sum, leg) => sum + (leg.duration_seconds || 0), 0);
+
+  return {
+    area,
+    mode,
+    stops: planned,
+    legs,
+    total_duration: totalSeconds > 0 ? formatDuration(totalSeconds) : null,
+    total_duration_seconds: totalSeconds,
+  };
+}
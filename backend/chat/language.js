@@ -0,0 +1,92 @@
+/**
+ * Reply language
+ * Detects the language of the user's message from its script, falling back
+ * to the locale the client sends, and maps it to a Google Maps language code
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Google Maps language codes the prompts know a name for
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  'zh-TW': 'Traditional Chinese',
+  'zh-CN': 'Simplified Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  th: 'Thai',
+  vi: 'Vietnamese',
+  id: 'Indonesian',
+  ms: 'Malay',
+  fr: 'French',
+  de: 'German',
+  es: 'Spanish',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ru: 'Russian',
+  ar: 'Arabic',
+};
+
+// Common characters that only exist in Simplified Chinese
+const SIMPLIFIED_ONLY = /[们这说时国会过还没么样东车门馆区边厅场铁张开关买卖问题请谁让给见电话际]/;
+
+/**
+ * Detect a language from the characters used
+ * Latin-script languages can't be told apart this way (except Vietnamese) -
+ * they return null and the client locale decides. Vietnamese is recognized
+ * by letters no other Latin-script language uses.
+ * @param {string} text - User message
+ * @returns {string|null} Language code
+ */
+export function detectLanguage(text) {
+  if (!text) return null;
+
+  // Kana means Japanese even when most of the text is kanji
+  if (/[\u3040-\u30ff]/.test(text)) return 'ja';
+  if (/[\uac00-\ud7af]/.test(text)) return 'ko';
+  if (/[\u4e00-\u9fff]/.test(text)) return SIMPLIFIED_ONLY.test(text) ? 'zh-CN' : 'zh-TW';
+  if (/[\u0e00-\u0e7f]/.test(text)) return 'th';
+  if (/[\u0400-\u04ff]/.test(text)) return 'ru';
+  if (/[\u0600-\u06ff]/.test(text)) return 'ar';
+  if (/[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/i.test(text)) return 'vi';
+
+  return null;
+}
+
+/**
+ * Map a BCP 47 locale ("zh-Hant-TW", "ja-JP", "en-US") to a language code
+ * @param {string} locale - Client locale
+ * @returns {string|null} Supported language code, or null
+ */
+export function normalizeLocale(locale) {
+  if (typeof locale !== 'string' || !locale.trim()) return null;
+
+  const parts = locale.trim().replace(/_/g, '-').split('-');
+  const base = parts[0].toLowerCase();
+  const rest = parts.slice(1).map(part => part.toLowerCase());
+
+  if (base === 'zh') {
+    const simplified = rest.includes('hans') || rest.includes('cn') || rest.includes('sg');
+    return simplified ? 'zh-CN' : 'zh-TW';
+  }
+  return LANGUAGE_NAMES[base] ? base : null;
+}
+
+/**
+ * Pick the language to search and answer in
+ * The message's own script wins over the locale - a user with an English
+ * browser typing in Japanese wants Japanese.
+ * @param {string} text - User message
+ * @param {string} locale - Client locale (optional)
+ * @returns {string} Language code
+ */
+export function resolveLanguage(text, locale = null) {
+  return detectLanguage(text) || normalizeLocale(locale) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * System prompt line asking the model to answer in the user's language
+ */
+export function languageInstruction(language) {
+  const name = LANGUAGE_NAMES[language] || LANGUAGE_NAMES[DEFAULT_LANGUAGE];
+  return `Always reply in ${name}, the language the user writes in. Keep place names as given.`;
+}
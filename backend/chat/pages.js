@@ -0,0 +1,113 @@
+/**
+ * Result pages
+ * Google returns up to 20 text search results at a time with a
+ * next_page_token for the next 20 (60 in all). Tokens are kept here behind
+ * opaque cursors, together with how the first page was filtered (area,
+ * constraints, preferences, distance origin), so "Show more" and "show me
+ * more" continue a search the same way. Cursors live in memory; Google's
+ * tokens expire after a few minutes anyway.
+ */
+
+import crypto from 'crypto';
+import { searchPlaces, searchNearby } from '../maps/places.js';
+import { containsPoint } from '../maps/geometry.js';
+import { needsDetails, enrichWithDetails, applyConstraints } from './constraints.js';
+import { applyPreferences, preferencesNeedDetails } from './profile.js';
+
+const CURSOR_TTL_MS = 30 * 60 * 1000;
+const MAX_CURSORS = 1000;
+
+const cursors = new Map();
+
+/**
+ * Store a next_page_token behind a cursor
+ * @param {string|null} token - next_page_token from searchPlaces
+ * @param {Object} search - How to fetch and filter the next page: {userLocation, distanceFrom,
+ *   language, nearby, area, constraints, preferences, apply, anchor}, all optional; nearby marks
+ *   a token from searchNearby
+ * @returns {string|null} Cursor, or null when there is no next page
+ */
+export function createCursor(token, search = {}) {
+  if (!token) return null;
+
+  const id = crypto.randomBytes(12).toString('base64url');
+  cursors.set(id, { token, search, at: Date.now() });
+  // Map keeps insertion order: the first key is the oldest
+  if (cursors.size > MAX_CURSORS) cursors.delete(cursors.keys().next().value);
+  return id;
+}
+
+/**
+ * Look up a cursor
+ * @returns {{token: string, search: Object}|null} null when unknown or expired
+ */
+function getCursor(id) {
+  const entry = cursors.get(id);
+  if (!entry) return null;
+  if (Date.now() - entry.at > CURSOR_TTL_MS) {
+    cursors.delete(id);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Remember which stored chat message a cursor's pages belong to
+ * Later cursors of the same search share the binding.
+ * @param {string} id - Cursor
+ * @param {Object} message - {conversationId, messageId}
+ */
+export function bindCursor(id, message) {
+  const entry = getCursor(id);
+  if (entry) entry.search.message = message;
+}
+
+/**
+ * Fetch and filter the next page of a search
+ * @param {Client} client - Google Maps client
+ * @param {string} cursor - Cursor from createCursor
+ * @param {Object} options - {signal}
+ * @returns {Promise<Object|null>} {places, removed, unchecked, filters, preferences, search_center, next_cursor, search}, or
+ *   {error} when Google fails, null when the cursor is unknown or expired; filters and preferences are what
+ *   applyConstraints and applyPreferences applied
+ */
+export async function fetchNextPage(client, cursor, { signal } = {}) {
+  const entry = getCursor(cursor);
+  if (!entry) return null;
+  const { token, search } = entry;
+
+  // Nearby tokens only work on the nearby endpoint
+  const find = search.nearby ? searchNearby : searchPlaces;
+  const response = await find(client, {
+    pageToken: token,
+    userLocation: search.userLocation,
+    distanceFrom: search.distanceFrom,
+    language: search.language,
+    signal,
+  });
+  if (response.error) return { error: response.error };
+
+  let places = response.results;
+  if (search.area) places = places.filter(place => containsPoint(search.area, place));
+  const outside = response.results.length - places.length;
+
+  const constraints = search.constraints || {};
+  const preferences = search.preferences || {};
+  if (needsDetails(constraints) || preferencesNeedDetails(preferences, search.apply)) {
+    places = await enrichWithDetails(client, places, search.userLocation, { signal, language: search.language });
+  }
+  const filtered = applyConstraints(places, constraints);
+  const preferred = applyPreferences(filtered.places, preferences, search.apply);
+
+  return {
+    places: preferred.places,
+    removed: outside + filtered.removed + preferred.removed,
+    unchecked: filtered.unchecked + preferred.unchecked,
+    filters: filtered.applied,
+    preferences: preferred,
+    search_center: response.search_center,
+    // A copy, so binding the new cursor to another message leaves this one alone
+    next_cursor: createCursor(response.next_page_token, { ...search }),
+    search,
+  };
+}
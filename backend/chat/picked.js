@@ -0,0 +1,84 @@
+/**
+ * Picked places
+ * Places the user chose from autocomplete suggestions while typing. They
+ * travel with the message as {place_id, description, main_text, session_token};
+ * a location in the message that names one is looked up by place_id instead
+ * of being geocoded from its text.
+ */
+
+import { geocodeLocation, locatePlace } from '../maps/places.js';
+
+const MAX_PICKED_PLACES = 5;
+
+// "taipei 101, xinyi" starts with "taipei 101", but "taipei 101" doesn't start with "taipei 1"
+const startsWithWord = (text, prefix) => text.startsWith(prefix) && !/[a-z0-9]/.test(text[prefix.length] || '');
+
+const str = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+
+/**
+ * Sanitize the picked places sent with a message
+ * @param {Array} picked - Raw picked_places from the request
+ * @returns {Array<{place_id: string, description: string, main_text: string, session_token: string|null}>}
+ */
+export function normalizePickedPlaces(picked) {
+  if (!Array.isArray(picked)) return [];
+
+  return picked
+    .filter(p => p && typeof p === 'object')
+    .map(p => {
+      const description = str(p.description, 300);
+      return {
+        place_id: str(p.place_id, 300),
+        description,
+        main_text: str(p.main_text, 200) || description,
+        session_token: str(p.session_token, 100),
+      };
+    })
+    .filter(p => p.place_id && p.description)
+    .slice(0, MAX_PICKED_PLACES);
+}
+
+/**
+ * Find the picked place a location phrase refers to
+ * "Taipei 101" matches the suggestion "Taipei 101, Xinyi District, Taipei City".
+ * @param {string} name - Location as extracted from the message
+ * @param {Array} picked - Normalized picked places
+ * @returns {Object|null}
+ */
+export function findPickedPlace(name, picked) {
+  if (!name || !picked?.length) return null;
+
+  const text = name.toLowerCase().trim();
+  return picked.find(p => {
+    const description = p.description.toLowerCase();
+    const main = p.main_text.toLowerCase();
+    return text === main || startsWithWord(description, text) || startsWithWord(text, main);
+  }) || null;
+}
+
+/**
+ * Coordinates of a named location: from a picked place when one matches,
+ * otherwise geocoded
+ * @param {Client} client - Google Maps client
+ * @param {string} name - Location as extracted from the message
+ * @param {Array} picked - Normalized picked places
+ * @param {Object} options - {signal, language}
+ * @returns {Promise<{lat: number, lng: number}|null>}
+ */
+export async function locateNamedPlace(client, name, picked, { signal, language } = {}) {
+  const match = findPickedPlace(name, picked);
+  if (match) {
+    // Looked up once per message, however many handlers ask
+    match.located = match.located || locatePlace(client, match.place_id, {
+      sessionToken: match.session_token,
+      signal,
+      language,
+    });
+    const place = await match.located;
+    if (place) {
+      console.log(`[PICKED] "${name}" -> ${match.place_id}`);
+      return { lat: place.lat, lng: place.lng };
+    }
+  }
+  return geocodeLocation(client, name, { signal, language });
+}
@@ -0,0 +1,154 @@
+/**
+ * Preference profile
+ * Standing preferences (budget, minimum rating, attributes such as
+ * vegetarian-friendly or wheelchair accessible, travel mode) applied to every
+ * search on top of what the message asks for. The message wins where both set
+ * the same field. Preferences either filter results out or only move the
+ * places that match them up the list.
+ */
+
+import { PLACE_ATTRIBUTES, describeConstraints, matchesConstraints, needsDetails, countUnchecked } from './constraints.js';
+import { validateSchema } from './schema.js';
+
+export const TRAVEL_MODES = ['driving', 'walking', 'bicycling', 'transit'];
+
+export const DEFAULT_PROFILE = {
+  price_max: null,
+  min_rating: null,
+  attributes: [],
+  travel_mode: null,
+  // "filter" drops places that don't match, "rerank" lists matching places first
+  apply: 'filter',
+};
+
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    price_max: { type: ['integer', 'null'], minimum: 0, maximum: 4 },
+    min_rating: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+    attributes: { type: 'array', items: { type: 'string', enum: Object.keys(PLACE_ATTRIBUTES) } },
+    travel_mode: { type: ['string', 'null'], enum: [...TRAVEL_MODES, null] },
+    apply: { type: 'string', enum: ['filter', 'rerank'] },
+  },
+};
+
+/**
+ * Check a profile update
+ * @param {Object} profile - Fields to set (missing fields keep their value)
+ * @returns {string[]} Error messages; empty when valid
+ */
+export function validateProfile(profile) {
+  return validateSchema(profile, PROFILE_SCHEMA, 'profile');
+}
+
+/**
+ * Fill in defaults and drop duplicate attributes
+ * @param {Object} profile - Stored profile (may be partial or null)
+ * @returns {Object} Complete profile
+ */
+export function normalizeProfile(profile) {
+  const merged = { ...DEFAULT_PROFILE, ...profile };
+  return { ...merged, attributes: [...new Set(merged.attributes || [])] };
+}
+
+/**
+ * Constraints a profile adds to a search
+ * Fields the message already constrains are left to the message: "anywhere
+ * fancy" with a $$ budget isn't capped at $$.
+ * @param {Object} profile - Preference profile (or null)
+ * @param {Object} constraints - Constraints extracted from the message
+ * @returns {Object} Constraints in the normalizeConstraints format
+ */
+export function preferenceConstraints(profile, constraints = {}) {
+  const preferences = {};
+  if (!profile) return preferences;
+
+  const setsPrice = constraints.price_max !== undefined || constraints.price_min !== undefined;
+  if (profile.price_max !== null && profile.price_max !== undefined && !setsPrice) {
+    preferences.price_max = profile.price_max;
+  }
+  if (profile.min_rating && !constraints.min_rating) {
+    preferences.min_rating = profile.min_rating;
+  }
+  const attributes = (profile.attributes || []).filter(a => !constraints.attributes?.includes(a));
+  if (attributes.length > 0) preferences.attributes = attributes;
+
+  return preferences;
+}
+
+/**
+ * Split constraints into one check per field and attribute
+ */
+function splitConstraints(constraints) {
+  const { attributes = [], ...fields } = constraints;
+  return [
+    ...Object.entries(fields).map(([key, value]) => ({ [key]: value })),
+    ...attributes.map(attribute => ({ attributes: [attribute] })),
+  ];
+}
+
+/**
+ * Whether applying preferences needs Place Details lookups
+ * Only filtering does: reranking sorts on what the search results already
+ * carry, so a saved profile doesn't cost a details call per result. See
+ * applyPreferences for the attributes that leaves unchecked.
+ * @param {Object} preferences - From preferenceConstraints
+ * @param {string} apply - "filter" or "rerank"
+ */
+export function preferencesNeedDetails(preferences, apply = 'filter') {
+  return apply !== 'rerank' && needsDetails(preferences);
+}
+
+/**
+ * Keep the preferences reranking can check on these places
+ * Attributes only come with Place Details, which reranking doesn't look up:
+ * one that no place carries can't move anything, so it isn't claimed either.
+ */
+function rerankablePreferences(places, preferences) {
+  const { attributes = [], ...fields } = preferences;
+  const known = attributes.filter(attribute => places.some(place => typeof place[attribute] === 'boolean'));
+  return known.length > 0 ? { ...fields, attributes: known } : fields;
+}
+
+/**
+ * Apply preference constraints to places
+ * Filtering keeps the places that meet every preference; reranking keeps them
+ * all and sorts by how many preferences each meets, keeping Google's order
+ * among equals. Only the preferences reranking could check are reported.
+ * @param {Array} places - Search results (enriched when needsDetails)
+ * @param {Object} preferences - From preferenceConstraints
+ * @param {string} apply - "filter" or "rerank"
+ * @returns {{places: Array, applied: string[], removed: number, unchecked: number, apply: string}} unchecked as in
+ *   applyConstraints
+ */
+export function applyPreferences(places, preferences, apply = 'filter') {
+  const applied = describeConstraints(preferences);
+  if (applied.length === 0) return { places, applied, removed: 0, unchecked: 0, apply };
+
+  if (apply === 'rerank') {
+    const rerankable = rerankablePreferences(places, preferences);
+    const checks = splitConstraints(rerankable);
+    const ranked = places
+      .map((place, index) => ({ place, index, score: checks.filter(check => matchesConstraints(place, check)).length }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(entry => entry.place);
+    return { places: ranked, applied: describeConstraints(rerankable), removed: 0, unchecked: 0, apply };
+  }
+
+  const filtered = places.filter(place => matchesConstraints(place, preferences));
+  const unchecked = needsDetails(preferences) ? countUnchecked(places, filtered) : 0;
+  return { places: filtered, applied, removed: places.length - filtered.length, unchecked, apply };
+}
+
+/**
+ * Describe applied preferences for the answer ("filtered to vegetarian-friendly")
+ * @param {Object} result - From applyPreferences
+ * @returns {string|null}
+ */
+export function describePreferences({ applied, apply }) {
+  if (!applied || applied.length === 0) return null;
+  return apply === 'rerank'
+    ? `${applied.join(', ')} places listed first`
+    : `filtered to ${applied.join(', ')}`;
+}
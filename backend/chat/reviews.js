@@ -0,0 +1,168 @@
+/**
+ * Review summaries
+ * Runs a place's reviews and editorial summary through the LLM to get pros,
+ * cons, often mentioned dishes or features and a sentiment score. Review text
+ * is written by strangers, so it only ever goes to the model as quoted data.
+ */
+
+import { getPlaceDetails } from '../maps/places.js';
+import { validateSchema } from './schema.js';
+import { languageInstruction } from './language.js';
+import { renderPrompt } from '../prompts/index.js';
+import { linkSignals, isAbortError } from '../abort.js';
+
+// Summaries are kept per place and language; reviews don't change by the minute
+const SUMMARY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHED_SUMMARIES = 500;
+
+const SUMMARY_TIMEOUT_MS = 20000;
+const MAX_REVIEW_CHARS = 1000;
+const MAX_ITEMS = 5;
+const MAX_ITEM_CHARS = 80;
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['pros', 'cons', 'mentions', 'sentiment'],
+  properties: {
+    pros: { type: 'array', items: { type: 'string' } },
+    cons: { type: 'array', items: { type: 'string' } },
+    mentions: { type: 'array', items: { type: 'string' } },
+    sentiment: { type: 'number', minimum: -1, maximum: 1 },
+  },
+};
+
+const cache = new Map();
+
+/**
+ * Make review text safe to quote: no control characters, no closing tag, bounded length
+ */
+function quoteUntrusted(text) {
+  return JSON.stringify(
+    String(text || '')
+      .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+      .replace(/<\/?reviews>/gi, '')
+      .trim()
+      .slice(0, MAX_REVIEW_CHARS)
+  );
+}
+
+/**
+ * Trim the model's lists: strings only, short, deduplicated
+ */
+function cleanItems(items) {
+  const seen = new Set();
+  return items
+    .map(item => item.trim().slice(0, MAX_ITEM_CHARS))
+    .filter(item => item && !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()))
+    .slice(0, MAX_ITEMS);
+}
+
+/**
+ * Average star rating of the reviews themselves (not the place's overall rating)
+ */
+function averageRating(reviews) {
+  const rated = reviews.filter(review => typeof review.rating === 'number');
+  if (rated.length === 0) return null;
+  return Math.round((rated.reduce((sum, review) => sum + review.rating, 0) / rated.length) * 10) / 10;
+}
+
+/**
+ * Summarize a place's reviews
+ * Without a model (or when it fails) the summary only carries the review
+ * ratings, marked source "ratings", and is not cached.
+ * @param {LLMProvider|null} llm - LLM provider
+ * @param {Object} place - Place details with reviews and editorial_summary
+ * @param {Object} options - Summary options
+ * @param {string} options.language - Language to write the summary in
+ * @param {AbortSignal} options.signal - Cancels the generation (optional)
+ * @returns {Promise<Object>} {place_id, name, pros, cons, mentions, sentiment,
+ *   review_count, average_review_rating, source, prompt, generated_at}
+ */
+export async function summarizeReviews(llm, place, { language, signal } = {}) {
+  const reviews = (place.reviews || []).filter(review => review.text);
+  const summary = {
+    place_id: place.place_id,
+    name: place.name,
+    pros: [],
+    cons: [],
+    mentions: [],
+    sentiment: null,
+    review_count: reviews.length,
+    average_review_rating: averageRating(place.reviews || []),
+    source: 'ratings',
+    generated_at: new Date().toISOString(),
+  };
+
+  if (!llm || (reviews.length === 0 && !place.editorial_summary)) return summary;
+
+  const data = [
+    `Place: ${quoteUntrusted(place.name)}`,
+    place.editorial_summary ? `Editorial summary: ${quoteUntrusted(place.editorial_summary)}` : null,
+    '<reviews>',
+    ...reviews.map(review => `{"rating": ${Number(review.rating) || null}, "text": ${quoteUntrusted(review.text)}}`),
+    '</reviews>',
+  ].filter(Boolean).join('\n');
+
+  const prompt = renderPrompt('review_summary', { language_instruction: languageInstruction(language) }, { model: llm.model });
+
+  try {
+    const { content } = await llm.chat({
+      purpose: 'review_summary',
+      messages: [
+        { role: 'system', content: prompt.text },
+        { role: 'user', content: data },
+      ],
+      json: true,
+      maxTokens: 300,
+      signal: linkSignals(signal, AbortSignal.timeout(SUMMARY_TIMEOUT_MS)),
+    });
+
+    const parsed = JSON.parse(content || '{}');
+    const errors = validateSchema(parsed, SUMMARY_SCHEMA);
+    if (errors.length > 0) {
+      throw new Error(`Schema validation failed: ${errors.join('; ')}`);
+    }
+
+    return {
+      ...summary,
+      pros: cleanItems(parsed.pros),
+      cons: cleanItems(parsed.cons),
+      mentions: cleanItems(parsed.mentions),
+      sentiment: Math.round(parsed.sentiment * 100) / 100,
+      source: 'llm',
+      prompt: { id: prompt.id, version: prompt.version, variant: prompt.variant },
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`[REVIEWS] Summary failed for ${place.place_id}: ${isAbortError(error) ? 'timeout' : error.message}`);
+    return summary;
+  }
+}
+
+/**
+ * Get a place's review summary, from the cache when possible
+ * @param {Client} client - Google Maps client
+ * @param {LLMProvider|null} llm - LLM provider
+ * @param {string} placeId - Google Place ID
+ * @param {Object} options - {language, signal}
+ * @returns {Promise<Object|null>} Summary, or null when the place has no details
+ */
+export async function getReviewSummary(client, llm, placeId, { language, signal } = {}) {
+  const key = `${placeId}:${language || ''}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.at < SUMMARY_TTL_MS) {
+    return { ...cached.summary, cached: true };
+  }
+
+  const details = await getPlaceDetails(client, placeId, null, { language, signal });
+  if (!details.result) return null;
+
+  const summary = await summarizeReviews(llm, details.result, { language, signal });
+  if (summary.source === 'llm') {
+    cache.delete(key);
+    cache.set(key, { summary, at: Date.now() });
+    // Map keeps insertion order: the first key is the oldest
+    if (cache.size > MAX_CACHED_SUMMARIES) cache.delete(cache.keys().next().value);
+  }
+  return { ...summary, cached: false };
+}
@@ -0,0 +1,330 @@
+/**
+ * Intent router
+ * Decides which handler answers a chat message. Obvious phrasings are
+ * matched by rules; everything else is classified by the LLM (prompts/router.md).
+ */
+
+import { MAX_COMPARE_PLACES } from './compare.js';
+import { placeTypeFor } from '../maps/placeTypes.js';
+
+export const INTENTS = ['search', 'directions', 'details', 'distance', 'reverse_geocode', 'itinerary', 'compare', 'reviews', 'more', 'chat'];
+
+const TRAVEL_MODES = ['driving', 'walking', 'bicycling', 'transit'];
+
+// Itineraries longer than this are trimmed - each stop costs a search and a route
+const MAX_ITINERARY_STOPS = 6;
+
+// Words that chain stops: "coffee, then a museum, then dinner"
+const SEQUENCE_SPLIT = /\s*,?\s*(?:and\s+)?(?:then|after that|afterwards|followed by|and finally|finally)\s+|\s*(?:->|→)\s*/i;
+
+// Asking for a plan outright: any stops will do
+const PLANNING_CUE = /\b(?:plan|planning|itinerary|route)\b|->|→/i;
+
+// Stops that name no place type: "then dinner", "then dessert"
+const STOP_CATEGORY = /\b(?:breakfast|brunch|lunch|dinner|dessert|drinks?|snacks?|food|tea|boba|ice cream|shopping|sightseeing|night market|market|temple|shrine|hike|walk|view|sunset)\b/i;
+
+// Words that name a kind of food or place rather than one place: "sushi", "cheap ramen shops"
+const CATEGORY_WORDS = /^(?:sushi|ramen|udon|soba|pizza|burgers?|noodles?|dumplings?|hot ?pot|bbq|barbecue|tacos?|curry|steak|seafood|vegan|vegetarian|thai|italian|japanese|korean|chinese|mexican|indian|french|vietnamese|coffee|cafes?|bubble|milk|good|best|cheap|nice|local|places?|shops?|spots?|stores?|joints?|food|restaurants?)$/i;
+
+// "ramen near me" - a location qualifier, not part of what is compared
+const LOCATION_QUALIFIER = /\s+(?:near|in|around|at|close to)\s+.+$|\s+(?:nearby|close by|around here)$/i;
+
+// "lunch at Din Tai Fung" - where a stop is, not what it is
+const STOP_PLACE = /\s+(?:at|in|near|around)\s+.+$/i;
+
+// Longest stop that still reads as a place rather than a sentence
+const MAX_STOP_WORDS = 3;
+
+// Filler before a stop: "first grab a coffee", "visit the museum"
+const STOP_FILLER = /^(?:(?:plan (?:a|my|our) (?:day|trip|itinerary|route)|i want to|i'd like to|let's|we want to|first|start with|grab|get|go to|visit|see|have|eat|do)\b[\s:,]*)+/i;
+
+// Separators between compared places: "A and B", "A, B and C", "A vs B"
+const COMPARE_SPLIT = /\s*,\s*(?:and\s+)?|\s+(?:and|with|to|vs\.?|versus)\s+/i;
+
+// A place in a comparison that is only an ordinal picks from the shown list: "compare the first and second"
+const ORDINAL_PLACE = /^(?:the\s+)?(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last|\d{1,2}(?:st|nd|rd|th))(?:\s+(one|place|result|option))?$/i;
+
+// "compare them" - the places already on screen
+const COMPARE_SHOWN = /^(?:them|these|those|both|all|all of them|(?:these|those|the) (?:places|ones|results))$/i;
+
+// "show me more", "next page" - the next page of the last search
+const MORE_RESULTS = /^(?:(?:can you |could you |please )?(?:show|give|find) (?:me )?(?:some )?more(?: results| places| options)?(?: please)?|more(?: results| places| options)?(?: please)?|next page|load more|(?:are there |any )(?:more|others|other (?:places|options))(?: nearby)?)[\s!.?]*$/i;
+
+// Words that mean "where the user is" rather than a named place
+const HERE_WORDS = /^(here|me|my location|my current location|current location|where i am|my place)$/i;
+
+/**
+ * Detect a travel mode mentioned in the text
+ * @returns {string|null} driving, walking, bicycling, transit or null
+ */
+export function detectTravelMode(text) {
+  const lower = text.toLowerCase();
+  if (/\b(walk|walking|on foot|stroll)\b/.test(lower)) return 'walking';
+  if (/\b(bike|biking|cycle|cycling|bicycle|bicycling)\b/.test(lower)) return 'bicycling';
+  if (/\b(transit|bus|train|mrt|metro|subway|public transport(ation)?)\b/.test(lower)) return 'transit';
+  if (/\b(drive|driving|car|taxi)\b/.test(lower)) return 'driving';
+  return null;
+}
+
+/**
+ * Clean a place phrase captured from a message
+ */
+function cleanPlace(text) {
+  if (!text) return null;
+  const cleaned = text
+    .replace(/\b(by|via|on) (foot|car|bus|train|mrt|metro|subway|bike|bicycle|transit|public transport(ation)?)\b.*$/i, '')
+    .replace(/\b(walking|driving|cycling|biking)\b.*$/i, '')
+    .replace(/[?!.]+$/, '')
+    .trim();
+  if (!cleaned || HERE_WORDS.test(cleaned)) return null;
+  return cleaned.slice(0, 200);
+}
+
+/**
+ * Parse "from X to Y" / "to Y" out of a message
+ */
+function parseEndpoints(text) {
+  const fromTo = text.match(/\bfrom\s+(.+?)\s+to\s+(.+)$/i);
+  if (fromTo) {
+    return { origin: cleanPlace(fromTo[1]), destination: cleanPlace(fromTo[2]) };
+  }
+  const between = text.match(/\bbetween\s+(.+?)\s+and\s+(.+)$/i);
+  if (between) {
+    return { origin: cleanPlace(between[1]), destination: cleanPlace(between[2]) };
+  }
+  // Last "to" wins: "how long to walk to Taipei 101" -> "Taipei 101"
+  const toOnly = text.match(/^.*\b(?:to|reach)\s+(.+)$/i);
+  if (toOnly) {
+    return { origin: null, destination: cleanPlace(toOnly[1]) };
+  }
+  return { origin: null, destination: null };
+}
+
+/**
+ * Strip filler and articles from an itinerary stop ("grab a coffee" -> "coffee")
+ */
+function cleanStop(text) {
+  const cleaned = cleanPlace(
+    text
+      .replace(STOP_FILLER, '')
+      .replace(/^(?:a|an|the|some)\s+/i, '')
+  );
+  return cleaned && cleaned.length > 1 ? cleaned : null;
+}
+
+/**
+ * Check whether a stop reads as a place or a kind of place
+ * "coffee", "a museum", "lunch at Din Tai Fung" and "Taipei 101" do; "I need
+ * food" and "restaurants good for kids" are sentences.
+ */
+function isStop(stop) {
+  const what = stop.replace(STOP_PLACE, '');
+  // A name: "Taipei 101", "Raohe Night Market"
+  if (/^(?:[A-Z0-9][\w'&.-]*)(?:\s+[A-Z0-9][\w'&.-]*)*$/.test(what) && what !== 'I') return true;
+  if (what.split(/\s+/).length > MAX_STOP_WORDS) return false;
+  return !!placeTypeFor(what) || STOP_CATEGORY.test(what);
+}
+
+/**
+ * Parse "coffee, then a museum, then dinner near Xinyi, on foot" into stops
+ * A trailing "near / in / around X" on the last stop applies to the whole plan.
+ * "Then" alone isn't enough ("pharmacy open now? then I need food"): every
+ * stop has to read as a place unless the message asks for a plan or route.
+ * @returns {{stops: string[], area: string|null, mode: string|null}|null}
+ */
+export function parseItinerary(text) {
+  const segments = text.trim().split(SEQUENCE_SPLIT).filter(Boolean);
+  if (segments.length < 2) return null;
+
+  // Drop a trailing travel mode: ", on foot" / "by bike"
+  let last = segments[segments.length - 1]
+    .replace(/,?\s*\b(?:on foot|walking|by (?:foot|car|bus|train|mrt|metro|subway|bike|bicycle|transit|public transport(?:ation)?)|driving|cycling|biking)\b.*$/i, '');
+
+  let area = null;
+  const areaMatch = last.match(/^(.+?)\s+(?:near|in|around|at)\s+(.+?)[\s,.!?]*$/i);
+  if (areaMatch) {
+    last = areaMatch[1];
+    area = cleanPlace(areaMatch[2]);
+  }
+  segments[segments.length - 1] = last;
+
+  const cleaned = segments.map(cleanStop);
+  if (!PLANNING_CUE.test(text) && !cleaned.every(stop => stop && isStop(stop))) return null;
+
+  const stops = cleaned.filter(Boolean).slice(0, MAX_ITINERARY_STOPS);
+  if (stops.length < 2) return null;
+
+  return { stops, area, mode: detectTravelMode(text) };
+}
+
+/**
+ * Check whether a phrase names a kind of place rather than one place
+ * "sushi", "ramen near me" and "coffee shops" are categories; "Sushi Express"
+ * and "Starbucks" are names.
+ * @param {string} text - Place phrase
+ * @returns {boolean}
+ */
+export function isCategory(text) {
+  const words = text.replace(LOCATION_QUALIFIER, '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0 || words.length > MAX_STOP_WORDS) return false;
+  return words.every(word => CATEGORY_WORDS.test(word) || STOP_CATEGORY.test(word) || !!placeTypeFor(word));
+}
+
+/**
+ * Spell out an ordinal place as a reference to the shown list
+ * "second" and "2nd" alone aren't references (or anything to search for);
+ * "the second one" and "the 2nd one" are.
+ * @param {string} text - Place phrase
+ * @returns {string|null} The reference, or null when the phrase isn't an ordinal
+ */
+export function ordinalPlace(text) {
+  const match = text.trim().match(ORDINAL_PLACE);
+  return match ? `the ${match[1].toLowerCase()} ${(match[2] || 'one').toLowerCase()}` : null;
+}
+
+/**
+ * Parse "compare A and B" / "A vs B" into the places to compare
+ * "compare them" yields an empty list: the places already shown. Kinds of
+ * places ("sushi vs ramen near me") are left to search.
+ * @returns {{places: string[]}|null}
+ */
+export function parseComparison(text) {
+  const compare = text.match(/^(?:(?:can you|could you|please)\s+)?compare\s+(.+)$/i);
+  const body = compare ? compare[1] : (/\s(?:vs\.?|versus)\s/i.test(text) ? text : null);
+  if (!body) return null;
+
+  const trimmed = body.replace(/[?!.]+$/, '').trim();
+  if (COMPARE_SHOWN.test(trimmed)) return { places: [] };
+
+  const places = trimmed.split(COMPARE_SPLIT).map(cleanPlace).filter(Boolean).slice(0, MAX_COMPARE_PLACES);
+  if (places.some(isCategory)) return null;
+  return places.length >= 2 ? { places } : null;
+}
+
+/**
+ * Classify unambiguous messages without calling the LLM
+ * @param {string} text - User message
+ * @returns {Object|null} Route, or null when the LLM should decide
+ */
+export function classifyByRules(text) {
+  const trimmed = text.trim();
+  const lower = trimmed.toLowerCase();
+
+  if (/^(hi|hello|hey|yo|thanks|thank you|thx|ok|okay|cool|great|good (morning|afternoon|evening)|who are you|what can you do)\b[\s!.?]*$/i.test(trimmed)) {
+    return { intent: 'chat' };
+  }
+
+  if (MORE_RESULTS.test(trimmed)) {
+    return { intent: 'more' };
+  }
+
+  const coords = trimmed.match(/(-?\d{1,2}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)/);
+  if (coords && /\b(address|where|what('s| is) (at|here))\b/.test(lower)) {
+    return { intent: 'reverse_geocode', lat: parseFloat(coords[1]), lng: parseFloat(coords[2]) };
+  }
+  if (/\b(where am i|what('s| is) my (current )?(address|location))\b/.test(lower)) {
+    return { intent: 'reverse_geocode' };
+  }
+
+  if (/\bhow far\b|\bdistance (between|from)\b/.test(lower)) {
+    const isMatch = trimmed.match(/\bhow far (?:away )?is\s+(.+?)(?:\s+from\s+(.+))?[?!.]*$/i);
+    if (isMatch && !/\bbetween\b/i.test(trimmed)) {
+      return { intent: 'distance', origin: cleanPlace(isMatch[2]), destination: cleanPlace(isMatch[1]) };
+    }
+    const { origin, destination } = parseEndpoints(trimmed);
+    if (destination) return { intent: 'distance', origin, destination };
+  }
+
+  if (/\b(how (do|can|should) i (get|go|walk|drive|bike|cycle)|how to get|directions?|route to|navigate|take me|how long (does it take |will it take |is it )?to (walk|drive|bike|cycle|get|go))\b/.test(lower)) {
+    const { origin, destination } = parseEndpoints(trimmed);
+    if (destination) {
+      return { intent: 'directions', origin, destination, mode: detectTravelMode(trimmed) };
+    }
+  }
+
+  const comparison = parseComparison(trimmed);
+  if (comparison) {
+    return { intent: 'compare', ...comparison };
+  }
+
+  const itinerary = parseItinerary(trimmed);
+  if (itinerary) {
+    return { intent: 'itinerary', ...itinerary };
+  }
+
+  const reviewsMatch = trimmed.match(/\b(?:what (?:do|did|are) (?:people|others|customers|reviewers|locals) (?:say|saying|think) (?:about|of)|reviews? (?:of|for|about)|summari[sz]e (?:the )?reviews? (?:of|for))\s+(.+)$/i);
+  if (reviewsMatch) {
+    return { intent: 'reviews', place: cleanPlace(reviewsMatch[1]) };
+  }
+
+  const detailsMatch = trimmed.match(/\b(?:address|phone(?: number)?|opening hours|hours|website) (?:of|for)\s+(.+)$/i);
+  if (detailsMatch) {
+    return { intent: 'details', place: cleanPlace(detailsMatch[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Validate an LLM (or rules) classification into a route
+ * Routes missing what their handler needs fall back to search.
+ * @param {Object} raw - Parsed classification
+ * @returns {Object} Route {intent, ...arguments}
+ */
+export function normalizeRoute(raw) {
+  if (!raw || typeof raw !== 'object' || !INTENTS.includes(raw.intent)) {
+    return { intent: 'search' };
+  }
+
+  const str = (value) => (typeof value === 'string' ? cleanPlace(value) : null);
+
+  switch (raw.intent) {
+    case 'directions': {
+      const destination = str(raw.destination);
+      if (!destination) return { intent: 'search' };
+      return {
+        intent: 'directions',
+        origin: str(raw.origin),
+        destination,
+        mode: TRAVEL_MODES.includes(raw.mode) ? raw.mode : null,
+      };
+    }
+    case 'distance': {
+      const destination = str(raw.destination);
+      if (!destination) return { intent: 'search' };
+      return { intent: 'distance', origin: str(raw.origin), destination };
+    }
+    case 'details':
+    case 'reviews':
+      return { intent: raw.intent, place: str(raw.place) };
+    case 'itinerary': {
+      const stops = (Array.isArray(raw.stops) ? raw.stops : [])
+        .map(str)
+        .filter(Boolean)
+        .slice(0, MAX_ITINERARY_STOPS);
+      if (stops.length < 2) return { intent: 'search' };
+      return {
+        intent: 'itinerary',
+        stops,
+        area: str(raw.area),
+        mode: TRAVEL_MODES.includes(raw.mode) ? raw.mode : null,
+      };
+    }
+    case 'compare':
+      return {
+        intent: 'compare',
+        places: (Array.isArray(raw.places) ? raw.places : [])
+          .map(str)
+          .filter(Boolean)
+          .map(name => ordinalPlace(name) || name)
+          .slice(0, MAX_COMPARE_PLACES),
+      };
+    case 'reverse_geocode':
+      return {
+        intent: 'reverse_geocode',
+        ...(typeof raw.lat === 'number' && typeof raw.lng === 'number' && { lat: raw.lat, lng: raw.lng }),
+      };
+    default:
+      return { intent: raw.intent };
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Minimal JSON schema validator
+ * Supports the subset used for LLM output: type, properties, required,
+ * additionalProperties, enum, minimum, maximum, pattern, items.
+ */
+
+/**
+ * Get the JSON schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value's type against a schema type (or list of types)
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema (subset)
+ * @param {string} path - Path used in error messages
+ * @returns {string[]} Error messages; empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.map(String).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(item, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,246 @@
+/**
+ * Templated answers
+ * Markdown answers built straight from the maps data, used when the LLM is
+ * slow, down or disabled, or its answer can't be trusted
+ */
+
+import { placeLocalTime } from './constraints.js';
+
+// Same cap as the places context given to the model, so [n] citations line up
+const MAX_TEMPLATE_PLACES = 5;
+
+const MODE_LABELS = {
+  driving: 'driving',
+  walking: 'on foot',
+  bicycling: 'by bike',
+  transit: 'by transit',
+};
+
+// Directions steps listed before pointing to the full route
+const MAX_TEMPLATE_STEPS = 5;
+
+/**
+ * Start a sentence with a capital: names like "your location" can open one
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Open status, from search results (opening_hours.open_now) or compacted history (open_now)
+ */
+function openStatus(place) {
+  const openNow = place.opening_hours?.open_now ?? place.open_now;
+  if (openNow === true) return 'open now';
+  if (openNow === false) return 'closed now';
+  return null;
+}
+
+/**
+ * Rating, distance, open status and price, for one line
+ */
+function summarizePlace(place) {
+  const details = [];
+  if (place.rating) {
+    details.push(`${place.rating}★${place.user_ratings_total ? ` (${place.user_ratings_total} reviews)` : ''}`);
+  }
+  if (place.distance_text) details.push(`${place.distance_text} away`);
+  if (openStatus(place)) details.push(openStatus(place));
+  if (place.price_level) details.push('$'.repeat(place.price_level));
+  return details.join(' · ');
+}
+
+/**
+ * One bullet per place: name, citation, rating, distance, open status and price
+ */
+function formatPlaceLine(place, index) {
+  const details = summarizePlace(place);
+  return `- **${place.name}** [${index + 1}]${details ? ` - ${details}` : ''}`;
+}
+
+/**
+ * Render a places answer without the LLM
+ * @param {Array} places - Places to list
+ * @param {Object} notes - What shaped the results (all optional)
+ * @param {string[]} notes.filters - Descriptions of the constraints applied
+ * @param {string} notes.preferences - How the saved preferences were applied
+ * @param {Object} notes.anchor - Point distances are measured from {name, rank_by}
+ * @param {number} notes.unchecked - Results left out because their details weren't looked up
+ * @returns {string} Markdown
+ */
+export function renderPlacesAnswer(places, { filters = [], preferences = null, anchor = null, unchecked = 0 } = {}) {
+  const filterNote = filters.length > 0 ? ` (${filters.join(', ')})` : '';
+  const footnotes = [
+    anchor?.name && `Distances are from ${anchor.name}.`,
+    anchor?.rank_by === 'distance' && 'Listed nearest first.',
+    preferences && `Saved preferences: ${preferences}.`,
+    unchecked > 0 && `${unchecked} more results were not checked against the filters.`,
+  ].filter(Boolean).join(' ');
+
+  if (!places || places.length === 0) {
+    return [`I couldn't find any places matching that${filterNote}.`, footnotes].filter(Boolean).join(' ');
+  }
+
+  const shown = places.slice(0, MAX_TEMPLATE_PLACES);
+  const lines = [`Here ${shown.length === 1 ? 'is' : 'are'} the top ${shown.length === 1 ? 'result' : `${shown.length} results`}${filterNote}:`, ''];
+  lines.push(...shown.map((place, i) => formatPlaceLine(place, i)));
+  if (footnotes) lines.push('', `_${footnotes}_`);
+  return lines.join('\n');
+}
+
+/**
+ * Render a single-place answer: rating, open status, today's hours and contacts
+ * @param {Object} place - Place details
+ * @param {Date} now - Reference time for today's hours
+ * @returns {string} Markdown
+ */
+export function renderPlaceDetailsAnswer(place, now = new Date()) {
+  const lines = [`**${place.name}**${place.formatted_address || place.vicinity ? ` - ${place.formatted_address || place.vicinity}` : ''}`, ''];
+
+  const summary = [];
+  if (place.rating) summary.push(`${place.rating}★${place.user_ratings_total ? ` from ${place.user_ratings_total} reviews` : ''}`);
+  if (place.price_level) summary.push('$'.repeat(place.price_level));
+  if (place.distance_text) summary.push(`${place.distance_text} away`);
+  if (openStatus(place)) summary.push(openStatus(place));
+  if (summary.length > 0) lines.push(`- ${summary.join(' · ')}`);
+
+  // weekday_text starts on Monday; today where the place is
+  const today = place.opening_hours?.weekday_text?.[(placeLocalTime(place, now).day + 6) % 7];
+  if (today) lines.push(`- Hours today: ${today.replace(/^[^:]+:\s*/, '')}`);
+  if (place.phone) lines.push(`- Phone: ${place.phone}`);
+  if (place.website) lines.push(`- Website: ${place.website}`);
+  if (place.editorial_summary) lines.push('', place.editorial_summary);
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a directions answer: distance, duration and the first steps
+ * @param {Object} directions - Directions payload sent to the client
+ * @returns {string} Markdown
+ */
+export function renderDirectionsAnswer(directions) {
+  const mode = MODE_LABELS[directions.mode] || directions.mode;
+  const lines = [`**${directions.destination}** is ${directions.distance} away ${mode} - about ${directions.duration}${directions.summary ? ` via ${directions.summary}` : ''}.`];
+
+  const steps = directions.legs?.[0]?.steps || [];
+  if (steps.length > 0) {
+    lines.push('');
+    steps.slice(0, MAX_TEMPLATE_STEPS).forEach((step, i) => {
+      lines.push(`${i + 1}. ${step.instruction} (${step.distance.text})`);
+    });
+    if (steps.length > MAX_TEMPLATE_STEPS) {
+      lines.push('', `…and ${steps.length - MAX_TEMPLATE_STEPS} more steps in the route below.`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a straight-line distance answer
+ * @param {Object} distance - {origin, destination, distance_text}
+ * @returns {string} Markdown
+ */
+export function renderDistanceAnswer(distance) {
+  return `${capitalize(distance.origin.name)} is **${distance.distance_text}** from ${distance.destination.name} in a straight line.`;
+}
+
+/**
+ * Render a reverse geocode answer
+ * @param {string} address - Formatted address
+ * @returns {string} Markdown
+ */
+export function renderAddressAnswer(address) {
+  return `That location is at **${address}**.`;
+}
+
+/**
+ * Render an itinerary: one numbered line per stop with the travel time to the next
+ * @param {Object} itinerary - Itinerary payload sent to the client
+ * @returns {string} Markdown
+ */
+export function renderItineraryAnswer(itinerary) {
+  const mode = MODE_LABELS[itinerary.mode] || itinerary.mode;
+  const lines = [`Here's your plan${itinerary.area ? ` around ${itinerary.area}` : ''}, ${mode}:`, ''];
+
+  itinerary.stops.forEach((stop, i) => {
+    if (!stop.place) {
+      lines.push(`${i + 1}. ${stop.query} - nothing found nearby`);
+      return;
+    }
+    const rating = stop.place.rating ? ` (${stop.place.rating}★)` : '';
+    lines.push(`${i + 1}. **${stop.place.name}**${rating} - ${stop.query}`);
+
+    const leg = itinerary.legs.find(l => l.from === i);
+    if (leg?.duration) lines.push(`   - then ${leg.duration} (${leg.distance}) to the next stop`);
+  });
+
+  if (itinerary.total_duration) {
+    lines.push('', `Total travel time: about ${itinerary.total_duration}.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a comparison: one line per place, then which one wins on what
+ * @param {Object} comparison - Comparison payload sent to the client
+ * @returns {string} Markdown
+ */
+export function renderComparisonAnswer(comparison) {
+  const lines = ['Here\'s how they compare:', ''];
+  comparison.places.forEach((place) => {
+    const details = summarizePlace(place);
+    lines.push(`- **${place.name}**${details ? ` - ${details}` : ''}`);
+  });
+
+  // One sentence per winning place: "**A** has the best rating and is the cheapest."
+  const wins = new Map();
+  [
+    [comparison.best.rating, 'has the best rating'],
+    [comparison.best.reviews, 'has the most reviews'],
+    [comparison.best.price, 'is the cheapest'],
+    [comparison.best.distance, 'is the closest'],
+  ].forEach(([placeId, verdict]) => {
+    if (placeId) wins.set(placeId, [...(wins.get(placeId) || []), verdict]);
+  });
+
+  const verdicts = comparison.places
+    .filter(place => wins.has(place.place_id))
+    .map((place) => {
+      const list = wins.get(place.place_id);
+      const joined = list.length > 1 ? `${list.slice(0, -1).join(', ')} and ${list[list.length - 1]}` : list[0];
+      return `**${place.name}** ${joined}.`;
+    });
+
+  if (verdicts.length > 0) lines.push('', verdicts.join(' '));
+  return lines.join('\n');
+}
+
+/**
+ * Render a review summary: pros, cons and what reviewers mention
+ * @param {Object} summary - Review summary payload sent to the client
+ * @returns {string} Markdown
+ */
+export function renderReviewSummaryAnswer(summary) {
+  const average = summary.average_review_rating ? ` (average ${summary.average_review_rating}★)` : '';
+
+  if (summary.review_count === 0) {
+    return `**${summary.name}** has no reviews to summarize yet.`;
+  }
+  if (summary.source !== 'llm') {
+    const reviews = summary.review_count === 1 ? 'Its most recent review is' : `Its ${summary.review_count} most recent reviews are`;
+    return `I can't summarize the reviews of **${summary.name}** right now. ${reviews} shown on Google Maps${average}.`;
+  }
+
+  const lines = [`What ${summary.review_count === 1 ? 'the latest review says' : `${summary.review_count} recent reviews say`} about **${summary.name}**${average}:`];
+  if (summary.pros.length > 0) lines.push('', '**Pros**', ...summary.pros.map(item => `- ${item}`));
+  if (summary.cons.length > 0) lines.push('', '**Cons**', ...summary.cons.map(item => `- ${item}`));
+  if (summary.mentions.length > 0) lines.push('', `Often mentioned: ${summary.mentions.join(', ')}.`);
+  return lines.join('\n');
+}
+
+/**
+ * Answer for plain conversation when there is no model to talk to
+ */
+export const CONVERSATION_TEMPLATE = 'Hi! I can find places, give directions, look up place details and measure distances. Try "coffee shops near me" or "how do I get to Taipei 101".';
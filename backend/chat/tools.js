@@ -0,0 +1,298 @@
+/**
+ * Maps tools for the tool-calling agent
+ * Exposes the maps/ functions in Ollama's native tool format and executes
+ * the calls the model makes
+ */
+
+import {
+  searchPlaces,
+  searchNearby,
+  getPlaceDetails,
+  reverseGeocode,
+  calculateDistance,
+  formatDistance
+} from '../maps/places.js';
+import { getDirections } from '../maps/directions.js';
+import { enrichWithDetails, applyConstraints } from './constraints.js';
+import { resolveSearchArea } from './area.js';
+import { locateNamedPlace } from './picked.js';
+import { preferenceConstraints, preferencesNeedDetails, applyPreferences, describePreferences } from './profile.js';
+
+const VALID_MODES = ['driving', 'walking', 'bicycling', 'transit'];
+
+// Keep tool results small - they are fed back into a small context window
+const MAX_RESULTS_FOR_MODEL = 5;
+
+/**
+ * Tool definitions in Ollama /api/chat format
+ */
+export const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_places',
+      description: 'Search for places such as restaurants, cafes, shops or attractions. Returns a list of matching places with ratings and distance from the location (or from the user).',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: "What to look for, e.g. 'coffee shop'" },
+          location: { type: 'string', description: "Where to search, e.g. 'Taipei 101'. Omit to search near the user." },
+          radius_m: { type: 'number', description: 'Only return places within this many meters of the location (optional)' },
+          nearest: { type: 'boolean', description: 'Rank by distance, nearest first, when the user asks for the nearest or closest place (optional)' },
+        },
+        required: ['query'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_place_details',
+      description: 'Get opening hours, phone, website, reviews and service options for a place returned by search_places.',
+      parameters: {
+        type: 'object',
+        properties: {
+          place_id: { type: 'string', description: 'The place_id from a search_places result' },
+        },
+        required: ['place_id'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_directions',
+      description: 'Get travel distance and duration between two locations.',
+      parameters: {
+        type: 'object',
+        properties: {
+          origin: { type: 'string', description: "Starting address or 'lat,lng'" },
+          destination: { type: 'string', description: "Destination address or 'lat,lng'" },
+          mode: { type: 'string', enum: VALID_MODES, description: "Travel mode (default: the user's preferred mode, else driving)" },
+        },
+        required: ['origin', 'destination'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'geocode_location',
+      description: 'Convert an address or landmark name into coordinates.',
+      parameters: {
+        type: 'object',
+        properties: {
+          address: { type: 'string', description: 'Address or landmark name' },
+        },
+        required: ['address'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'reverse_geocode',
+      description: 'Convert coordinates into a street address.',
+      parameters: {
+        type: 'object',
+        properties: {
+          lat: { type: 'number', description: 'Latitude' },
+          lng: { type: 'number', description: 'Longitude' },
+        },
+        required: ['lat', 'lng'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'calculate_distance',
+      description: 'Calculate the straight-line distance between two coordinates.',
+      parameters: {
+        type: 'object',
+        properties: {
+          lat1: { type: 'number' },
+          lng1: { type: 'number' },
+          lat2: { type: 'number' },
+          lng2: { type: 'number' },
+        },
+        required: ['lat1', 'lng1', 'lat2', 'lng2'],
+      },
+    },
+  },
+];
+
+/**
+ * Parse tool arguments - models send either an object or a JSON string
+ */
+export function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function requireString(args, name) {
+  const value = args[name];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`Missing required argument: ${name}`);
+  }
+  return value.trim().slice(0, 500);
+}
+
+function requireNumber(args, name) {
+  const value = typeof args[name] === 'string' ? parseFloat(args[name]) : args[name];
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new Error(`Missing required argument: ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Shorten a place for the model's context
+ */
+function placeForModel(place) {
+  return {
+    place_id: place.place_id,
+    name: place.name,
+    address: place.formatted_address || place.vicinity,
+    rating: place.rating,
+    price_level: place.price_level,
+    open_now: place.opening_hours?.open_now,
+    distance: place.distance_text,
+  };
+}
+
+/**
+ * Execute a tool call
+ * @param {Client} client - Google Maps client
+ * @param {string} name - Tool name
+ * @param {Object} args - Parsed tool arguments
+ * @param {Object} context - Request context
+ * @param {Object} context.userLocation - User's location {lat, lng}
+ * @param {AbortSignal} context.signal - Cancels the underlying API calls
+ * @param {string} context.language - Language code for names, addresses and directions
+ * @param {Object} context.profile - Saved preferences: filter or rerank searches, default travel mode
+ * @param {Array} context.picked - Places picked from suggestions, used instead of geocoding
+ * @returns {Promise<{result: Object, places?: Array}>} Compact result for the
+ *   model, plus full place objects to show as cards when the tool returns any
+ */
+export async function executeTool(client, name, args, { userLocation = null, signal, language, profile = null, picked = [] } = {}) {
+  switch (name) {
+    case 'search_places': {
+      const query = requireString(args, 'query');
+      const radiusM = typeof args.radius_m === 'number' && args.radius_m > 0 ? args.radius_m : null;
+      const location = typeof args.location === 'string' && args.location.trim() ? args.location.trim() : null;
+      const area = await resolveSearchArea(client, {
+        query,
+        location,
+        formatted_query: location ? `${query} in ${location}` : query,
+      }, { userLocation, maxDistanceKm: radiusM && radiusM / 1000, signal, language, nearest: args.nearest === true, picked });
+      const response = area.nearby
+        ? await searchNearby(client, { location: area.location, ...area.nearby, userLocation, distanceFrom: area.anchor, language, signal })
+        : await searchPlaces(client, {
+          query: area.query,
+          location: area.location,
+          radius: area.radius,
+          userLocation,
+          distanceFrom: area.anchor,
+          language,
+          signal,
+        });
+      if (response.error) throw new Error(response.error);
+      let places = response.results || [];
+      if (radiusM) {
+        places = applyConstraints(places, { max_distance_km: radiusM / 1000 }).places;
+      }
+      const preferences = preferenceConstraints(profile);
+      if (preferencesNeedDetails(preferences, profile?.apply)) {
+        places = await enrichWithDetails(client, places, userLocation, { signal, language });
+      }
+      const preferred = applyPreferences(places, preferences, profile?.apply);
+      places = preferred.places;
+      return {
+        result: {
+          count: places.length,
+          ...(area.anchor?.name && { distances_from: area.anchor.name }),
+          ...(area.nearby && { ranked_by: 'distance' }),
+          places: places.slice(0, MAX_RESULTS_FOR_MODEL).map(placeForModel),
+          ...(preferred.applied.length > 0 && { saved_preferences: describePreferences(preferred) }),
+        },
+        places,
+      };
+    }
+
+    case 'get_place_details': {
+      const response = await getPlaceDetails(client, requireString(args, 'place_id'), userLocation, { signal, language });
+      if (!response.result) throw new Error(response.error || 'Place not found');
+      const place = response.result;
+      return {
+        result: {
+          ...placeForModel(place),
+          phone: place.phone,
+          website: place.website,
+          hours: place.opening_hours?.weekday_text,
+          summary: place.editorial_summary,
+          dine_in: place.dine_in,
+          takeout: place.takeout,
+          delivery: place.delivery,
+          wheelchair_accessible_entrance: place.wheelchair_accessible_entrance,
+        },
+        places: [{ ...place, lat: place.location?.lat, lng: place.location?.lng }],
+      };
+    }
+
+    case 'get_directions': {
+      const mode = VALID_MODES.includes(args.mode) ? args.mode : (profile?.travel_mode || 'driving');
+      const response = await getDirections(client, {
+        origin: requireString(args, 'origin'),
+        destination: requireString(args, 'destination'),
+        mode,
+        language,
+        signal,
+      });
+      if (!response.result) throw new Error(response.error || 'No directions found');
+      const leg = response.result.routes[0].legs[0];
+      return {
+        result: { mode, distance: leg.distance.text, duration: leg.duration.text },
+      };
+    }
+
+    case 'geocode_location': {
+      const address = requireString(args, 'address');
+      const location = await locateNamedPlace(client, address, picked, { signal, language });
+      if (!location) throw new Error('Address not found');
+      return { result: { address, ...location } };
+    }
+
+    case 'reverse_geocode': {
+      const lat = requireNumber(args, 'lat');
+      const lng = requireNumber(args, 'lng');
+      const address = await reverseGeocode(client, lat, lng, { signal, language });
+      if (!address) throw new Error('Address not found for given coordinates');
+      return { result: { address, lat, lng } };
+    }
+
+    case 'calculate_distance': {
+      const distanceKm = calculateDistance(
+        requireNumber(args, 'lat1'),
+        requireNumber(args, 'lng1'),
+        requireNumber(args, 'lat2'),
+        requireNumber(args, 'lng2')
+      );
+      return {
+        result: {
+          distance_km: distanceKm,
+          distance_text: formatDistance(distanceKm),
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
@@ -0,0 +1,427 @@
+/**
+ * Offline evaluation
+ * Scores the extraction stage and answer quality against the fixtures in
+ * eval/fixtures, without network access unless asked for. Follow-up
+ * references ("the second one") are checked too; they don't involve a model.
+ *
+ *   npm run eval                                 harness smoke test: a scripted model answers with
+ *                                                the expected outputs, so it checks that the fixtures
+ *                                                and the pipeline run - it is not an accuracy score
+ *   npm run eval -- --replay eval/recordings/x.json   replay a recorded model run (scored)
+ *   npm run eval -- --live [--record eval/recordings/x.json]
+ *                                                the configured LLM provider, optionally recorded (scored)
+ *
+ * Options: --suite extraction|answers|references, --case <id>, --report <file.json>,
+ *          --min-accuracy <0-1> (scored runs only; exit 1 below it), --verbose (pipeline logs and outputs)
+ * Google is never called: answer cases bring their own place lists.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Answers are checked in the pipeline with grounding on, whatever .env says
+process.env.AGENT_MODE = 'pipeline';
+process.env.GROUNDING_MODE = 'annotate';
+process.env.PROMPTS_HOT_RELOAD = 'false';
+
+const { extractLocationIntent, streamChatWithTools } = await import('../agent.js');
+const { normalizeConstraints } = await import('../chat/constraints.js');
+const { isMostlyReference, normalizeHistory, resolvePlaceReference, toLLMMessages } = await import('../chat/conversation.js');
+const { detectLanguage, resolveLanguage } = await import('../chat/language.js');
+const { createFakeProvider, getProvider } = await import('../llm/index.js');
+
+// The pipeline logs every step; the report goes through print() so it can be kept quiet
+const print = console.log.bind(console);
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Words that all mean "search around the user"
+const NEAR_ME = new Set(['', 'near me', 'nearby', 'here', 'around here', 'current location', 'my location']);
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const args = { suite: 'all', verbose: false, live: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--live') args.live = true;
+    else if (flag === '--verbose') args.verbose = true;
+    else if (['--suite', '--case', '--replay', '--record', '--report', '--min-accuracy'].includes(flag)) {
+      args[flag.slice(2).replace('-a', 'A')] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return args;
+}
+
+function loadFixtures(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A recorded or scripted reply applies to one user message (the answer
+// stage gets the message plus the places context)
+function messagePattern(text) {
+  return `^${escapeRegex(text)}(\\n|$)`;
+}
+
+/**
+ * Script the fake model with each case's expected output
+ */
+function scriptedResponses(extractionCases, answerCases) {
+  const responses = [];
+  for (const testCase of extractionCases) {
+    const { query, location } = testCase.expected;
+    const first = (value) => [].concat(value)[0];
+    responses.push({
+      purpose: 'extraction',
+      match: messagePattern(testCase.query),
+      content: { query: first(query), location: first(location), formatted_query: first(query), ...testCase.expected.constraints },
+    });
+  }
+  for (const testCase of answerCases) {
+    responses.push(
+      { purpose: 'router', match: messagePattern(testCase.query), content: { intent: testCase.expect.intent || 'search' } },
+      { purpose: 'extraction', match: messagePattern(testCase.query), content: { query: testCase.query, location: 'near me', formatted_query: testCase.query } },
+      { purpose: 'answer', match: messagePattern(testCase.query), chunks: [testCase.reference_answer] }
+    );
+  }
+  return responses;
+}
+
+/**
+ * Wrap a provider so every reply is saved as a fake provider script entry
+ */
+function recordingProvider(provider, recording) {
+  const lastUser = (request) => [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+  const userMessage = (request) => lastUser(request).split('\n')[0];
+
+  return {
+    ...provider,
+    async chat(request) {
+      const reply = await provider.chat(request);
+      recording.push({
+        purpose: request.purpose,
+        match: messagePattern(userMessage(request)),
+        content: reply.content,
+        ...(reply.tool_calls?.length > 0 && {
+          tool_calls: reply.tool_calls.map(call => ({ name: call.function?.name, arguments: call.function?.arguments })),
+        }),
+      });
+      return reply;
+    },
+    async *stream(request) {
+      const chunks = [];
+      try {
+        for await (const chunk of provider.stream(request)) {
+          chunks.push(chunk);
+          yield chunk;
+        }
+      } finally {
+        recording.push({ purpose: request.purpose, match: messagePattern(userMessage(request)), chunks });
+      }
+    },
+  };
+}
+
+/**
+ * Google Maps client serving a fixed place list
+ */
+function cannedClient(places) {
+  return {
+    async textSearch({ params }) {
+      // Honour the filters Google applies itself
+      const results = places.filter(place =>
+        (!params.opennow || place.opening_hours?.open_now === true) &&
+        (params.maxprice === undefined || place.price_level === undefined || place.price_level <= params.maxprice) &&
+        (params.minprice === undefined || place.price_level === undefined || place.price_level >= params.minprice));
+      return { data: { results } };
+    },
+    async placeDetails({ params }) {
+      return { data: { result: places.find(place => place.place_id === params.place_id) || {} } };
+    },
+    async geocode() {
+      return { data: { results: [] } };
+    },
+  };
+}
+
+const normalize = (value) => String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Match a string against one or more accepted values, ignoring case and a plural "s"
+ */
+function matchesAny(actual, expected) {
+  const value = normalize(actual);
+  return [].concat(expected).map(normalize).some(option =>
+    value === option || value === `${option}s` || `${value}s` === option);
+}
+
+function matchesLocation(actual, expected) {
+  const options = [].concat(expected);
+  if (options.some(option => NEAR_ME.has(normalize(option)))) return NEAR_ME.has(normalize(actual));
+  return options.some(option => matchesAny(actual, option) || normalize(actual).includes(normalize(option)));
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) return JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Score one extraction case
+ * @returns {{checks: Object<string, boolean>, notes: string[], output: Object|null}}
+ */
+async function runExtractionCase(testCase, llm) {
+  const history = toLLMMessages(normalizeHistory(testCase.history || []));
+  const ctx = {
+    llm,
+    extractionLlm: llm,
+    userQuery: testCase.query,
+    history,
+    userLocation: null,
+    language: resolveLanguage(testCase.query),
+    prompts: [],
+  };
+  const output = await extractLocationIntent(ctx, AbortSignal.timeout(testCase.timeoutMs || 30000));
+  const { expected } = testCase;
+
+  if (!output) {
+    const checks = { query: false, location: false, ...(expected.constraints && { constraints: false }) };
+    return { checks, notes: ['no valid output'], output, prompts: ctx.prompts };
+  }
+
+  const checks = {
+    query: matchesAny(output.query, expected.query),
+    location: matchesLocation(output.location, expected.location),
+  };
+  const notes = [];
+  if (!checks.query) notes.push(`query "${output.query}", expected ${JSON.stringify(expected.query)}`);
+  if (!checks.location) notes.push(`location "${output.location}", expected ${JSON.stringify(expected.location)}`);
+
+  if (expected.constraints) {
+    const actual = normalizeConstraints(output);
+    const optional = new Set(expected.optional_constraints || []);
+    for (const [key, value] of Object.entries(expected.constraints)) {
+      if (optional.has(key) && actual[key] === undefined) continue;
+      if (!sameValue(actual[key], value)) notes.push(`${key} ${JSON.stringify(actual[key])}, expected ${JSON.stringify(value)}`);
+    }
+    for (const key of Object.keys(actual)) {
+      if (!(key in expected.constraints) && !optional.has(key)) notes.push(`unexpected ${key} ${JSON.stringify(actual[key])}`);
+    }
+    checks.constraints = notes.every(note => note.startsWith('query') || note.startsWith('location'));
+  }
+
+  return { checks, notes, output, prompts: ctx.prompts };
+}
+
+/**
+ * Score one answer case: run the whole chat pipeline over a canned place list
+ */
+async function runAnswerCase(testCase, llm) {
+  const events = {};
+  const errors = [];
+  let text = '';
+
+  await streamChatWithTools(
+    [...(testCase.history || []), { role: 'user', content: testCase.query }],
+    (chunk) => {
+      text += chunk;
+    },
+    (error) => errors.push(error),
+    testCase.userLocation || null,
+    {
+      provider: llm,
+      googleClient: cannedClient(testCase.places),
+      onEvent: (type, data) => {
+        events[type] = type === 'status' ? { ...events.status, [data.stage]: data } : data;
+      },
+    }
+  ).catch(error => errors.push(error.message));
+
+  const expect = testCase.expect;
+  const checks = {};
+  const notes = [...errors];
+  const lower = text.toLowerCase();
+
+  checks.intent = (events.intent?.intent || null) === (expect.intent || 'search');
+  if (!checks.intent) notes.push(`routed to ${events.intent?.intent}`);
+
+  checks.answered = events.status?.answer?.source === 'llm' && text.trim().length > 0;
+  if (!checks.answered) notes.push(`answer from ${events.status?.answer?.source || 'nowhere'} (${events.status?.answer?.reason || 'no text'})`);
+
+  if (expect.max_unverified !== undefined) {
+    const unverified = events.grounding?.unverified || 0;
+    checks.grounded = unverified <= expect.max_unverified;
+    if (!checks.grounded) {
+      notes.push(`unverified: ${events.grounding.claims.filter(c => !c.verified).map(c => c.text).join(', ')}`);
+    }
+  }
+
+  const cited = new Set((events.citations || []).map(c => c.n));
+  const badCitations = [...text.matchAll(/\[(\d+)\]/g)].map(m => Number(m[1])).filter(n => !cited.has(n));
+  checks.citations = badCitations.length === 0;
+  if (!checks.citations) notes.push(`unknown citations: ${badCitations.join(', ')}`);
+
+  if (expect.must_mention || expect.must_not_mention) {
+    const missing = (expect.must_mention || []).filter(name => !lower.includes(name.toLowerCase()));
+    const unwanted = (expect.must_not_mention || []).filter(name => lower.includes(name.toLowerCase()));
+    checks.mentions = missing.length === 0 && unwanted.length === 0;
+    if (missing.length > 0) notes.push(`missing: ${missing.join(', ')}`);
+    if (unwanted.length > 0) notes.push(`should not mention: ${unwanted.join(', ')}`);
+  }
+
+  if (expect.language) {
+    const language = detectLanguage(text);
+    checks.language = language === expect.language;
+    if (!checks.language) notes.push(`answered in ${language || 'an undetected language'}, expected ${expect.language}`);
+  }
+
+  return { checks, notes, output: text, prompts: events.prompts || [] };
+}
+
+/**
+ * Check one follow-up reference: which shown place it picks, and whether the
+ * message is answered with that place's details or stays a search
+ */
+async function runReferenceCase(testCase) {
+  const places = testCase.places.map((name, i) => ({ place_id: `ref${i + 1}`, name }));
+  const place = resolvePlaceReference(testCase.query, places)?.name || null;
+  const details = isMostlyReference(testCase.query, places);
+  const { expect } = testCase;
+
+  const checks = { place: place === expect.place };
+  const notes = [];
+  if (!checks.place) notes.push(`picked ${JSON.stringify(place)}, expected ${JSON.stringify(expect.place)}`);
+  if (expect.details !== undefined) {
+    checks.details = details === expect.details;
+    if (!checks.details) notes.push(expect.details ? 'stayed a search' : 'rerouted to details');
+  }
+
+  return { checks, notes, output: { place, details }, prompts: [] };
+}
+
+/**
+ * Run a suite and print one line per case
+ * Scripted runs aren't scored: they only show which cases ran through.
+ */
+async function runSuite(name, cases, runCase, llm, args, scored) {
+  print(`\n${name} (${cases.length} case${cases.length === 1 ? '' : 's'})`);
+  const results = [];
+
+  for (const testCase of cases) {
+    const { checks, notes, output, prompts } = await runCase(testCase, llm);
+    const passed = Object.values(checks).every(Boolean);
+    results.push({ id: testCase.id, passed, checks, notes, output, prompts });
+
+    print(`  ${passed ? 'PASS' : 'FAIL'}  ${testCase.id}${notes.length > 0 ? ` - ${notes.join('; ')}` : ''}`);
+    if (args.verbose) print(`        ${JSON.stringify(output)}`);
+  }
+
+  const fields = {};
+  for (const result of results) {
+    for (const [field, ok] of Object.entries(result.checks)) {
+      fields[field] = fields[field] || { passed: 0, total: 0 };
+      fields[field].total++;
+      if (ok) fields[field].passed++;
+    }
+  }
+
+  const passed = results.filter(r => r.passed).length;
+  const accuracy = results.length > 0 ? passed / results.length : 1;
+  print(scored
+    ? `  ${passed}/${results.length} passed (${(accuracy * 100).toFixed(1)}%)`
+    : `  ${passed}/${results.length} ran as scripted`);
+  for (const [field, { passed: ok, total }] of Object.entries(fields)) {
+    print(`    ${field.padEnd(12)} ${ok}/${total}`);
+  }
+
+  return { suite: name, accuracy, passed, total: results.length, fields, results };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.verbose) {
+    console.log = console.info = console.warn = console.error = () => {};
+  }
+  const only = (cases) => (args.case ? cases.filter(c => c.id === args.case) : cases);
+  const wants = (suite) => args.suite === 'all' || args.suite === suite;
+  const extractionCases = wants('extraction') ? only(loadFixtures('extraction')) : [];
+  const answerCases = wants('answers') ? only(loadFixtures('answers')) : [];
+  const referenceCases = wants('references') ? only(loadFixtures('references')) : [];
+
+  // Only a real model's replies (live or recorded) measure anything
+  const scored = args.live || !!args.replay;
+  if (args.minAccuracy !== undefined && !scored) {
+    throw new Error('--min-accuracy needs --live or --replay: the scripted run is a harness check, not a score');
+  }
+
+  let llm;
+  let source;
+  if (args.live) {
+    llm = getProvider();
+    source = `${llm.name}: ${llm.model}`;
+  } else if (args.replay) {
+    const recording = JSON.parse(fs.readFileSync(args.replay, 'utf8'));
+    llm = createFakeProvider({ model: recording.model, responses: recording.responses });
+    source = `replay of ${recording.model} (${recording.recorded_at})`;
+  } else {
+    llm = createFakeProvider({ model: 'scripted', responses: scriptedResponses(extractionCases, answerCases) });
+    source = 'scripted fake model (expected outputs) - harness smoke test, not scored';
+  }
+
+  const recording = [];
+  const model = llm.model;
+  if (args.record) {
+    if (!args.live) throw new Error('--record needs --live');
+    llm = recordingProvider(llm, recording);
+  }
+
+  print(`Evaluating with ${source}`);
+  const suites = [];
+  if (extractionCases.length > 0) suites.push(await runSuite('Extraction', extractionCases, runExtractionCase, llm, args, scored));
+  if (answerCases.length > 0) suites.push(await runSuite('Answers', answerCases, runAnswerCase, llm, args, scored));
+  // No model involved, so always scored; they count towards the exit code, not the model's accuracy
+  const references = referenceCases.length > 0 ? await runSuite('References', referenceCases, runReferenceCase, llm, args, true) : null;
+  if (references && references.passed < references.total) process.exitCode = 1;
+
+  const passed = suites.reduce((sum, s) => sum + s.passed, 0);
+  const total = suites.reduce((sum, s) => sum + s.total, 0);
+  const accuracy = total > 0 ? passed / total : 1;
+  // With --suite references there is no model run to sum up
+  if (total > 0 && scored) {
+    print(`\nOverall: ${passed}/${total} (${(accuracy * 100).toFixed(1)}%)`);
+  } else if (total > 0) {
+    print(`\nHarness check: ${passed}/${total} cases ran as scripted. This is not a model score - use --replay or --live for one.`);
+    // A scripted case can only fail when the fixtures or the pipeline are broken
+    if (passed < total) process.exitCode = 1;
+  }
+
+  // Scores only compare across runs that used the same prompt versions
+  const prompts = new Set(suites.flatMap(s => s.results.flatMap(r => r.prompts)).map(p => `${p.id} v${p.version} (${p.variant})`));
+  if (prompts.size > 0) print(`Prompts: ${[...prompts].sort().join(', ')}`);
+
+  if (args.record) {
+    fs.writeFileSync(args.record, JSON.stringify({ model, recorded_at: new Date().toISOString(), responses: recording }, null, 2));
+    print(`Recorded ${recording.length} responses to ${args.record}`);
+  }
+  if (args.report) {
+    const reported = references ? [...suites, references] : suites;
+    fs.writeFileSync(args.report, JSON.stringify({ source, scored, accuracy: scored ? accuracy : null, passed, total, prompts: [...prompts].sort(), suites: reported }, null, 2));
+    print(`Report written to ${args.report}`);
+  }
+  if (args.minAccuracy !== undefined && accuracy < parseFloat(args.minAccuracy)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 1;
+});
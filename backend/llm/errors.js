@@ -0,0 +1,36 @@
+/**
+ * Errors raised by the LLM providers
+ */
+
+/**
+ * The provider returned a non-success HTTP status
+ */
+export class LLMError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+  }
+}
+
+/**
+ * The configured model or server cannot do native tool calling
+ */
+export class ToolsUnsupportedError extends LLMError {
+  constructor(message) {
+    super(message, 400);
+    this.name = 'ToolsUnsupportedError';
+  }
+}
+
+/**
+ * A request asked for a model that isn't allowed or installed
+ */
+export class ModelNotAvailableError extends LLMError {
+  constructor(model, available = []) {
+    super(`Model not available: ${model}`, 400);
+    this.name = 'ModelNotAvailableError';
+    this.model = model;
+    this.available = available;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Scripted fake provider
+ * Returns canned responses so the chat pipeline can run without a model.
+ * Every request is recorded in `calls` for inspection.
+ */
+
+import { LLMError } from './errors.js';
+import { delay } from '../abort.js';
+
+/**
+ * Check whether a script entry applies to a request
+ */
+function matches(entry, request, lastUserMessage) {
+  if (entry.times !== undefined && entry.times <= 0) return false;
+  if (entry.purpose && entry.purpose !== request.purpose) return false;
+  if (entry.model && entry.model !== request.model) return false;
+  if (entry.match && !new RegExp(entry.match, 'i').test(lastUserMessage)) return false;
+  return true;
+}
+
+/**
+ * Create a fake provider
+ * Script entries are tried in order; the first match answers the request.
+ * @param {Object} config - Provider configuration
+ * @param {string} config.model - Reported model name (default: fake)
+ * @param {Array<string>} config.models - Installed models reported by listModels (default: [model])
+ * @param {Array<Object>} config.responses - Script entries:
+ *   purpose  - only match this pipeline stage (router, extraction, answer, agent, ...)
+ *   model    - only match requests for this model
+ *   match    - regex tested against the last user message
+ *   content  - reply text; objects are serialized as JSON
+ *   chunks   - reply split into stream chunks (defaults to content as one chunk)
+ *   tool_calls - [{name, arguments}] returned from chat()
+ *   error    - throw an LLMError with this message instead
+ *   delayMs  - wait before answering (to exercise timeouts)
+ *   times    - number of times the entry may be used (default: unlimited)
+ * @returns {LLMProvider & {calls: Array}}
+ */
+export function createFakeProvider({ model = 'fake', models = [model], responses = [] } = {}) {
+  const script = responses.map(entry => ({ ...entry }));
+  const calls = [];
+
+  async function respond(request) {
+    request = { ...request, model: request.model || model };
+    calls.push({ purpose: request.purpose, model: request.model, messages: request.messages, json: !!request.json, tools: !!request.tools });
+
+    const lastUserMessage = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+    const entry = script.find(e => matches(e, request, lastUserMessage));
+
+    if (entry?.times !== undefined) entry.times--;
+    await delay(entry?.delayMs, request.signal);
+    if (entry?.error) throw new LLMError(entry.error);
+
+    if (!entry) return { content: request.json ? '{}' : '', tool_calls: [] };
+
+    const content = typeof entry.content === 'object' && entry.content !== null
+      ? JSON.stringify(entry.content)
+      : (entry.content ?? '');
+
+    return {
+      content,
+      chunks: entry.chunks || (content ? [content] : []),
+      tool_calls: (entry.tool_calls || []).map((call, i) => ({
+        id: call.id || `call_${calls.length}_${i}`,
+        function: { name: call.name, arguments: call.arguments || {} },
+      })),
+    };
+  }
+
+  return {
+    name: 'fake',
+    model,
+    calls,
+
+    async chat(request) {
+      const { content, tool_calls } = await respond(request);
+      return { content, tool_calls };
+    },
+
+    async *stream(request) {
+      const { chunks = [] } = await respond(request);
+      for (const chunk of chunks) {
+        if (request.signal?.aborted) return;
+        yield chunk;
+      }
+    },
+
+    async listModels() {
+      return [...models];
+    },
+  };
+}
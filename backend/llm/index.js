@@ -0,0 +1,85 @@
+/**
+ * LLM provider layer
+ * Selects the chat backend from configuration. Every provider implements:
+ *
+ *   chat(request)   -> Promise<{content, tool_calls}>   one-shot completion
+ *   stream(request) -> AsyncIterable<string>           streamed answer text
+ *   listModels()    -> Promise<string[]>               installed models
+ *
+ * Request fields: messages, json (ask for a JSON object), tools, maxTokens,
+ * temperature, signal (AbortSignal), purpose (pipeline stage, for logs and
+ * the fake provider), model (instead of the configured one). Messages use
+ * Ollama's shape; tool calls carry an id and tool results a tool_call_id so
+ * OpenAI-compatible servers can pair them.
+ */
+
+import fs from 'fs';
+import { createOllamaProvider } from './ollama.js';
+import { createOpenAIProvider } from './openai.js';
+import { createFakeProvider } from './fake.js';
+
+export { LLMError, ToolsUnsupportedError, ModelNotAvailableError } from './errors.js';
+export { defaultModels, listModels, resolveModels, withModel } from './models.js';
+export { createOllamaProvider, createOpenAIProvider, createFakeProvider };
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name (ollama, openai, fake)
+ * @property {string} model - Default model
+ * @property {Function} chat - One-shot completion
+ * @property {Function} stream - Streamed completion
+ * @property {Function} listModels - Installed model names
+ */
+
+/**
+ * Load a fake provider script from a JSON file
+ */
+function loadFakeScript(path) {
+  if (!path) return [];
+  const script = JSON.parse(fs.readFileSync(path, 'utf8'));
+  return Array.isArray(script) ? script : script.responses || [];
+}
+
+/**
+ * Create a provider from configuration
+ * @param {Object} env - Configuration source (default: process.env)
+ * @returns {LLMProvider}
+ */
+export function createProvider(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'ollama').toLowerCase();
+
+  switch (provider) {
+    case 'ollama':
+      return createOllamaProvider({
+        baseUrl: env.OLLAMA_BASE_URL || 'http://localhost:11434',
+        model: env.LLM_MODEL || env.OLLAMA_MODEL || 'phi3:mini',
+      });
+    case 'openai':
+      return createOpenAIProvider({
+        baseUrl: env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || env.OPENAI_MODEL || 'local-model',
+      });
+    case 'fake':
+      return createFakeProvider({
+        model: env.LLM_MODEL || 'fake',
+        responses: loadFakeScript(env.FAKE_LLM_SCRIPT),
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${provider}. Use ollama, openai or fake.`);
+  }
+}
+
+let defaultProvider = null;
+
+/**
+ * Get the provider configured for this process
+ * @returns {LLMProvider}
+ */
+export function getProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createProvider();
+    console.log(`[LLM] Provider: ${defaultProvider.name}, model: ${defaultProvider.model}`);
+  }
+  return defaultProvider;
+}
@@ -0,0 +1,97 @@
+/**
+ * Model selection
+ * A request may pick one model for the extraction stage (routing and JSON
+ * extraction) and another for the response stage (answers), so a small model
+ * can do the JSON work while a bigger one writes. Picks must be listed in
+ * LLM_ALLOWED_MODELS when it is set, otherwise installed on the provider.
+ */
+
+import { ModelNotAvailableError } from './errors.js';
+
+// Installed models don't change often; don't ask the server on every message
+const MODEL_LIST_TTL_MS = 60 * 1000;
+
+const installed = new WeakMap();
+
+/**
+ * Default models for a provider: the configured one answers, and
+ * LLM_EXTRACTION_MODEL (when set) extracts
+ * @param {LLMProvider} provider - LLM provider
+ * @returns {{response: string, extraction: string}}
+ */
+export function defaultModels(provider, env = process.env) {
+  return {
+    response: provider.model,
+    extraction: env.LLM_EXTRACTION_MODEL || provider.model,
+  };
+}
+
+/**
+ * Models requests may pick, with the defaults always included
+ * @param {LLMProvider} provider - LLM provider
+ * @param {Object} options - {signal}
+ * @returns {Promise<{models: string[], source: string}>} source is "allowlist",
+ *   "installed" or "defaults" (the provider couldn't list its models)
+ */
+export async function listModels(provider, { signal } = {}, env = process.env) {
+  const defaults = Object.values(defaultModels(provider, env));
+  const withDefaults = (models) => [...new Set([...defaults, ...models])];
+
+  if (env.LLM_ALLOWED_MODELS) {
+    const allowed = env.LLM_ALLOWED_MODELS.split(',').map(model => model.trim()).filter(Boolean);
+    return { models: withDefaults(allowed), source: 'allowlist' };
+  }
+
+  const cached = installed.get(provider);
+  if (cached && Date.now() - cached.at < MODEL_LIST_TTL_MS) {
+    return { models: withDefaults(cached.models), source: 'installed' };
+  }
+
+  try {
+    const models = await provider.listModels({ signal });
+    installed.set(provider, { models, at: Date.now() });
+    return { models: withDefaults(models), source: 'installed' };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`[LLM] Could not list models: ${error.message}`);
+    return { models: defaults, source: 'defaults' };
+  }
+}
+
+/**
+ * Resolve the models for one request
+ * @param {LLMProvider} provider - LLM provider
+ * @param {Object} requested - {model, extractionModel} from the request, both optional
+ * @returns {Promise<{response: string, extraction: string}>}
+ * @throws {ModelNotAvailableError} When a requested model isn't allowed or installed
+ */
+export async function resolveModels(provider, { model, extractionModel } = {}, env = process.env) {
+  const defaults = defaultModels(provider, env);
+  if (!model && !extractionModel) return defaults;
+
+  const { models } = await listModels(provider, {}, env);
+  for (const name of [model, extractionModel]) {
+    if (name && !models.includes(name)) throw new ModelNotAvailableError(name, models);
+  }
+
+  return {
+    response: model || defaults.response,
+    extraction: extractionModel || defaults.extraction,
+  };
+}
+
+/**
+ * A view of a provider that sends every request to another model
+ * @param {LLMProvider} provider - LLM provider
+ * @param {string} model - Model name
+ * @returns {LLMProvider}
+ */
+export function withModel(provider, model) {
+  if (!provider || !model || model === provider.model) return provider;
+  return {
+    ...provider,
+    model,
+    chat: (request) => provider.chat({ ...request, model }),
+    stream: (request) => provider.stream({ ...request, model }),
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Ollama provider
+ * Uses the native /api/chat endpoint (NDJSON streaming, format: "json", tools)
+ */
+
+import { readNDJSON } from './stream.js';
+import { LLMError, ToolsUnsupportedError } from './errors.js';
+
+/**
+ * Map provider-neutral request options to Ollama's options object
+ */
+function toOptions({ maxTokens, temperature }) {
+  const options = {};
+  if (maxTokens) options.num_predict = maxTokens;
+  if (temperature !== undefined) options.temperature = temperature;
+  return options;
+}
+
+/**
+ * Create an Ollama provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - Ollama server URL (default: http://localhost:11434)
+ * @param {string} config.model - Model tag (e.g. phi3:mini)
+ * @returns {LLMProvider}
+ */
+export function createOllamaProvider({ baseUrl = 'http://localhost:11434', model }) {
+  async function post(body, signal, hasTools = false) {
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      if (hasTools && response.status === 400 && /does not support tools/i.test(text)) {
+        throw new ToolsUnsupportedError(`${body.model} does not support tools`);
+      }
+      throw new LLMError(`Ollama API error: ${response.status}`, response.status);
+    }
+    return response;
+  }
+
+  return {
+    name: 'ollama',
+    model,
+
+    async chat({ messages, json = false, tools = null, maxTokens, temperature, signal, ...request }) {
+      const response = await post({
+        model: request.model || model,
+        messages,
+        ...(tools && { tools }),
+        stream: false,
+        ...(json && { format: 'json' }),
+        options: toOptions({ maxTokens, temperature }),
+      }, signal, !!tools);
+
+      const result = await response.json();
+      return {
+        content: result.message?.content || '',
+        tool_calls: (result.message?.tool_calls || []).map((call, i) => ({
+          id: call.id || null,
+          function: { name: call.function?.name, arguments: call.function?.arguments },
+        })),
+      };
+    },
+
+    async *stream({ messages, maxTokens, temperature, signal, ...request }) {
+      const response = await post({
+        model: request.model || model,
+        messages,
+        stream: true,
+        options: toOptions({ maxTokens, temperature }),
+      }, signal);
+
+      for await (const parsed of readNDJSON(response.body)) {
+        if (parsed.error) throw new LLMError(parsed.error);
+        if (parsed.message?.content) yield parsed.message.content;
+      }
+    },
+
+    async listModels({ signal } = {}) {
+      const response = await fetch(`${baseUrl}/api/tags`, { signal });
+      if (!response.ok) throw new LLMError(`Ollama API error: ${response.status}`, response.status);
+      const result = await response.json();
+      return (result.models || []).map(m => m.name);
+    },
+  };
+}
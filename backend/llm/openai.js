@@ -0,0 +1,121 @@
+/**
+ * OpenAI-compatible provider
+ * Works with llama.cpp server, vLLM, LM Studio and anything else serving
+ * /v1/chat/completions
+ */
+
+import { readSSEData } from './stream.js';
+import { LLMError, ToolsUnsupportedError } from './errors.js';
+
+/**
+ * Convert provider-neutral messages to the OpenAI wire format
+ * Tool call arguments are objects internally but JSON strings on the wire.
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(m => {
+    if (m.role === 'assistant' && m.tool_calls?.length > 0) {
+      return {
+        role: 'assistant',
+        content: m.content || null,
+        tool_calls: m.tool_calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.function.name,
+            arguments: typeof call.function.arguments === 'string'
+              ? call.function.arguments
+              : JSON.stringify(call.function.arguments || {}),
+          },
+        })),
+      };
+    }
+    if (m.role === 'tool') {
+      return { role: 'tool', tool_call_id: m.tool_call_id, content: m.content };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - Server URL including /v1 (e.g. http://localhost:8080/v1)
+ * @param {string} config.apiKey - Bearer token (optional for local servers)
+ * @param {string} config.model - Model name as the server knows it
+ * @returns {LLMProvider}
+ */
+export function createOpenAIProvider({ baseUrl = 'http://localhost:8080/v1', apiKey, model }) {
+  async function post(body, signal, hasTools = false) {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      if (hasTools && response.status === 400 && /tool/i.test(text)) {
+        throw new ToolsUnsupportedError(`${body.model} does not support tools`);
+      }
+      throw new LLMError(`OpenAI-compatible API error: ${response.status}`, response.status);
+    }
+    return response;
+  }
+
+  return {
+    name: 'openai',
+    model,
+
+    async chat({ messages, json = false, tools = null, maxTokens, temperature, signal, ...request }) {
+      const response = await post({
+        model: request.model || model,
+        messages: toOpenAIMessages(messages),
+        ...(tools && { tools }),
+        ...(json && { response_format: { type: 'json_object' } }),
+        ...(maxTokens && { max_tokens: maxTokens }),
+        ...(temperature !== undefined && { temperature }),
+        stream: false,
+      }, signal, !!tools);
+
+      const result = await response.json();
+      const message = result.choices?.[0]?.message || {};
+      return {
+        content: message.content || '',
+        tool_calls: (message.tool_calls || []).map((call, i) => ({
+          id: call.id || null,
+          function: { name: call.function?.name, arguments: call.function?.arguments },
+        })),
+      };
+    },
+
+    async *stream({ messages, maxTokens, temperature, signal, ...request }) {
+      const response = await post({
+        model: request.model || model,
+        messages: toOpenAIMessages(messages),
+        ...(maxTokens && { max_tokens: maxTokens }),
+        ...(temperature !== undefined && { temperature }),
+        stream: true,
+      }, signal);
+
+      for await (const parsed of readSSEData(response.body)) {
+        if (parsed.error) throw new LLMError(parsed.error.message || String(parsed.error));
+        const content = parsed.choices?.[0]?.delta?.content;
+        if (content) yield content;
+      }
+    },
+
+    async listModels({ signal } = {}) {
+      const response = await fetch(`${baseUrl}/models`, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        signal,
+      });
+      if (!response.ok) throw new LLMError(`OpenAI-compatible API error: ${response.status}`, response.status);
+      const result = await response.json();
+      return (result.data || []).map(m => m.id);
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Streaming response parsers shared by the LLM providers
+ * Network reads can end mid-line, so lines are buffered until complete.
+ */
+
+/**
+ * Read a response body as complete text lines
+ * @param {ReadableStream} body - fetch() response body
+ * @returns {AsyncGenerator<string>} Non-empty lines without line endings
+ */
+export async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.replace(/\r$/, '');
+        if (trimmed.trim()) yield trimmed;
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer.replace(/\r$/, '');
+    finished = true;
+  } finally {
+    // Consumer stopped early (timeout, abort) - release the connection
+    if (!finished) reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Parse a newline-delimited JSON stream (Ollama)
+ * @param {ReadableStream} body - fetch() response body
+ * @returns {AsyncGenerator<Object>} Parsed objects
+ */
+export async function* readNDJSON(body) {
+  for await (const line of readLines(body)) {
+    try {
+      yield JSON.parse(line);
+    } catch {
+      console.warn(`[LLM] Skipping malformed stream line: ${line.slice(0, 80)}`);
+    }
+  }
+}
+
+/**
+ * Parse a server-sent events stream of JSON data lines (OpenAI-compatible)
+ * Stops at the "[DONE]" sentinel.
+ * @param {ReadableStream} body - fetch() response body
+ * @returns {AsyncGenerator<Object>} Parsed data objects
+ */
+export async function* readSSEData(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+
+    try {
+      yield JSON.parse(data);
+    } catch {
+      console.warn(`[LLM] Skipping malformed event: ${data.slice(0, 80)}`);
+    }
+  }
+}
@@ -3,6 +3,78 @@
  * Handles getting directions between two points
  */
 
+import { isAbortError } from '../abort.js';
+
+/**
+ * Strip the HTML markup Google puts in step instructions
+ */
+function stripHtml(html) {
+  if (!html) return '';
+  return html
+    .replace(/<div[^>]*>/g, ' - ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Transform one route step into a compact format
+ */
+function formatStep(step) {
+  const transit = step.transit_details;
+  return {
+    instruction: stripHtml(step.html_instructions),
+    distance: { text: step.distance?.text, value: step.distance?.value },
+    duration: { text: step.duration?.text, value: step.duration?.value },
+    travel_mode: step.travel_mode,
+    maneuver: step.maneuver || null,
+    transit: transit ? {
+      line: transit.line?.short_name || transit.line?.name,
+      vehicle: transit.line?.vehicle?.name,
+      headsign: transit.headsign,
+      departure_stop: transit.departure_stop?.name,
+      arrival_stop: transit.arrival_stop?.name,
+      departure_time: transit.departure_time?.text,
+      arrival_time: transit.arrival_time?.text,
+      num_stops: transit.num_stops,
+    } : null,
+  };
+}
+
+/**
+ * Transform one route leg into a compact format
+ */
+function formatLeg(leg) {
+  return {
+    start_address: leg.start_address,
+    end_address: leg.end_address,
+    start_location: leg.start_location,
+    end_location: leg.end_location,
+    distance: { text: leg.distance.text, value: leg.distance.value },
+    duration: { text: leg.duration.text, value: leg.duration.value },
+    departure_time: leg.departure_time?.text || null,
+    arrival_time: leg.arrival_time?.text || null,
+    steps: (leg.steps || []).map(formatStep),
+  };
+}
+
+/**
+ * Build a Google Maps link that opens turn-by-turn navigation
+ * @param {Object} options - Navigation options
+ * @param {string} options.origin - Starting location (omit to start from the device location)
+ * @param {string} options.destination - Destination address or name
+ * @param {string} options.destinationPlaceId - Destination place ID (optional, more precise)
+ * @param {string} options.mode - Travel mode: driving, walking, bicycling, transit
+ */
+export function buildNavigationUrl({ origin, destination, destinationPlaceId, mode = 'driving' }) {
+  const params = new URLSearchParams({ api: '1', destination, travelmode: mode });
+  if (origin) params.set('origin', origin);
+  if (destinationPlaceId) params.set('destination_place_id', destinationPlaceId);
+  return `https://www.google.com/maps/dir/?${params}`;
+}
+
 /**
  * Get directions between origin and destination
  * @param {Client} client - Google Maps client
@@ -10,8 +82,10 @@
  * @param {string} options.origin - Starting location (address or coordinates)
  * @param {string} options.destination - Ending location (address or coordinates)
  * @param {string} options.mode - Travel mode: driving, walking, bicycling, transit
+ * @param {string} options.language - Language code for addresses and step instructions (optional)
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
  */
-export async function getDirections(client, { origin, destination, mode = 'driving' }) {
+export async function getDirections(client, { origin, destination, mode = 'driving', language, signal }) {
   try {
     const response = await client.directions({
       params: {
@@ -19,7 +93,9 @@ export async function getDirections(client, { origin, destination, mode = 'drivi
         destination: destination,
         mode: mode,
         key: process.env.GOOGLE_MAPS_API_KEY,
+        ...(language && { language }),
       },
+      signal,
     });
 
     if (!response.data.routes || response.data.routes.length === 0) {
@@ -27,19 +103,19 @@ export async function getDirections(client, { origin, destination, mode = 'drivi
     }
 
     const route = response.data.routes[0];
-    const leg = route.legs[0];
 
     return {
       result: {
         routes: [{
-          legs: [{
-            distance: { text: leg.distance.text },
-            duration: { text: leg.duration.text },
-          }],
+          summary: route.summary,
+          legs: route.legs.map(formatLeg),
+          overview_polyline: route.overview_polyline?.points || null,
+          warnings: route.warnings || [],
         }],
       },
     };
   } catch (error) {
+    if (isAbortError(error)) throw error;
     if (error.response?.status === 403) {
       return { result: null, error: 'API key issue' };
     }
@@ -0,0 +1,200 @@
+/**
+ * Search geometry
+ * Areas a place search can be restricted to: a circle around a center, a
+ * bounding box or a GeoJSON polygon. Google only treats location and radius
+ * as a bias, so results are checked against the area afterwards. Bounding
+ * boxes and GeoJSON positions are [lng, lat], as in GeoJSON.
+ */
+
+import { calculateDistance } from './places.js';
+
+// Places API maximum for the location bias
+const MAX_RADIUS_M = 50000;
+const MAX_POLYGON_POSITIONS = 1000;
+
+const isLat = (value) => Number.isFinite(value) && Math.abs(value) <= 90;
+const isLng = (value) => Number.isFinite(value) && Math.abs(value) <= 180;
+
+/**
+ * Parse comma-separated numbers ("25.03,121.56")
+ */
+function parseNumbers(value, count) {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== count || parts.some(part => part === '')) return null;
+  const numbers = parts.map(Number);
+  return numbers.every(Number.isFinite) ? numbers : null;
+}
+
+/**
+ * Parse a "lat,lng" value
+ * @returns {{lat: number, lng: number}|null} null when the value isn't a coordinate pair
+ */
+export function parseLatLng(value) {
+  const numbers = parseNumbers(value, 2);
+  if (!numbers || !isLat(numbers[0]) || !isLng(numbers[1])) return null;
+  return { lat: numbers[0], lng: numbers[1] };
+}
+
+/**
+ * Parse a GeoJSON Polygon (or a Feature holding one)
+ * Rings that aren't closed are closed.
+ * @param {string|Object} value - GeoJSON text or object
+ * @returns {{coordinates: Array}|{error: string}}
+ */
+function parsePolygon(value) {
+  let geojson = value;
+  if (typeof value === 'string') {
+    try {
+      geojson = JSON.parse(value);
+    } catch {
+      return { error: 'polygon must be GeoJSON' };
+    }
+  }
+  if (geojson?.type === 'Feature') geojson = geojson.geometry;
+  if (geojson?.type !== 'Polygon' || !Array.isArray(geojson.coordinates) || geojson.coordinates.length === 0) {
+    return { error: 'polygon must be a GeoJSON Polygon' };
+  }
+
+  const rings = [];
+  let positions = 0;
+  for (const ring of geojson.coordinates) {
+    if (!Array.isArray(ring) || !ring.every(p => Array.isArray(p) && isLng(p[0]) && isLat(p[1]))) {
+      return { error: 'polygon positions must be [lng, lat]' };
+    }
+    const closed = ring.length > 0 && (ring[0][0] !== ring.at(-1)[0] || ring[0][1] !== ring.at(-1)[1])
+      ? [...ring, ring[0]]
+      : ring;
+    if (closed.length < 4) return { error: 'polygon rings need at least 3 distinct positions' };
+    positions += closed.length;
+    rings.push(closed.map(p => [p[0], p[1]]));
+  }
+  if (positions > MAX_POLYGON_POSITIONS) {
+    return { error: `polygon may have at most ${MAX_POLYGON_POSITIONS} positions` };
+  }
+
+  return { coordinates: rings };
+}
+
+/**
+ * Parse the area parameters of a search request
+ * At most one of center (location "lat,lng" with radius), bbox and polygon.
+ * @param {Object} params - {location, radius, bbox, polygon}
+ * @param {string} params.location - "lat,lng" center; other strings are place names, not areas
+ * @param {number|string} params.radius - Circle radius in meters (default: 5000)
+ * @param {string} params.bbox - "west,south,east,north"
+ * @param {string|Object} params.polygon - GeoJSON Polygon or Feature
+ * @returns {{area: Object|null}|{error: string}} area is
+ *   {type: "circle", center, radius_m} | {type: "bbox", bbox} | {type: "polygon", coordinates}
+ */
+export function parseSearchArea({ location, radius, bbox, polygon } = {}) {
+  const center = location ? parseLatLng(location) : null;
+  if (location && !center && parseNumbers(location, 2)) {
+    return { error: 'location coordinates must be lat,lng' };
+  }
+  const given = [center, bbox, polygon].filter(value => value !== null && value !== undefined && value !== '');
+  if (given.length > 1) {
+    return { error: 'Use only one of location (lat,lng), bbox and polygon' };
+  }
+
+  if (center) {
+    const radiusM = radius === undefined || radius === '' ? 5000 : Number(radius);
+    if (!Number.isFinite(radiusM) || radiusM <= 0 || radiusM > MAX_RADIUS_M) {
+      return { error: `radius must be between 1 and ${MAX_RADIUS_M} meters` };
+    }
+    return { area: { type: 'circle', center, radius_m: radiusM } };
+  }
+
+  if (bbox) {
+    const numbers = parseNumbers(bbox, 4);
+    if (!numbers || !isLng(numbers[0]) || !isLat(numbers[1]) || !isLng(numbers[2]) || !isLat(numbers[3]) ||
+        numbers[1] > numbers[3]) {
+      return { error: 'bbox must be west,south,east,north' };
+    }
+    return { area: { type: 'bbox', bbox: numbers } };
+  }
+
+  if (polygon) {
+    const parsed = parsePolygon(polygon);
+    if (parsed.error) return parsed;
+    return { area: { type: 'polygon', coordinates: parsed.coordinates } };
+  }
+
+  return { area: null };
+}
+
+/**
+ * Bounding box of an area [west, south, east, north]
+ */
+export function areaBounds(area) {
+  if (area.type === 'bbox') return area.bbox;
+
+  if (area.type === 'circle') {
+    const { lat, lng } = area.center;
+    const dLat = area.radius_m / 111320;
+    const dLng = area.radius_m / (111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    return [Math.max(lng - dLng, -180), Math.max(lat - dLat, -90), Math.min(lng + dLng, 180), Math.min(lat + dLat, 90)];
+  }
+
+  const positions = area.coordinates[0];
+  const lngs = positions.map(p => p[0]);
+  const lats = positions.map(p => p[1]);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+/**
+ * Center and radius that cover an area, for Google's location bias
+ * @returns {{center: {lat, lng}, radius: number}}
+ */
+export function areaBias(area) {
+  if (area.type === 'circle') return { center: area.center, radius: area.radius_m };
+
+  const [west, south, east, north] = areaBounds(area);
+  // A box across the antimeridian has west > east
+  const width = west <= east ? east - west : east + 360 - west;
+  let lng = west + width / 2;
+  if (lng > 180) lng -= 360;
+  const center = { lat: (south + north) / 2, lng };
+  const cornerKm = Math.max(
+    calculateDistance(center.lat, center.lng, south, west),
+    calculateDistance(center.lat, center.lng, north, east)
+  );
+  return { center, radius: Math.min(Math.ceil(cornerKm * 1000), MAX_RADIUS_M) };
+}
+
+/**
+ * Ray casting test against one ring of [lng, lat] positions
+ */
+function inRing(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside an area
+ * @param {Object} area - From parseSearchArea
+ * @param {{lat: number, lng: number}} point
+ * @returns {boolean}
+ */
+export function containsPoint(area, { lat, lng }) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+
+  if (area.type === 'circle') {
+    return calculateDistance(area.center.lat, area.center.lng, lat, lng) * 1000 <= area.radius_m;
+  }
+
+  if (area.type === 'bbox') {
+    const [west, south, east, north] = area.bbox;
+    const inLng = west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+    return inLng && lat >= south && lat <= north;
+  }
+
+  const [outer, ...holes] = area.coordinates;
+  return inRing(outer, lng, lat) && !holes.some(hole => inRing(hole, lng, lat));
+}
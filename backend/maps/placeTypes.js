@@ -0,0 +1,81 @@
+/**
+ * Place types
+ * Google place types Nearby Search can filter by, with the words that name
+ * them in a query ("pharmacy", "drugstore", "藥局"). Queries are sent as a
+ * keyword either way; a type they name is sent along with it.
+ */
+
+const TYPE_WORDS = {
+  airport: ['airport', '機場', '空港'],
+  atm: ['atm', 'cash machine', '提款機'],
+  bakery: ['bakery', 'bakeries', '麵包店', 'パン屋'],
+  bank: ['bank', 'banks', '銀行'],
+  bar: ['bar', 'bars', 'pub', 'pubs', '酒吧', 'バー'],
+  bus_station: ['bus station', 'bus stop', '公車站', 'バス停'],
+  cafe: ['cafe', 'cafes', 'café', 'coffee', 'coffee shop', 'coffee shops', '咖啡', 'カフェ'],
+  car_rental: ['car rental', 'rent a car', '租車', 'レンタカー'],
+  convenience_store: ['convenience store', 'convenience stores', '7-eleven', '便利商店', 'コンビニ'],
+  dentist: ['dentist', 'dentists', 'dental clinic', '牙醫', '歯医者'],
+  doctor: ['doctor', 'doctors', 'clinic', 'clinics', '診所', 'クリニック'],
+  gas_station: ['gas station', 'gas stations', 'petrol station', '加油站', 'ガソリンスタンド'],
+  gym: ['gym', 'gyms', 'fitness', '健身房', 'ジム'],
+  hospital: ['hospital', 'hospitals', '醫院', '病院'],
+  laundry: ['laundry', 'laundromat', '洗衣店', 'コインランドリー'],
+  library: ['library', 'libraries', '圖書館', '図書館'],
+  lodging: ['hotel', 'hotels', 'hostel', 'hostels', '飯店', 'ホテル'],
+  museum: ['museum', 'museums', '博物館', '美術館'],
+  park: ['park', 'parks', '公園'],
+  parking: ['parking', 'car park', '停車場', '駐車場'],
+  pharmacy: ['pharmacy', 'pharmacies', 'drugstore', 'drugstores', 'chemist', '藥局', '薬局', 'ドラッグストア'],
+  police: ['police', 'police station', '警察局', '交番'],
+  post_office: ['post office', '郵局', '郵便局'],
+  restaurant: ['restaurant', 'restaurants', '餐廳', 'レストラン'],
+  subway_station: ['mrt', 'metro', 'subway', 'subway station', 'metro station', '捷運站', '地下鉄'],
+  supermarket: ['supermarket', 'supermarkets', 'grocery', 'grocery store', '超市', 'スーパー'],
+  train_station: ['train station', 'railway station', '火車站', '駅'],
+  veterinary_care: ['vet', 'vets', 'veterinarian', '動物醫院', '動物病院'],
+};
+
+export const PLACE_TYPES = Object.keys(TYPE_WORDS);
+
+const isLatin = (word) => /^[\x20-\x7eÀ-ɏ]+$/.test(word);
+const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest words first so "coffee shop" wins over "coffee"
+const MATCHERS = Object.entries(TYPE_WORDS)
+  .flatMap(([type, words]) => words.map(word => ({ type, word })))
+  .sort((a, b) => b.word.length - a.word.length)
+  .map(({ type, word }) => ({
+    type,
+    // Latin words need word boundaries; CJK text has no spaces to check
+    pattern: isLatin(word) ? new RegExp(`(?<![a-z0-9])${escape(word)}(?![a-z0-9])`, 'i') : new RegExp(escape(word)),
+  }));
+
+/**
+ * Whether a value is a place type Nearby Search can filter by
+ */
+export function isPlaceType(value) {
+  return PLACE_TYPES.includes(value);
+}
+
+/**
+ * Find the place type a query names ("nearest pharmacy" -> "pharmacy")
+ * @param {string} query - Search query
+ * @returns {string|null} Place type, or null when the query names none
+ */
+export function placeTypeFor(query) {
+  if (!query) return null;
+  return MATCHERS.find(({ pattern }) => pattern.test(query))?.type || null;
+}
+
+/**
+ * Nearby Search parameters for a query
+ * The whole query is always the keyword, so "vegetarian restaurant" doesn't
+ * become any restaurant; a place type it names narrows the search further.
+ * @param {string} query - Search query
+ * @returns {{keyword: string, type?: string}}
+ */
+export function nearbyQuery(query) {
+  const type = placeTypeFor(query);
+  return type ? { keyword: query, type } : { keyword: query };
+}
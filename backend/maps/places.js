@@ -3,8 +3,14 @@
  * Handles searching for places and retrieving place details
  */
 
+import { isAbortError, delay } from '../abort.js';
+
 const MAPS_URL = 'https://maps.googleapis.com/maps/api';
 
+// A next_page_token only works a couple of seconds after it was issued
+const PAGE_TOKEN_DELAY_MS = 2000;
+const PAGE_TOKEN_ATTEMPTS = 3;
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -53,15 +59,20 @@ export function formatDistance(distanceKm) {
  * Geocode a location string to coordinates
  * @param {Client} client - Google Maps client
  * @param {string} location - Location string (e.g., "San Francisco, CA")
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
+ * @param {string} options.language - Language code for results (optional)
  * @returns {Promise<{lat: number, lng: number}|null>}
  */
-export async function geocodeLocation(client, location) {
+export async function geocodeLocation(client, location, { signal, language } = {}) {
   try {
     const response = await client.geocode({
       params: {
         address: location,
         key: process.env.GOOGLE_MAPS_API_KEY,
+        ...(language && { language }),
       },
+      signal,
     });
 
     if (response.data.results && response.data.results.length > 0) {
@@ -70,25 +81,73 @@ export async function geocodeLocation(client, location) {
     }
     return null;
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Geocoding error:', error.message);
     return null;
   }
 }
 
+/**
+ * Coordinates of a place picked from autocomplete suggestions
+ * Asks only for basic fields; with the suggestions' session token this
+ * lookup ends the autocomplete session.
+ * @param {Client} client - Google Maps client
+ * @param {string} placeId - place_id of the suggestion
+ * @param {Object} options - Request options
+ * @param {string} options.sessionToken - Autocomplete session token (optional)
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
+ * @param {string} options.language - Language code for results (optional)
+ * @returns {Promise<{place_id: string, name: string, formatted_address: string, lat: number, lng: number}|null>}
+ */
+export async function locatePlace(client, placeId, { sessionToken, signal, language } = {}) {
+  try {
+    const response = await client.placeDetails({
+      params: {
+        place_id: placeId,
+        fields: ['place_id', 'name', 'formatted_address', 'geometry'],
+        key: process.env.GOOGLE_MAPS_API_KEY,
+        ...(sessionToken && { sessiontoken: sessionToken }),
+        ...(language && { language }),
+      },
+      signal,
+    });
+
+    const place = response.data.result;
+    const location = place?.geometry?.location;
+    if (!location) return null;
+    return {
+      place_id: place.place_id || placeId,
+      name: place.name,
+      formatted_address: place.formatted_address,
+      lat: location.lat,
+      lng: location.lng,
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('Place lookup error:', error.message);
+    return null;
+  }
+}
+
 /**
  * Reverse geocode coordinates to an address
  * @param {Client} client - Google Maps client
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
+ * @param {string} options.language - Language code for the address (optional)
  * @returns {Promise<string|null>} Formatted address or null
  */
-export async function reverseGeocode(client, lat, lng) {
+export async function reverseGeocode(client, lat, lng, { signal, language } = {}) {
   try {
     const response = await client.reverseGeocode({
       params: {
         latlng: { lat, lng },
         key: process.env.GOOGLE_MAPS_API_KEY,
+        ...(language && { language }),
       },
+      signal,
     });
 
     if (response.data.results && response.data.results.length > 0) {
@@ -96,27 +155,106 @@ export async function reverseGeocode(client, lat, lng) {
     }
     return null;
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Reverse geocoding error:', error.message);
     return null;
   }
 }
 
+/**
+ * Run a text or nearby search, waiting for a fresh page token to become valid
+ * Google answers INVALID_REQUEST for a next_page_token used too early.
+ * @param {Function} search - Client method call: ({params, signal}) => response
+ */
+async function searchWithRetry(search, params, signal) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await search({ params, signal });
+    } catch (error) {
+      const early = params.pagetoken && error.response?.data?.status === 'INVALID_REQUEST';
+      if (!early || attempt >= PAGE_TOKEN_ATTEMPTS) throw error;
+      await delay(PAGE_TOKEN_DELAY_MS, signal);
+    }
+  }
+}
+
+/**
+ * Convert a Places API search result into the place format used everywhere
+ * @param {Object} place - Text Search or Nearby Search result
+ * @param {Object} origin - Point to measure the distance from {lat, lng} (optional)
+ */
+function formatPlace(place, origin) {
+  const lat = place.geometry?.location?.lat;
+  const lng = place.geometry?.location?.lng;
+  let distance = null;
+
+  // Calculate distance if user location (or another origin) is provided
+  if (origin && origin.lat && origin.lng && lat && lng) {
+    distance = calculateDistance(origin.lat, origin.lng, lat, lng);
+  }
+
+  return {
+    place_id: place.place_id,
+    name: place.name,
+    formatted_address: place.formatted_address,
+    vicinity: place.vicinity,
+    lat: lat,
+    lng: lng,
+    rating: place.rating,
+    user_ratings_total: place.user_ratings_total,
+    price_level: place.price_level,
+    // Comprehensive place data
+    phone: place.international_phone_number,
+    website: place.website,
+    opening_hours: place.opening_hours ? {
+      open_now: place.opening_hours.open_now,
+      periods: place.opening_hours.periods,
+      weekday_text: place.opening_hours.weekday_text,
+    } : null,
+    types: place.types,
+    photos: place.photos?.slice(0, 3).map(photo => ({
+      photo_reference: photo.photo_reference,
+      width: photo.width,
+      height: photo.height,
+    })) || [],
+    distance_km: distance,
+    distance_text: distance !== null ? formatDistance(distance) : null,
+    permanently_closed: place.permanently_closed,
+  };
+}
+
 /**
  * Search for places using Places API
  * @param {Client} client - Google Maps client
  * @param {Object} options - Search options
  * @param {string} options.query - Search query (e.g., "coffee shop")
- * @param {string} options.location - Location string (e.g., "San Francisco, CA")
+ * @param {string|Object} options.location - Location string (e.g., "San Francisco, CA") or {lat, lng} to bias towards
  * @param {number} options.radius - Search radius in meters (default: 5000)
+ * @param {string} options.type - Google place type to restrict to, e.g. "pharmacy" (optional)
  * @param {Object} options.userLocation - User's current location for distance calc {lat, lng}
+ * @param {Object} options.distanceFrom - Point to measure distances from instead, e.g. a landmark {lat, lng}
  * @param {string} options.language - Language code for results (default: en)
+ * @param {boolean} options.openNow - Only return places open now (optional)
+ * @param {number} options.minPrice - Minimum price level 0-4 (optional)
+ * @param {number} options.maxPrice - Maximum price level 0-4 (optional)
+ * @param {string} options.pageToken - next_page_token of an earlier search: fetches its next
+ *   page, and every other search parameter is ignored (optional)
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
+ * @returns {Promise<{results: Array, search_center: Object|null, next_page_token: string|null, error?: string}>}
  */
 export async function searchPlaces(client, {
   query,
   location,
   radius = 5000,
+  type,
   userLocation = null,
-  language = 'en'
+  distanceFrom = null,
+  language = 'en',
+  openNow,
+  minPrice,
+  maxPrice,
+  pageToken,
+  signal
 }) {
   try {
     let searchParams = {
@@ -125,6 +263,12 @@ export async function searchPlaces(client, {
       language: language,
     };
 
+    // Let Google pre-filter what it can
+    if (type) searchParams.type = type;
+    if (openNow) searchParams.opennow = true;
+    if (minPrice !== undefined) searchParams.minprice = minPrice;
+    if (maxPrice !== undefined) searchParams.maxprice = maxPrice;
+
     // If location is provided as coordinates, use location bias
     if (location && location.lat && location.lng) {
       searchParams.location = { lat: location.lat, lng: location.lng };
@@ -134,61 +278,96 @@ export async function searchPlaces(client, {
       searchParams.query = `${query} in ${location}`;
     }
 
-    const response = await client.textSearch({
-      params: searchParams,
-    });
+    if (pageToken) {
+      searchParams = { pagetoken: pageToken, key: process.env.GOOGLE_MAPS_API_KEY };
+    }
+
+    const response = await searchWithRetry((args) => client.textSearch(args), searchParams, signal);
 
     if (!response.data.results) {
       return { results: [] };
     }
 
-    // Transform results into a comprehensive format
-    const results = response.data.results.slice(0, 20).map(place => {
-      const lat = place.geometry?.location?.lat;
-      const lng = place.geometry?.location?.lng;
-      let distance = null;
+    const origin = distanceFrom || userLocation;
+    const results = response.data.results.slice(0, 20).map(place => formatPlace(place, origin));
 
-      // Calculate distance if user location is provided
-      if (userLocation && userLocation.lat && userLocation.lng && lat && lng) {
-        distance = calculateDistance(userLocation.lat, userLocation.lng, lat, lng);
-      }
+    return {
+      results,
+      search_center: origin || null,
+      next_page_token: response.data.next_page_token || null,
+    };
+  } catch (error) {
+    // Handle API errors gracefully
+    if (error.response?.status === 403) {
+      return { results: [], error: 'Google Maps API key issue - check enabled APIs' };
+    }
+    throw error;
+  }
+}
 
-      return {
-        place_id: place.place_id,
-        name: place.name,
-        formatted_address: place.formatted_address,
-        vicinity: place.vicinity,
-        lat: lat,
-        lng: lng,
-        rating: place.rating,
-        user_ratings_total: place.user_ratings_total,
-        price_level: place.price_level,
-        // Comprehensive place data
-        phone: place.international_phone_number,
-        website: place.website,
-        opening_hours: place.opening_hours ? {
-          open_now: place.opening_hours.open_now,
-          periods: place.opening_hours.periods,
-          weekday_text: place.opening_hours.weekday_text,
-        } : null,
-        types: place.types,
-        photos: place.photos?.slice(0, 3).map(photo => ({
-          photo_reference: photo.photo_reference,
-          width: photo.width,
-          height: photo.height,
-        })) || [],
-        distance_km: distance,
-        distance_text: distance !== null ? formatDistance(distance) : null,
-        permanently_closed: place.permanently_closed,
+/**
+ * Search for places around a point, nearest first (Nearby Search with rankby=distance)
+ * Google needs a keyword or a place type for this ranking and takes no radius.
+ * @param {Client} client - Google Maps client
+ * @param {Object} options - Search options
+ * @param {Object} options.location - Point to search around {lat, lng} (not needed with pageToken)
+ * @param {string} options.keyword - Text to match against names, types and content (optional)
+ * @param {string} options.type - Google place type, e.g. "pharmacy" (see placeTypes.js, optional)
+ * @param {Object} options.userLocation - User's current location for distance calc {lat, lng}
+ * @param {Object} options.distanceFrom - Point to measure distances from instead {lat, lng}
+ * @param {string} options.language - Language code for results (default: en)
+ * @param {boolean} options.openNow - Only return places open now (optional)
+ * @param {number} options.minPrice - Minimum price level 0-4 (optional)
+ * @param {number} options.maxPrice - Maximum price level 0-4 (optional)
+ * @param {string} options.pageToken - next_page_token of an earlier nearby search (optional)
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
+ * @returns {Promise<{results: Array, search_center: Object|null, next_page_token: string|null, error?: string}>}
+ */
+export async function searchNearby(client, {
+  location,
+  keyword,
+  type,
+  userLocation = null,
+  distanceFrom = null,
+  language = 'en',
+  openNow,
+  minPrice,
+  maxPrice,
+  pageToken,
+  signal
+}) {
+  try {
+    let searchParams;
+    if (pageToken) {
+      searchParams = { pagetoken: pageToken, key: process.env.GOOGLE_MAPS_API_KEY };
+    } else {
+      searchParams = {
+        location: { lat: location.lat, lng: location.lng },
+        rankby: 'distance',
+        key: process.env.GOOGLE_MAPS_API_KEY,
+        language: language,
       };
-    });
+      if (keyword) searchParams.keyword = keyword;
+      if (type) searchParams.type = type;
+      if (openNow) searchParams.opennow = true;
+      if (minPrice !== undefined) searchParams.minprice = minPrice;
+      if (maxPrice !== undefined) searchParams.maxprice = maxPrice;
+    }
+
+    const response = await searchWithRetry((args) => client.placesNearby(args), searchParams, signal);
 
+    if (!response.data.results) {
+      return { results: [] };
+    }
+
+    // Without a user location, distances are from the search point
+    const origin = distanceFrom || userLocation || location || null;
     return {
-      results,
-      search_center: userLocation || null,
+      results: response.data.results.slice(0, 20).map(place => formatPlace(place, origin)),
+      search_center: origin,
+      next_page_token: response.data.next_page_token || null,
     };
   } catch (error) {
-    // Handle API errors gracefully
     if (error.response?.status === 403) {
       return { results: [], error: 'Google Maps API key issue - check enabled APIs' };
     }
@@ -196,13 +375,63 @@ export async function searchPlaces(client, {
   }
 }
 
+/**
+ * Suggest places for partly typed text (Places Autocomplete)
+ * Requests sharing a session token, and the place lookup that ends the
+ * session, are billed as one session.
+ * @param {Client} client - Google Maps client
+ * @param {Object} options - Autocomplete options
+ * @param {string} options.input - Text typed so far
+ * @param {string} options.sessionToken - Session token, one per place being typed
+ * @param {Object} options.location - Point to bias suggestions towards {lat, lng} (optional)
+ * @param {number} options.radius - Bias radius in meters (default: 50000)
+ * @param {string} options.language - Language code for results (optional)
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
+ * @returns {Promise<{predictions: Array<{place_id, description, main_text, secondary_text, types, distance_m}>, error?: string}>}
+ */
+export async function autocompletePlaces(client, { input, sessionToken, location = null, radius = 50000, language, signal }) {
+  try {
+    const response = await client.placeAutocomplete({
+      params: {
+        input,
+        sessiontoken: sessionToken,
+        key: process.env.GOOGLE_MAPS_API_KEY,
+        // Bias towards the user and report how far each suggestion is
+        ...(location && { location: { lat: location.lat, lng: location.lng }, radius, origin: { lat: location.lat, lng: location.lng } }),
+        ...(language && { language }),
+      },
+      signal,
+    });
+
+    return {
+      predictions: (response.data.predictions || []).map(prediction => ({
+        place_id: prediction.place_id,
+        description: prediction.description,
+        main_text: prediction.structured_formatting?.main_text || prediction.description,
+        secondary_text: prediction.structured_formatting?.secondary_text || null,
+        types: prediction.types || [],
+        distance_m: typeof prediction.distance_meters === 'number' ? prediction.distance_meters : null,
+      })),
+    };
+  } catch (error) {
+    if (error.response?.status === 403) {
+      return { predictions: [], error: 'Google Maps API key issue - check enabled APIs' };
+    }
+    throw error;
+  }
+}
+
 /**
  * Get detailed information about a specific place
  * @param {Client} client - Google Maps client
  * @param {string} placeId - The place ID to look up
  * @param {Object} userLocation - User's current location for distance calc {lat, lng}
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request (optional)
+ * @param {string} options.language - Language code for results (optional)
+ * @param {string} options.sessionToken - Autocomplete session the place was picked in (optional)
  */
-export async function getPlaceDetails(client, placeId, userLocation = null) {
+export async function getPlaceDetails(client, placeId, userLocation = null, { signal, language, sessionToken } = {}) {
   try {
     const response = await client.placeDetails({
       params: {
@@ -219,6 +448,7 @@ export async function getPlaceDetails(client, placeId, userLocation = null) {
           'user_ratings_total',
           'price_level',
           'opening_hours',
+          'utc_offset',
           'geometry',
           'types',
           'photos',
@@ -241,7 +471,10 @@ export async function getPlaceDetails(client, placeId, userLocation = null) {
           'wheelchair_accessible_entrance',
         ],
         key: process.env.GOOGLE_MAPS_API_KEY,
+        ...(sessionToken && { sessiontoken: sessionToken }),
+        ...(language && { language }),
       },
+      signal,
     });
 
     const place = response.data.result;
@@ -271,6 +504,8 @@ export async function getPlaceDetails(client, placeId, userLocation = null) {
           periods: place.opening_hours.periods,
           weekday_text: place.opening_hours.weekday_text,
         } : null,
+        // Minutes from UTC, to read opening hours in the place's own time zone
+        utc_offset: place.utc_offset_minutes ?? place.utc_offset ?? null,
         location: {
           lat: lat,
           lng: lng,
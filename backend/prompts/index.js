@@ -0,0 +1,137 @@
+/**
+ * Prompt templates
+ * System prompts live in prompts/*.md: a front matter block (id, version,
+ * optional variant, models and weight) followed by the prompt text, with
+ * {{variables}} filled in per request. Several files may share an id - the
+ * one matching the model is used, and same-id variants are picked by weight
+ * so two prompts can be A/B tested. Files are reloaded on change in dev.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.dirname(fileURLToPath(import.meta.url));
+const HOT_RELOAD = (process.env.PROMPTS_HOT_RELOAD ?? String(process.env.NODE_ENV !== 'production')) === 'true';
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+let templates = new Map();
+
+/**
+ * Parse a template file
+ * @param {string} source - File contents
+ * @param {string} file - File name, for error messages
+ * @returns {{id, version, variant, models, weight, body, variables, file}}
+ */
+export function parseTemplate(source, file) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  if (!match) throw new Error(`${file}: missing front matter`);
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^(\w+):\s*(.*)$/);
+    if (field) meta[field[1]] = field[2].trim();
+  }
+
+  const version = parseInt(meta.version);
+  if (!meta.id) throw new Error(`${file}: id is required`);
+  if (!Number.isInteger(version)) throw new Error(`${file}: version must be an integer`);
+
+  const body = match[2].trim();
+  return {
+    id: meta.id,
+    version,
+    variant: meta.variant || 'default',
+    models: meta.models ? meta.models.split(',').map(model => model.trim()).filter(Boolean) : [],
+    weight: meta.weight ? parseFloat(meta.weight) : 1,
+    body,
+    variables: new Set([...body.matchAll(VARIABLE_PATTERN)].map(m => m[1])),
+    file,
+  };
+}
+
+/**
+ * Load every template in a directory
+ * @param {string} dir - Directory of .md templates
+ * @returns {Map<string, Array>} Templates by id
+ */
+export function loadTemplates(dir = PROMPTS_DIR) {
+  const loaded = new Map();
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.md')).sort()) {
+    const template = parseTemplate(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+    loaded.set(template.id, [...(loaded.get(template.id) || []), template]);
+  }
+  return loaded;
+}
+
+/**
+ * Match a model name against a pattern with * wildcards ("llama3.1:*")
+ */
+function matchesModel(pattern, model) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+  return regex.test(model || '');
+}
+
+/**
+ * Pick the template for an id and model
+ * Templates listing the model win over generic ones; among equals, one is
+ * drawn by weight.
+ */
+function selectTemplate(id, model, random = Math.random) {
+  const candidates = templates.get(id) || [];
+  const forModel = candidates.filter(t => t.models.some(pattern => matchesModel(pattern, model)));
+  const pool = forModel.length > 0 ? forModel : candidates.filter(t => t.models.length === 0);
+  if (pool.length === 0) throw new Error(`No prompt template "${id}" for model ${model || '(none)'}`);
+
+  const total = pool.reduce((sum, t) => sum + t.weight, 0);
+  let pick = random() * total;
+  return pool.find(t => (pick -= t.weight) < 0) || pool[pool.length - 1];
+}
+
+/**
+ * Render a prompt
+ * @param {string} id - Template id
+ * @param {Object} vars - Values for {{variables}}; missing ones render empty
+ * @param {Object} options - {model, random}
+ * @returns {{id, version, variant, text, uses: Function}} uses(name) tells
+ *   whether the template placed a variable, so callers can put it elsewhere
+ */
+export function renderPrompt(id, vars = {}, { model = null, random } = {}) {
+  const template = selectTemplate(id, model, random);
+  const text = template.body.replace(VARIABLE_PATTERN, (m, name) => (vars[name] ?? '').toString()).trim();
+  return {
+    id: template.id,
+    version: template.version,
+    variant: template.variant,
+    text,
+    uses: (name) => template.variables.has(name),
+  };
+}
+
+/**
+ * Reload templates, keeping the current ones if the files don't parse
+ */
+function reload() {
+  try {
+    templates = loadTemplates();
+    console.log(`[PROMPTS] Loaded ${[...templates.values()].flat().length} templates from ${PROMPTS_DIR}`);
+  } catch (error) {
+    console.error(`[PROMPTS] Reload failed, keeping previous templates: ${error.message}`);
+  }
+}
+
+templates = loadTemplates();
+
+if (HOT_RELOAD) {
+  let timer = null;
+  try {
+    fs.watch(PROMPTS_DIR, () => {
+      // Editors fire several events per save
+      clearTimeout(timer);
+      timer = setTimeout(reload, 100);
+    }).unref();
+  } catch (error) {
+    console.warn(`[PROMPTS] Hot reload unavailable: ${error.message}`);
+  }
+}
@@ -1,10 +1,13 @@
 import express from 'express';
+import crypto from 'crypto';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import rateLimit from 'express-rate-limit';
 import { Client } from '@googlemaps/google-maps-services-js';
 import {
   searchPlaces,
+  searchNearby,
+  autocompletePlaces,
   getPlaceDetails,
   geocodeLocation,
   reverseGeocode,
@@ -12,7 +15,29 @@ import {
   formatDistance
 } from './maps/places.js';
 import { getDirections } from './maps/directions.js';
+import { parseSearchArea, areaBias, areaBounds, containsPoint } from './maps/geometry.js';
+import { PLACE_TYPES, isPlaceType } from './maps/placeTypes.js';
 import { streamChatWithTools } from './agent.js';
+import { createEventStream, getEventStream, parseEventId } from './sse.js';
+import { shownPlaces } from './chat/conversation.js';
+import { normalizePickedPlaces } from './chat/picked.js';
+import { createCursor, bindCursor, fetchNextPage } from './chat/pages.js';
+import {
+  listConversations,
+  getConversation,
+  createConversation,
+  updateConversation,
+  appendMessages,
+  updateMessage,
+  deleteConversation,
+  summarizeConversation
+} from './store/conversations.js';
+import { getProfile, updateProfile } from './store/profile.js';
+import { validateProfile } from './chat/profile.js';
+import { normalizeLocale } from './chat/language.js';
+import { comparePlaces, MAX_COMPARE_PLACES } from './chat/compare.js';
+import { getReviewSummary } from './chat/reviews.js';
+import { getProvider, listModels, defaultModels, resolveModels, ModelNotAvailableError } from './llm/index.js';
 
 dotenv.config();
 
@@ -21,6 +46,12 @@ const PORT = process.env.PORT || 3001;
 
 const googleClient = new Client({});
 
+// Text search ranks by prominence, nearby search by distance
+const SEARCH_MODES = ['text', 'nearby'];
+
+// Autocomplete session tokens (a random id from the client, or one we hand out)
+const SESSION_TOKEN = /^[A-Za-z0-9_-]{8,100}$/;
+
 // Middleware
 app.use(express.json());
 
@@ -49,8 +80,20 @@ const limiter = rateLimit({
   message: { error: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  // Counted by autocompleteLimiter instead
+  skip: (req) => req.path === '/places/autocomplete',
+});
+
+// Autocomplete runs as the user types, so it gets its own, larger budget
+const autocompleteLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000'),
+  max: parseInt(process.env.AUTOCOMPLETE_RATE_LIMIT_MAX_REQUESTS || '600'),
+  message: { error: 'Too many requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
+app.use('/api/places/autocomplete', autocompleteLimiter);
 app.use('/api/', limiter);
 
 // Request logging middleware (for usage monitoring)
@@ -69,39 +112,206 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Models a chat request may pick, and the defaults per stage
+app.get('/api/models', async (req, res) => {
+  try {
+    if (process.env.AGENT_MODE === 'template') {
+      return res.json({ provider: null, defaults: null, models: [], source: 'none' });
+    }
+
+    const provider = getProvider();
+    const { models, source } = await listModels(provider);
+    res.json({ provider: provider.name, defaults: defaultModels(provider), models, source });
+  } catch (error) {
+    console.error('Model list error:', error.message);
+    res.status(500).json({ error: 'Failed to list models', details: error.message });
+  }
+});
+
 // Search for places (restaurants, attractions, etc.)
-// Query params: query (required), location (optional), radius (optional, meters)
+// Query params: query (required unless mode=nearby with a type), location (optional), radius (optional, meters)
 //              userLat, userLng (optional - for distance calculation)
+//              language (optional - e.g. zh-TW, ja)
+//              mode (optional - "text" ranks by prominence, "nearby" by distance from the
+//                    location center or the user), type (optional - Google place type, e.g. pharmacy)
+//              cursor (instead of the above - next_cursor of an earlier response, for its next page)
 app.get('/api/places/search', async (req, res) => {
   try {
-    const { query, location, radius = 5000, userLat, userLng } = req.query;
+    const { query, location, radius, bbox, polygon, userLat, userLng, language, mode = 'text', type, cursor } = req.query;
+
+    if (cursor) {
+      const page = await nextPlacesPage(String(cursor));
+      if (!page) {
+        return res.status(404).json({ error: 'Cursor not found or expired - search again' });
+      }
+      return res.json(page);
+    }
+
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${SEARCH_MODES.join(', ')}` });
+    }
+    if (type && !isPlaceType(type)) {
+      return res.status(400).json({ error: 'Unknown place type', types: PLACE_TYPES });
+    }
+    const nearby = mode === 'nearby';
 
-    if (!query) {
-      return res.status(400).json({ error: 'Query parameter is required' });
+    if (!query && !(nearby && type)) {
+      return res.status(400).json({ error: nearby ? 'query or type is required' : 'Query parameter is required' });
     }
 
     // Sanitize query
-    const sanitizedQuery = query.trim().slice(0, 200);
+    const sanitizedQuery = query ? query.trim().slice(0, 200) : null;
 
-    const result = await searchPlaces(googleClient, {
-      query: sanitizedQuery,
-      location,
-      radius: parseInt(radius),
-      userLocation: (userLat && userLng) ? { lat: parseFloat(userLat), lng: parseFloat(userLng) } : null,
-    });
+    // A "lat,lng" center, bbox or polygon restricts the results; any other
+    // location is a place name added to the query
+    const { area, error } = parseSearchArea({ location, radius, bbox, polygon });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const bias = area ? areaBias(area) : null;
 
-    res.json(result);
+    const userLocation = (userLat && userLng) ? { lat: parseFloat(userLat), lng: parseFloat(userLng) } : null;
+
+    // Ranking by distance needs a point to rank from
+    const center = bias ? bias.center : userLocation;
+    if (nearby && !center) {
+      return res.status(400).json({ error: 'mode=nearby needs a location (lat,lng), bbox, polygon or userLat/userLng' });
+    }
+
+    const result = nearby
+      ? await searchNearby(googleClient, {
+        location: center,
+        keyword: sanitizedQuery || undefined,
+        type,
+        userLocation,
+        language: normalizeLocale(language) || undefined,
+      })
+      : await searchPlaces(googleClient, {
+        query: sanitizedQuery,
+        location: bias ? bias.center : location,
+        radius: bias ? bias.radius : parseInt(radius || '5000'),
+        type,
+        userLocation,
+        language: normalizeLocale(language) || undefined,
+      });
+    if (nearby) result.rank_by = 'distance';
+
+    // Google only biases towards the area - drop what lies outside it
+    if (area) {
+      const inside = result.results.filter(place => containsPoint(area, place));
+      result.search_center = bias.center;
+      result.bounds = describeBounds(area, result.results.length - inside.length);
+      result.results = inside;
+    }
+
+    // Google's page token stays on the server behind an opaque cursor
+    const { next_page_token: token, ...rest } = result;
+    res.json({
+      ...rest,
+      next_cursor: createCursor(token, {
+        userLocation,
+        // Later nearby pages carry no location to measure from
+        distanceFrom: nearby ? userLocation || center : null,
+        language: normalizeLocale(language) || undefined,
+        nearby,
+        area,
+      }),
+    });
   } catch (error) {
     console.error('Places search error:', error.message);
     res.status(500).json({ error: 'Failed to search places', details: error.message });
   }
 });
 
-// Get detailed information about a specific place
-// Query params: placeId (required), userLat, userLng (optional - for distance calculation)
+/**
+ * Fetch the page behind a search cursor
+ * A page of a chat answer is also added to the stored message it belongs to,
+ * once, so the conversation reloads with every page shown.
+ * @returns {Promise<Object|null>} Search response, or null when the cursor is unknown or expired
+ */
+async function nextPlacesPage(cursor) {
+  const page = await fetchNextPage(googleClient, cursor);
+  if (!page) return null;
+  if (page.error) {
+    return { results: [], next_cursor: null, error: page.error };
+  }
+
+  const { message, area } = page.search;
+  if (message) {
+    try {
+      await updateMessage(message.conversationId, message.messageId, (stored) => {
+        const { next_page, ...payloads } = stored.payloads || {};
+        // Cursors can be reused (a retry, a second tab) - a page already stored is not added again
+        const storedIds = new Set((payloads.places || []).map(place => place.place_id));
+        const fresh = page.places.filter(place => !storedIds.has(place.place_id));
+        if (page.places.length > 0 && fresh.length === 0) return {};
+        payloads.places = [...(payloads.places || []), ...fresh];
+        if (page.next_cursor) payloads.next_page = { cursor: page.next_cursor };
+        return { places: shownPlaces(payloads), payloads };
+      });
+    } catch (error) {
+      console.error(`[PAGES] Could not save page to conversation ${message.conversationId}: ${error.message}`);
+    }
+  }
+
+  return {
+    results: page.places,
+    search_center: area ? areaBias(area).center : page.search_center,
+    ...(area && { bounds: describeBounds(area, page.removed) }),
+    next_cursor: page.next_cursor,
+  };
+}
+
+/**
+ * The bounds a search was restricted to, as reported with its results
+ */
+function describeBounds(area, filteredOut) {
+  return {
+    type: area.type,
+    bbox: areaBounds(area),
+    ...(area.type === 'circle' && { center: area.center, radius_m: area.radius_m }),
+    filtered_out: filteredOut,
+  };
+}
+
+// Place suggestions while typing
+// Query params: input (required), sessionToken (optional - one per place being typed; a new
+//              one is returned when missing), userLat, userLng (optional - bias and distance),
+//              radius (optional, meters, default 50000), language (optional)
+app.get('/api/places/autocomplete', async (req, res) => {
+  try {
+    const { input, sessionToken, userLat, userLng, radius, language } = req.query;
+
+    const text = typeof input === 'string' ? input.trim().slice(0, 200) : '';
+    if (!text) {
+      return res.status(400).json({ error: 'input parameter is required' });
+    }
+    if (sessionToken && !SESSION_TOKEN.test(sessionToken)) {
+      return res.status(400).json({ error: 'sessionToken must be 8-100 letters, digits, - or _' });
+    }
+    const radiusM = radius ? Number(radius) : 50000;
+    if (!Number.isFinite(radiusM) || radiusM <= 0 || radiusM > 50000) {
+      return res.status(400).json({ error: 'radius must be between 1 and 50000 meters' });
+    }
+
+    const token = sessionToken || crypto.randomUUID();
+    const result = await autocompletePlaces(googleClient, {
+      input: text,
+      sessionToken: token,
+      location: (userLat && userLng) ? { lat: parseFloat(userLat), lng: parseFloat(userLng) } : null,
+      radius: radiusM,
+      language: normalizeLocale(language) || undefined,
+    });
+    res.json({ ...result, session_token: token });
+  } catch (error) {
+    console.error('Autocomplete error:', error.message);
+    res.status(500).json({ error: 'Failed to get suggestions', details: error.message });
+  }
+});
+
 app.get('/api/places/details', async (req, res) => {
   try {
-    const { placeId, userLat, userLng } = req.query;
+    const { placeId, userLat, userLng, language } = req.query;
 
     if (!placeId) {
       return res.status(400).json({ error: 'placeId parameter is required' });
@@ -110,7 +320,8 @@ app.get('/api/places/details', async (req, res) => {
     const result = await getPlaceDetails(
       googleClient,
       placeId,
-      (userLat && userLng) ? { lat: parseFloat(userLat), lng: parseFloat(userLng) } : null
+      (userLat && userLng) ? { lat: parseFloat(userLat), lng: parseFloat(userLng) } : null,
+      { language: normalizeLocale(language) }
     );
     res.json(result);
   } catch (error) {
@@ -119,17 +330,62 @@ app.get('/api/places/details', async (req, res) => {
   }
 });
 
+// Compare places side by side
+// Query params: placeIds (required, comma-separated, 2 to MAX_COMPARE_PLACES),
+//              userLat, userLng (optional - for distance comparison), language (optional)
+app.get('/api/places/compare', async (req, res) => {
+  try {
+    const { placeIds, userLat, userLng, language } = req.query;
+
+    const ids = [...new Set(String(placeIds || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (ids.length < 2 || ids.length > MAX_COMPARE_PLACES) {
+      return res.status(400).json({ error: `placeIds must list 2 to ${MAX_COMPARE_PLACES} place IDs` });
+    }
+
+    const result = await comparePlaces(googleClient, ids, {
+      userLocation: (userLat && userLng) ? { lat: parseFloat(userLat), lng: parseFloat(userLng) } : null,
+      language: normalizeLocale(language),
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Place compare error:', error.message);
+    res.status(500).json({ error: 'Failed to compare places', details: error.message });
+  }
+});
+
+// Summarize what reviewers say about a place (cached per place and language)
+// Query params: placeId (required), language (optional)
+app.get('/api/places/summary', async (req, res) => {
+  try {
+    const { placeId, language } = req.query;
+
+    if (!placeId) {
+      return res.status(400).json({ error: 'placeId parameter is required' });
+    }
+
+    const llm = process.env.AGENT_MODE === 'template' ? null : getProvider();
+    const result = await getReviewSummary(googleClient, llm, placeId, { language: normalizeLocale(language) });
+    if (!result) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Review summary error:', error.message);
+    res.status(500).json({ error: 'Failed to summarize reviews', details: error.message });
+  }
+});
+
 // Geocode an address to coordinates
-// Query params: address (required)
+// Query params: address (required), language (optional)
 app.get('/api/geocode', async (req, res) => {
   try {
-    const { address } = req.query;
+    const { address, language } = req.query;
 
     if (!address) {
       return res.status(400).json({ error: 'address parameter is required' });
     }
 
-    const result = await geocodeLocation(googleClient, address);
+    const result = await geocodeLocation(googleClient, address, { language: normalizeLocale(language) });
 
     if (!result) {
       return res.status(404).json({ error: 'Address not found' });
@@ -143,16 +399,18 @@ app.get('/api/geocode', async (req, res) => {
 });
 
 // Reverse geocode coordinates to an address
-// Query params: lat (required), lng (required)
+// Query params: lat (required), lng (required), language (optional)
 app.get('/api/reverse-geocode', async (req, res) => {
   try {
-    const { lat, lng } = req.query;
+    const { lat, lng, language } = req.query;
 
     if (!lat || !lng) {
       return res.status(400).json({ error: 'lat and lng parameters are required' });
     }
 
-    const address = await reverseGeocode(googleClient, parseFloat(lat), parseFloat(lng));
+    const address = await reverseGeocode(googleClient, parseFloat(lat), parseFloat(lng), {
+      language: normalizeLocale(language),
+    });
 
     if (!address) {
       return res.status(404).json({ error: 'Address not found for given coordinates' });
@@ -196,10 +454,11 @@ app.get('/api/distance', async (req, res) => {
 });
 
 // Get directions between two points
-// Query params: origin (required), destination (required), mode (optional: driving, walking, bicycling, transit)
+// Query params: origin (required), destination (required), mode (optional: driving, walking, bicycling, transit),
+//              language (optional)
 app.get('/api/directions', async (req, res) => {
   try {
-    const { origin, destination, mode = 'driving' } = req.query;
+    const { origin, destination, mode = 'driving', language } = req.query;
 
     if (!origin || !destination) {
       return res.status(400).json({ error: 'Origin and destination are required' });
@@ -215,6 +474,7 @@ app.get('/api/directions', async (req, res) => {
       origin: origin.trim().slice(0, 500),
       destination: destination.trim().slice(0, 500),
       mode,
+      language: normalizeLocale(language),
     });
 
     res.json(result);
@@ -256,56 +516,324 @@ app.get('/api/map/embed', (req, res) => {
 
 // Chat endpoint with LangChain tools
 // POST /api/chat - Chat with LLM that has access to Maps tools
-// Body: { messages: [...], userLocation: {lat, lng} }
+// Body: { messages: [{role, content, places?}], userLocation: {lat, lng},
+//         model?, extractionModel? (see /api/models) }
+//    or { conversationId, message, userLocation?, ... } - history comes from the stored
+//       conversation and the turn is saved to it
+// User messages may carry picked_places: [{place_id, description, main_text, session_token}],
+// the autocomplete suggestions the user picked while typing
+// Assistant messages may carry the places they showed so follow-ups can refer to them
+// Response: SSE events token, status, places, directions, ..., conversation, error, done (see README);
+//           the X-Stream-Id header names the stream for resume and cancel
 app.post('/api/chat', async (req, res) => {
   try {
-    const { messages, userLocation } = req.body;
+    const { conversationId, message, locale, model, extractionModel } = req.body;
+    let { messages, userLocation } = req.body;
+
+    let conversation = null;
+    let userMessage = null;
+    if (conversationId != null) {
+      conversation = typeof conversationId === 'string' ? await getConversation(conversationId) : null;
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      // Only the new message is taken from the client
+      const content = typeof message === 'string'
+        ? message
+        : (Array.isArray(messages) ? messages.filter(m => m?.role === 'user').pop()?.content : null);
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: 'message is required' });
+      }
+      const picked = normalizePickedPlaces(
+        req.body.picked_places ?? (Array.isArray(messages) ? messages.filter(m => m?.role === 'user').pop()?.picked_places : null)
+      );
+      userMessage = {
+        role: 'user',
+        content: content.slice(0, 2000),
+        ...(picked.length > 0 && { picked_places: picked }),
+      };
+      messages = [
+        ...conversation.messages.map(m => ({
+          role: m.role,
+          content: m.content,
+          places: m.places,
+          next_page: m.payloads?.next_page?.cursor,
+          picked_places: m.picked_places,
+        })),
+        userMessage,
+      ];
+      userLocation = userLocation || conversation.user_location;
+    }
 
     if (!messages || !Array.isArray(messages)) {
       return res.status(400).json({ error: 'Messages array is required' });
     }
 
-    console.log(`[CHAT] Received request with ${messages.length} messages${userLocation ? ' + userLocation' : ''}`);
-
-    // Set up SSE
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    let chunkCount = 0;
-    let buffer = '';
-
-    // Stream response
-    await streamChatWithTools(
-      messages,
-      (chunk) => {
-        // Check if this is a JSON object (structured data)
-        if (chunk.startsWith('{"type":')) {
-          // Send structured data directly
-          res.write(`data: ${chunk}\n\n`);
-        } else {
-          chunkCount++;
-          if (chunkCount % 10 === 0) {
-            console.log(`[CHAT] Streamed ${chunkCount} chunks`);
+    if ((model != null && typeof model !== 'string') || (extractionModel != null && typeof extractionModel !== 'string')) {
+      return res.status(400).json({ error: 'model and extractionModel must be strings' });
+    }
+
+    let models;
+    if (process.env.AGENT_MODE !== 'template') {
+      try {
+        models = await resolveModels(getProvider(), { model, extractionModel });
+      } catch (error) {
+        if (!(error instanceof ModelNotAvailableError)) throw error;
+        return res.status(400).json({ error: error.message, models: error.available });
+      }
+    }
+
+    const profile = await getProfile();
+
+    console.log(`[CHAT] Received request with ${messages.length} messages${userLocation ? ' + userLocation' : ''}${conversation ? ` (conversation ${conversation.id})` : ''}`);
+
+    // LLM and Google calls stop when the client hits Stop or doesn't resume
+    // after a dropped connection (see sse.js)
+    const stream = createEventStream();
+    stream.attach(res);
+
+    let tokenCount = 0;
+    // The answer as it will be stored: text plus the last payload of each type
+    let answer = '';
+    let failed = null;
+    const payloads = {};
+
+    try {
+      await streamChatWithTools(
+        messages,
+        (text) => {
+          if (!text) return;
+          tokenCount++;
+          if (tokenCount % 10 === 0) {
+            console.log(`[CHAT] Streamed ${tokenCount} tokens`);
           }
-          res.write(`data: ${JSON.stringify({ content: chunk })}\n\n`);
+          answer += text;
+          stream.send('token', { text });
+        },
+        (message) => {
+          console.error(`[CHAT] Error: ${message}`);
+          failed = message;
+          stream.send('error', { message });
+        },
+        userLocation || null,
+        {
+          signal: stream.signal,
+          onEvent: (type, data) => {
+            if (type === 'status') payloads.status = { ...payloads.status, [data.stage]: data };
+            else if (type !== 'tool_call' && type !== 'tool_result') payloads[type] = data;
+            stream.send(type, data);
+          },
+          locale: typeof locale === 'string' ? locale.slice(0, 35) : null,
+          models,
+          profile,
         }
-      },
-      (error) => {
-        console.error(`[CHAT] Error: ${error.message}`);
-        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      },
-      userLocation || null
-    );
+      );
+    } catch (error) {
+      // Already reported as an error event
+    }
 
-    console.log(`[CHAT] Total chunks sent: ${chunkCount}`);
-    res.write('data: [DONE]\n\n');
-    res.end();
+    if (conversation) {
+      try {
+        const saved = await appendMessages(conversation.id, [
+          userMessage,
+          {
+            role: 'assistant',
+            content: answer,
+            places: shownPlaces(payloads),
+            payloads,
+            ...(stream.signal.aborted && { stopped: true }),
+            ...(failed && { error: failed }),
+          },
+        ], { userLocation: req.body.userLocation || null });
+        if (saved) {
+          // "Show more" pages are added to this message
+          if (payloads.next_page) {
+            bindCursor(payloads.next_page.cursor, { conversationId: conversation.id, messageId: saved.messages.at(-1).id });
+          }
+          stream.send('conversation', summarizeConversation(saved));
+        }
+      } catch (error) {
+        console.error(`[CHAT] Could not save conversation ${conversation.id}: ${error.message}`);
+      }
+    }
+
+    if (stream.signal.aborted) return;
+
+    console.log(`[CHAT] Total tokens sent: ${tokenCount}`);
+    stream.finish();
   } catch (error) {
     console.error('Chat error:', error);
     if (!res.headersSent) {
       res.status(500).json({ error: 'Chat failed', details: error.message });
+    } else if (!res.writableEnded) {
+      res.end();
+    }
+  }
+});
+
+// Resume a chat stream after a dropped connection
+// Header: Last-Event-ID (or query lastEventId) - id of the last event received
+app.get('/api/chat/:streamId/events', (req, res) => {
+  const stream = getEventStream(req.params.streamId);
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found or expired' });
+  }
+
+  const lastEventId = parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (lastEventId && lastEventId.streamId !== stream.id) {
+    return res.status(400).json({ error: 'Last-Event-ID belongs to another stream' });
+  }
+
+  console.log(`[CHAT] Resuming ${stream.id} after event ${lastEventId?.seq ?? 0}`);
+  stream.attach(res, lastEventId?.seq ?? 0);
+});
+
+// Cancel a chat stream (Stop button)
+app.delete('/api/chat/:streamId', (req, res) => {
+  const stream = getEventStream(req.params.streamId);
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found or expired' });
+  }
+
+  console.log(`[CHAT] Cancelling ${stream.id}`);
+  stream.cancel();
+  res.status(204).end();
+});
+
+/**
+ * Check a {lat, lng} snapshot from a request body
+ * @returns {Object|null|undefined} The location, null to clear it, undefined when invalid
+ */
+function parseUserLocation(value) {
+  if (value === null) return null;
+  if (typeof value?.lat === 'number' && typeof value?.lng === 'number' &&
+      Math.abs(value.lat) <= 90 && Math.abs(value.lng) <= 180) {
+    return { lat: value.lat, lng: value.lng };
+  }
+  return undefined;
+}
+
+// List stored conversations, most recent first (without messages)
+app.get('/api/conversations', async (req, res) => {
+  try {
+    res.json({ conversations: await listConversations() });
+  } catch (error) {
+    console.error('Conversation list error:', error.message);
+    res.status(500).json({ error: 'Failed to list conversations', details: error.message });
+  }
+});
+
+// Create a conversation
+// Body: { title?, userLocation?: {lat, lng}, messages?: [{role, content, places?}] }
+app.post('/api/conversations', async (req, res) => {
+  try {
+    const { title = null, messages = [] } = req.body;
+    const userLocation = parseUserLocation(req.body.userLocation ?? null);
+
+    if (title !== null && typeof title !== 'string') {
+      return res.status(400).json({ error: 'title must be a string' });
+    }
+    if (userLocation === undefined) {
+      return res.status(400).json({ error: 'userLocation must be {lat, lng}' });
     }
+    if (!Array.isArray(messages) || messages.some(m =>
+      !m || (m.role !== 'user' && m.role !== 'assistant') || typeof m.content !== 'string' ||
+      (m.places !== undefined && !Array.isArray(m.places)))) {
+      return res.status(400).json({ error: 'messages must be [{role: user|assistant, content, places?}]' });
+    }
+
+    const conversation = await createConversation({
+      title,
+      userLocation,
+      messages: messages.map(m => ({
+        role: m.role,
+        content: m.content.slice(0, 2000),
+        ...(m.places && { places: m.places.slice(0, 20) }),
+      })),
+    });
+    res.status(201).json(conversation);
+  } catch (error) {
+    console.error('Conversation create error:', error.message);
+    res.status(500).json({ error: 'Failed to create conversation', details: error.message });
+  }
+});
+
+// Get a conversation with its messages
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    console.error('Conversation get error:', error.message);
+    res.status(500).json({ error: 'Failed to get conversation', details: error.message });
+  }
+});
+
+// Rename a conversation or replace its location snapshot
+// Body: { title?, userLocation? }
+app.patch('/api/conversations/:id', async (req, res) => {
+  try {
+    const { title } = req.body;
+    const userLocation = req.body.userLocation === undefined ? undefined : parseUserLocation(req.body.userLocation);
+
+    if (title !== undefined && title !== null && typeof title !== 'string') {
+      return res.status(400).json({ error: 'title must be a string' });
+    }
+    if (req.body.userLocation !== undefined && userLocation === undefined) {
+      return res.status(400).json({ error: 'userLocation must be {lat, lng}' });
+    }
+
+    const conversation = await updateConversation(req.params.id, { title, userLocation });
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(summarizeConversation(conversation));
+  } catch (error) {
+    console.error('Conversation update error:', error.message);
+    res.status(500).json({ error: 'Failed to update conversation', details: error.message });
+  }
+});
+
+// Delete a conversation
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    if (!(await deleteConversation(req.params.id))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Conversation delete error:', error.message);
+    res.status(500).json({ error: 'Failed to delete conversation', details: error.message });
+  }
+});
+
+// Saved preferences applied to every search
+app.get('/api/profile', async (req, res) => {
+  try {
+    res.json(await getProfile());
+  } catch (error) {
+    console.error('Profile get error:', error.message);
+    res.status(500).json({ error: 'Failed to get profile', details: error.message });
+  }
+});
+
+// Update saved preferences
+// Body: { price_max?, min_rating?, attributes?, travel_mode?, apply?: "filter"|"rerank" }
+app.put('/api/profile', async (req, res) => {
+  try {
+    const { updated_at, ...fields } = req.body || {};
+    const errors = validateProfile(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    res.json(await updateProfile(fields));
+  } catch (error) {
+    console.error('Profile update error:', error.message);
+    res.status(500).json({ error: 'Failed to update profile', details: error.message });
   }
 });
 
@@ -332,8 +860,14 @@ app.listen(PORT, () => {
 
 Endpoints:
   GET /api/health              - Health check
-  POST /api/chat               - Chat with LLM + Maps tools
+  GET /api/models              - Models a chat request may pick
+  POST /api/chat               - Chat with LLM + Maps tools (SSE)
+  GET /api/chat/:id/events     - Resume a chat stream (Last-Event-ID)
+  DELETE /api/chat/:id         - Cancel a chat stream
+  /api/conversations[/:id]     - Stored conversations (GET, POST, PATCH, DELETE)
+  GET|PUT /api/profile         - Saved search preferences
   GET /api/places/search       - Search for places (add userLat/userLng for distance)
+  GET /api/places/autocomplete - Place suggestions while typing
   GET /api/places/details      - Get comprehensive place details
   GET /api/directions          - Get directions
   GET /api/map/embed           - Generate embeddable map
@@ -0,0 +1,166 @@
+/**
+ * Chat event streams
+ * /api/chat answers with Server-Sent Events named by type (token, status,
+ * places, directions, ..., error, done) and numbered "<stream id>:<seq>".
+ * Sent events stay in a short buffer so a client that lost its connection can
+ * reconnect with Last-Event-ID and receive what it missed; while nobody is
+ * connected the answer keeps generating for a grace period before it is
+ * cancelled. Comment lines go out as heartbeats so proxies keep idle
+ * connections open.
+ */
+
+import crypto from 'crypto';
+
+const HEARTBEAT_MS = 15000;
+// Reconnection delay suggested to EventSource-style clients
+const RETRY_MS = 2000;
+// How long an unfinished stream keeps running with no client attached
+const DISCONNECT_GRACE_MS = 15000;
+// How long a finished stream can still be replayed
+const RESUME_WINDOW_MS = 60 * 1000;
+const MAX_BUFFERED_EVENTS = 2000;
+
+const streams = new Map();
+
+/**
+ * Format one event in SSE wire format
+ */
+function formatEvent(streamId, { seq, type, data }) {
+  return `id: ${streamId}:${seq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parse a Last-Event-ID value ("<stream id>:<seq>")
+ * @param {string} value - Header or query value
+ * @returns {{streamId: string, seq: number}|null}
+ */
+export function parseEventId(value) {
+  const match = String(value || '').match(/^([\w-]+):(\d+)$/);
+  return match ? { streamId: match[1], seq: parseInt(match[2]) } : null;
+}
+
+/**
+ * Create a stream for one chat response
+ * @returns {Object} Stream: {id, signal, send(type, data), finish(), attach(res, afterSeq), cancel()}
+ */
+export function createEventStream() {
+  const id = crypto.randomUUID();
+  const controller = new AbortController();
+  const events = [];
+  let seq = 0;
+  let done = false;
+  let client = null;
+  let heartbeat = null;
+  let graceTimer = null;
+
+  const stream = {
+    id,
+    // Aborts the answer: explicit cancel, or no client came back in time
+    signal: controller.signal,
+
+    get done() {
+      return done;
+    },
+
+    /**
+     * Buffer an event and send it to the connected client, if any
+     */
+    send(type, data = {}) {
+      if (done) return;
+      const event = { seq: ++seq, type, data };
+      events.push(event);
+      if (events.length > MAX_BUFFERED_EVENTS) events.shift();
+      client?.write(formatEvent(id, event));
+    },
+
+    /**
+     * Send the done event, close the connection and keep the buffer for late resumes
+     */
+    finish() {
+      if (done) return;
+      stream.send('done', {});
+      done = true;
+      release();
+      setTimeout(() => streams.delete(id), RESUME_WINDOW_MS).unref();
+    },
+
+    /**
+     * Connect a response: replay the events after afterSeq, then follow live
+     * @param {Response} res - Express response
+     * @param {number} afterSeq - Last sequence number the client has (0 for all)
+     */
+    attach(res, afterSeq = 0) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Stream-Id', id);
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      // Events older than the buffer are gone: the client can't rebuild the answer
+      if (events.length > 0 && afterSeq < events[0].seq - 1) {
+        res.write(`event: error\ndata: ${JSON.stringify({ message: 'Missed events are no longer available', code: 'resume_gap' })}\n\n`);
+        res.end();
+        return;
+      }
+
+      for (const event of events) {
+        if (event.seq > afterSeq) res.write(formatEvent(id, event));
+      }
+      if (done) {
+        res.end();
+        return;
+      }
+
+      // A newer connection replaces the old one
+      if (client) client.end();
+      clearTimeout(graceTimer);
+      clearInterval(heartbeat);
+      client = res;
+      heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+      heartbeat.unref();
+
+      res.on('close', () => {
+        if (client !== res) return;
+        client = null;
+        clearInterval(heartbeat);
+        if (done) return;
+        console.log(`[SSE] ${id} disconnected after event ${seq}, waiting ${DISCONNECT_GRACE_MS}ms for a resume`);
+        graceTimer = setTimeout(() => {
+          console.log(`[SSE] ${id} not resumed, cancelling`);
+          stream.cancel();
+        }, DISCONNECT_GRACE_MS);
+        graceTimer.unref();
+      });
+    },
+
+    /**
+     * Stop generating and forget the stream (Stop button, abandoned stream)
+     */
+    cancel() {
+      controller.abort();
+      done = true;
+      release();
+      streams.delete(id);
+    },
+  };
+
+  function release() {
+    clearTimeout(graceTimer);
+    clearInterval(heartbeat);
+    if (client && !client.writableEnded) client.end();
+    client = null;
+  }
+
+  streams.set(id, stream);
+  return stream;
+}
+
+/**
+ * Look up a stream that can still be resumed or cancelled
+ * @param {string} id - Stream id
+ * @returns {Object|null}
+ */
+export function getEventStream(id) {
+  return streams.get(id) || null;
+}
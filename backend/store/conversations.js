@@ -0,0 +1,177 @@
+/**
+ * Conversation store
+ * Keeps conversations (title, timestamps, user location snapshot and messages
+ * with their places and other payloads) in a JSON file under data/. The file
+ * is read once and rewritten after every change (see jsonFile.js).
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { jsonFile, DATA_DIR } from './jsonFile.js';
+
+const store = jsonFile(process.env.CONVERSATIONS_FILE || path.join(DATA_DIR, 'conversations.json'));
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_MESSAGES_PER_CONVERSATION = 500;
+
+let conversations = null;
+let loading = null;
+
+/**
+ * Read the store file
+ */
+async function read() {
+  const data = await store.read({ conversations: [] });
+  return new Map((data.conversations || []).map(c => [c.id, c]));
+}
+
+/**
+ * Load the store on first use
+ */
+async function load() {
+  if (!conversations) {
+    // Concurrent first requests share one read
+    loading = loading || read().finally(() => { loading = null; });
+    conversations = await loading;
+  }
+  return conversations;
+}
+
+/**
+ * Write the whole store
+ */
+function save() {
+  return store.write({ conversations: [...conversations.values()] });
+}
+
+/**
+ * Title from the first user message
+ */
+function titleFrom(messages) {
+  const first = messages.find(m => m.role === 'user')?.content || '';
+  return first.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH) || null;
+}
+
+/**
+ * Conversation without its messages, for lists
+ */
+export function summarizeConversation(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+    message_count: conversation.messages.length,
+  };
+}
+
+/**
+ * List conversations, most recently updated first
+ * @returns {Promise<Array<{id, title, created_at, updated_at, message_count}>>}
+ */
+export async function listConversations() {
+  const all = await load();
+  return [...all.values()]
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+    .map(summarizeConversation);
+}
+
+/**
+ * Get a conversation with its messages
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object|null>}
+ */
+export async function getConversation(id) {
+  const all = await load();
+  return all.get(id) || null;
+}
+
+/**
+ * Create a conversation
+ * @param {Object} fields - {title, userLocation, messages} (all optional)
+ * @returns {Promise<Object>} The new conversation
+ */
+export async function createConversation({ title = null, userLocation = null, messages = [] } = {}) {
+  const all = await load();
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomUUID(),
+    title: title ? title.slice(0, MAX_TITLE_LENGTH) : titleFrom(messages),
+    created_at: now,
+    updated_at: now,
+    user_location: userLocation,
+    messages: messages.map(message => ({ id: crypto.randomUUID(), created_at: now, ...message })),
+  };
+  all.set(conversation.id, conversation);
+  await save();
+  return conversation;
+}
+
+/**
+ * Rename a conversation or replace its location snapshot
+ * @param {string} id - Conversation id
+ * @param {Object} fields - {title, userLocation}; undefined fields are left alone
+ * @returns {Promise<Object|null>} The updated conversation, or null when not found
+ */
+export async function updateConversation(id, { title, userLocation } = {}) {
+  const conversation = (await load()).get(id);
+  if (!conversation) return null;
+
+  if (title !== undefined) conversation.title = title ? title.slice(0, MAX_TITLE_LENGTH) : null;
+  if (userLocation !== undefined) conversation.user_location = userLocation;
+  conversation.updated_at = new Date().toISOString();
+  await save();
+  return conversation;
+}
+
+/**
+ * Add messages to a conversation
+ * The oldest messages are dropped past MAX_MESSAGES_PER_CONVERSATION.
+ * @param {string} id - Conversation id
+ * @param {Array<Object>} messages - {role, content, places?, payloads?, ...}
+ * @param {Object} options - {userLocation} snapshot to store with the turn
+ * @returns {Promise<Object|null>} The updated conversation, or null when not found
+ */
+export async function appendMessages(id, messages, { userLocation } = {}) {
+  const conversation = (await load()).get(id);
+  if (!conversation) return null;
+
+  const now = new Date().toISOString();
+  conversation.messages.push(...messages.map(message => ({ id: crypto.randomUUID(), created_at: now, ...message })));
+  conversation.messages = conversation.messages.slice(-MAX_MESSAGES_PER_CONVERSATION);
+  conversation.title = conversation.title || titleFrom(conversation.messages);
+  if (userLocation) conversation.user_location = userLocation;
+  conversation.updated_at = now;
+  await save();
+  return conversation;
+}
+
+/**
+ * Change a stored message (e.g. add the next page of its places)
+ * @param {string} id - Conversation id
+ * @param {string} messageId - Message id
+ * @param {Function} update - Called with the message; returns the fields to set
+ * @returns {Promise<Object|null>} The updated message, or null when not found
+ */
+export async function updateMessage(id, messageId, update) {
+  const conversation = (await load()).get(id);
+  const message = conversation?.messages.find(m => m.id === messageId);
+  if (!message) return null;
+
+  Object.assign(message, update(message));
+  conversation.updated_at = new Date().toISOString();
+  await save();
+  return message;
+}
+
+/**
+ * Delete a conversation
+ * @param {string} id - Conversation id
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteConversation(id) {
+  const all = await load();
+  if (!all.delete(id)) return false;
+  await save();
+  return true;
+}
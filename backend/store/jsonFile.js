@@ -0,0 +1,53 @@
+/**
+ * JSON file storage
+ * Each store keeps its data in one JSON file under data/. Writes go through
+ * a queue and a temp file so a crash never leaves half a file behind.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+/**
+ * Open a JSON file
+ * @param {string} file - File path
+ * @returns {{file: string, read: Function, write: Function}}
+ */
+export function jsonFile(file) {
+  let writeQueue = Promise.resolve();
+
+  return {
+    file,
+
+    /**
+     * Read and parse the file
+     * @param {*} fallback - Returned when the file doesn't exist yet
+     */
+    async read(fallback = null) {
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Cannot read ${file}: ${error.message}`);
+        return fallback;
+      }
+    },
+
+    /**
+     * Replace the file's contents, one write at a time
+     * A failed write doesn't block the ones after it.
+     * @param {*} value - Value to store
+     */
+    write(value) {
+      const data = JSON.stringify(value);
+      writeQueue = writeQueue.catch(() => {}).then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(temp, data);
+        await fs.rename(temp, file);
+      });
+      return writeQueue;
+    },
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Preference profile store
+ * One profile for the whole deployment (there are no user accounts), kept in
+ * a JSON file under data/ next to the conversations.
+ */
+
+import path from 'path';
+import { jsonFile, DATA_DIR } from './jsonFile.js';
+import { normalizeProfile } from '../chat/profile.js';
+
+const store = jsonFile(process.env.PROFILE_FILE || path.join(DATA_DIR, 'profile.json'));
+
+let profile = null;
+
+/**
+ * Get the profile, with defaults for fields never set
+ * @returns {Promise<Object>} {price_max, min_rating, attributes, travel_mode, apply, updated_at}
+ */
+export async function getProfile() {
+  if (!profile) profile = normalizeProfile(await store.read(null));
+  return profile;
+}
+
+/**
+ * Update the profile
+ * @param {Object} fields - Validated fields to set; the others keep their value
+ * @returns {Promise<Object>} The updated profile
+ */
+export async function updateProfile(fields) {
+  profile = normalizeProfile({ ...(await getProfile()), ...fields, updated_at: new Date().toISOString() });
+  await store.write(profile);
+  return profile;
+}
@@ -3,22 +3,80 @@ import { nanoid } from 'nanoid';
 import ChatMessage from './components/ChatMessage';
 import ChatInput from './components/ChatInput';
 import Header from './components/Header';
-import { streamChat, getUserLocation } from './lib/ollama';
+import { streamChat, getUserLocation, createConversation, getConversation, getMorePlaces } from './lib/ollama';
+import { t } from './lib/i18n';
 
 // Custom map tag regex
 const MAP_TAG_REGEX = /<map\s+(placeId="([^"]+)"|query="([^"]+)")\s*\/>/g;
 
+// Structured chat payloads, stored on the assistant message by event type
+const PAYLOAD_FIELDS = {
+  intent: 'intent',
+  places: 'places',
+  constraints: 'filters',
+  search_area: 'searchArea',
+  next_page: 'nextPage',
+  place_details: 'placeDetails',
+  directions: 'directions',
+  distance: 'distance',
+  address: 'address',
+  grounding: 'grounding',
+  citations: 'citations',
+  itinerary: 'itinerary',
+  comparison: 'comparison',
+  review_summary: 'reviewSummary',
+  prompts: 'prompts',
+};
+
+// The current conversation survives a page refresh
+const CONVERSATION_KEY = 'heypico.conversationId';
+
+/**
+ * Rebuild a chat message from a stored conversation
+ */
+function fromStoredMessage(message) {
+  const restored = { id: message.id, role: message.role, content: message.content, stopped: message.stopped };
+  for (const [type, data] of Object.entries(message.payloads || {})) {
+    if (type === 'status') restored.status = data;
+    else if (PAYLOAD_FIELDS[type]) restored[PAYLOAD_FIELDS[type]] = data;
+  }
+  // Imported messages carry places without payloads
+  if (!message.payloads && message.places?.length > 0) restored.places = message.places;
+  return restored;
+}
+
+/**
+ * Merge a tool_call / tool_result event into a message's tool steps
+ */
+function updateToolSteps(steps = [], type, data) {
+  if (type === 'tool_call') {
+    return [...steps, { ...data, status: 'running' }];
+  }
+  return steps.map((step) =>
+    step.id === data.id
+      ? { ...step, status: data.error ? 'error' : 'done', result: data.result, error: data.error }
+      : step
+  );
+}
+
 function App() {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
+  // Places picked from the input's suggestions, sent with the message
+  const [pickedPlaces, setPickedPlaces] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isStreaming, setIsStreaming] = useState(false);
   const [error, setError] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
   const [locationDenied, setLocationDenied] = useState(false);
   const [isLoadingLocation, setIsLoadingLocation] = useState(true);
+  // Models picked in the header; null leaves the choice to the backend
+  const [models, setModels] = useState({ response: null, extraction: null });
+  // Stored on the backend; null until the first message of a new chat
+  const [conversationId, setConversationId] = useState(() => localStorage.getItem(CONVERSATION_KEY));
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   // Get user location on load
   useEffect(() => {
@@ -48,6 +106,29 @@ function App() {
     return () => clearTimeout(timeoutId);
   }, []);
 
+  // Reload the stored conversation after a refresh
+  useEffect(() => {
+    if (!conversationId) return;
+    getConversation(conversationId)
+      .then((conversation) => {
+        if (conversation) {
+          setMessages(conversation.messages.map(fromStoredMessage));
+        } else {
+          setConversationId(null);
+        }
+      })
+      .catch((err) => console.warn('Could not load conversation:', err.message));
+    // Only on load - later ids belong to the chat on screen
+  }, []);
+
+  useEffect(() => {
+    if (conversationId) {
+      localStorage.setItem(CONVERSATION_KEY, conversationId);
+    } else {
+      localStorage.removeItem(CONVERSATION_KEY);
+    }
+  }, [conversationId]);
+
   // Auto-scroll to bottom
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -62,6 +143,11 @@ function App() {
     inputRef.current?.focus();
   }, []);
 
+  // Cancel any in-flight request when the app unmounts
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
   const requestLocation = async () => {
     setIsLoadingLocation(true);
     setLocationDenied(false);
@@ -83,9 +169,13 @@ function App() {
       role: 'user',
       content: trimmedInput,
     };
+    // Only picks still named in the text; the user may have edited them away
+    const picked = pickedPlaces.filter((p) => trimmedInput.includes(p.main_text));
+    if (picked.length > 0) userMessage.pickedPlaces = picked;
 
     setMessages((prev) => [...prev, userMessage]);
     setInput('');
+    setPickedPlaces([]);
     setIsLoading(true);
     setIsStreaming(true);
     setError(null);
@@ -97,45 +187,61 @@ function App() {
       { id: assistantId, role: 'assistant', content: '', places: null },
     ]);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     try {
+      // Without conversation storage the whole history goes along with each message
+      let activeConversationId = conversationId;
+      if (!activeConversationId) {
+        try {
+          activeConversationId = (await createConversation({ userLocation })).id;
+          setConversationId(activeConversationId);
+        } catch (err) {
+          console.warn('Conversation storage unavailable:', err.message);
+        }
+      }
+
       let fullContent = '';
-      let placesData = null;
+      const updateAssistant = (update) =>
+        setMessages((prev) =>
+          prev.map((msg) => (msg.id === assistantId ? { ...msg, ...update(msg) } : msg))
+        );
 
       await streamChat(
         [...messages, userMessage],
-        (chunk) => {
-          // Check if this is structured data (places)
-          try {
-            const parsed = JSON.parse(chunk);
-            if (parsed.type === 'places') {
-              placesData = parsed.data;
-              setMessages((prev) =>
-                prev.map((msg) =>
-                  msg.id === assistantId
-                    ? { ...msg, places: parsed.data }
-                    : msg
-                )
-              );
-              return;
-            }
-          } catch {
-            // Not JSON, treat as content
-          }
-
-          fullContent += chunk;
-          setMessages((prev) =>
-            prev.map((msg) =>
-              msg.id === assistantId
-                ? { ...msg, content: fullContent }
-                : msg
-            )
-          );
-        },
-        (errorMsg) => {
-          setError(errorMsg);
+        {
+          token: (text) => {
+            fullContent += text;
+            updateAssistant(() => ({ content: fullContent }));
+          },
+          // Which path (LLM, template, fallback) produced each stage
+          status: (data) => updateAssistant((msg) => ({ status: { ...msg.status, [data.stage]: data } })),
+          tool_call: (data) => updateAssistant((msg) => ({ toolSteps: updateToolSteps(msg.toolSteps, 'tool_call', data) })),
+          tool_result: (data) => updateAssistant((msg) => ({ toolSteps: updateToolSteps(msg.toolSteps, 'tool_result', data) })),
+          // Structured data (places, directions, ...)
+          event: (type, data) => {
+            const field = PAYLOAD_FIELDS[type];
+            if (field) updateAssistant(() => ({ [field]: data }));
+          },
+          error: (errorMsg) => setError(errorMsg),
         },
-        userLocation
+        userLocation,
+        {
+          signal: controller.signal,
+          model: models.response,
+          extractionModel: models.extraction,
+          conversationId: activeConversationId,
+        }
       );
+
+      if (controller.signal.aborted) {
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.id === assistantId ? { ...msg, stopped: true } : msg
+          )
+        );
+      }
     } catch (err) {
       setError(err.message);
       setMessages((prev) =>
@@ -143,17 +249,51 @@ function App() {
           msg.id === assistantId
             ? {
                 ...msg,
-                content: `Sorry, I encountered an error: ${err.message}`,
+                content: t('chat.error', { message: err.message }),
               }
             : msg
         )
       );
     } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
       setIsLoading(false);
       setIsStreaming(false);
     }
   };
 
+  // "Show more": append the next page of results to the message that listed them
+  const showMorePlaces = async (messageId) => {
+    const cursor = messages.find((msg) => msg.id === messageId)?.nextPage?.cursor;
+    if (!cursor) return;
+
+    try {
+      const page = await getMorePlaces(cursor);
+      if (page?.error) throw new Error(page.error);
+      if (!page) setError(t('places.moreExpired'));
+      setMessages((prev) =>
+        prev.map((msg) => {
+          if (msg.id !== messageId) return msg;
+          // A reused cursor (double click, retry) returns a page already shown
+          const shown = new Set((msg.places || []).map((place) => place.place_id));
+          const fresh = (page?.results || []).filter((place) => !shown.has(place.place_id));
+          return {
+            ...msg,
+            places: [...(msg.places || []), ...fresh],
+            nextPage: page?.next_cursor ? { cursor: page.next_cursor } : null,
+          };
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -162,13 +302,21 @@ function App() {
   };
 
   const clearChat = () => {
+    abortControllerRef.current?.abort();
     setMessages([]);
     setError(null);
+    // The old conversation stays stored; the next message starts a new one
+    setConversationId(null);
   };
 
   return (
     <div style={{ height: '100vh', display: 'flex', flexDirection: 'column' }}>
-      <Header onClear={clearChat} messageCount={messages.length} />
+      <Header
+        onClear={clearChat}
+        messageCount={messages.length}
+        models={models}
+        onModelsChange={setModels}
+      />
 
       {/* Location status indicator */}
       {isLoadingLocation && (
@@ -182,7 +330,7 @@ function App() {
             borderBottom: '1px solid var(--border-color)',
           }}
         >
-          🔄 Getting your location for distance calculation...
+          {t('location.loading')}
         </div>
       )}
       {userLocation && !isLoadingLocation && (
@@ -196,7 +344,7 @@ function App() {
             borderBottom: '1px solid var(--border-color)',
           }}
         >
-          📍 Location enabled - distances calculated from your position
+          {t('location.enabled')}
         </div>
       )}
       {locationDenied && !userLocation && !isLoadingLocation && (
@@ -214,7 +362,7 @@ function App() {
             gap: '0.5rem',
           }}
         >
-          <span>📍 Location disabled</span>
+          <span>{t('location.disabled')}</span>
           <button
             onClick={requestLocation}
             style={{
@@ -227,7 +375,7 @@ function App() {
               cursor: 'pointer',
             }}
           >
-            Enable
+            {t('location.enable')}
           </button>
         </div>
       )}
@@ -251,7 +399,7 @@ function App() {
             >
               <h2>HeyPico</h2>
               <p style={{ marginTop: '0.5rem' }}>
-                Local LLM with Google Maps integration
+                {t('welcome.subtitle')}
               </p>
               <div
                 style={{
@@ -264,12 +412,7 @@ function App() {
                   marginRight: 'auto',
                 }}
               >
-                {[
-                  'Find coffee shops nearby',
-                  'Show me restaurants near me',
-                  'What are some attractions in Taipei?',
-                  'Find gas stations around here',
-                ].map((prompt) => (
+                {t('welcome.prompts').map((prompt) => (
                   <button
                     key={prompt}
                     className="btn"
@@ -288,7 +431,7 @@ function App() {
           )}
 
           {messages.map((message) => (
-            <ChatMessage key={message.id} message={message} />
+            <ChatMessage key={message.id} message={message} onShowMore={showMorePlaces} />
           ))}
 
           {isStreaming && (
@@ -298,7 +441,7 @@ function App() {
                 color: 'var(--text-secondary)',
               }}
             >
-              Thinking...
+              {t('chat.thinking')}
             </div>
           )}
 
@@ -327,8 +470,13 @@ function App() {
         setInput={setInput}
         onSend={sendMessage}
         onKeyDown={handleKeyDown}
+        onPickPlace={(place) =>
+          setPickedPlaces((prev) => [...prev.filter((p) => p.place_id !== place.place_id), place])
+        }
+        onStop={stopGeneration}
         isLoading={isLoading}
         inputRef={inputRef}
+        userLocation={userLocation}
       />
     </div>
   );
@@ -1,6 +1,110 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { nanoid } from 'nanoid';
+import { autocompletePlaces } from '../lib/ollama';
+import { t } from '../lib/i18n';
+
+const TRIGGER = '(?:near|to|from|in|at|around)';
+// The place being typed: whatever follows the last "near", "to", "from", ...
+const PLACE_FRAGMENT = new RegExp(`\\b${TRIGGER}\\s+((?:(?!\\b${TRIGGER}\\s)[^,.!?;])+)$`, 'i');
+const MIN_FRAGMENT_LENGTH = 3;
+const SUGGEST_DELAY_MS = 250;
+
+/**
+ * Find the place name being typed at the end of the input
+ * @returns {{fragment: string, start: number}|null} start is where the name begins in the text
+ */
+function placeFragment(text) {
+  const match = text.match(PLACE_FRAGMENT);
+  if (!match) return null;
+
+  const fragment = match[1].trim();
+  if (fragment.length < MIN_FRAGMENT_LENGTH) return null;
+  return { fragment, start: match.index + match[0].length - match[1].length };
+}
+
+function ChatInput({ input, setInput, onSend, onStop, onKeyDown, onPickPlace, isLoading, inputRef, userLocation }) {
+  const [suggestions, setSuggestions] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Google bills the suggestions and the lookup of the picked one as a single session
+  const sessionToken = useRef(nanoid());
+  // Text right after a pick, so the picked name isn't suggested again
+  const pickedInput = useRef(null);
+
+  useEffect(() => {
+    const place = placeFragment(input);
+    if (!place || isLoading || input === pickedInput.current) {
+      setSuggestions(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const { predictions } = await autocompletePlaces(place.fragment, {
+          sessionToken: sessionToken.current,
+          userLocation,
+          signal: controller.signal,
+        });
+        setSuggestions(predictions.length > 0 ? { start: place.start, predictions } : null);
+        setActiveIndex(-1);
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.warn('Place suggestions unavailable:', err.message);
+          setSuggestions(null);
+        }
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [input, isLoading, userLocation]);
+
+  const pick = (prediction) => {
+    const text = `${input.slice(0, suggestions.start)}${prediction.main_text} `;
+    onPickPlace({
+      place_id: prediction.place_id,
+      description: prediction.description,
+      main_text: prediction.main_text,
+      session_token: sessionToken.current,
+    });
+    // The next place typed is a new session
+    sessionToken.current = nanoid();
+    pickedInput.current = text;
+    setInput(text);
+    setSuggestions(null);
+    inputRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    const count = suggestions?.predictions.length || 0;
+    if (count > 0) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActiveIndex((i) => (i + 1) % count);
+        return;
+      }
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActiveIndex((i) => (i <= 0 ? count - 1 : i - 1));
+        return;
+      }
+      // Enter only picks a highlighted suggestion; otherwise it still sends
+      if (e.key === 'Enter' && activeIndex >= 0) {
+        e.preventDefault();
+        pick(suggestions.predictions[activeIndex]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setSuggestions(null);
+        return;
+      }
+    }
+    onKeyDown(e);
+  };
 
-function ChatInput({ input, setInput, onSend, onKeyDown, isLoading, inputRef }) {
   return (
     <div
       style={{
@@ -11,24 +115,80 @@ function ChatInput({ input, setInput, onSend, onKeyDown, isLoading, inputRef })
     >
       <div className="container">
         <div style={{ display: 'flex', gap: '0.5rem' }}>
-          <input
-            ref={inputRef}
-            type="text"
-            className="input"
-            placeholder="Ask about places to go, restaurants, directions..."
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            onKeyDown={onKeyDown}
-            disabled={isLoading}
-            style={{ flex: 1 }}
-          />
-          <button
-            className="btn btn-primary"
-            onClick={onSend}
-            disabled={isLoading || !input.trim()}
-          >
-            {isLoading ? '...' : 'Send'}
-          </button>
+          <div style={{ position: 'relative', flex: 1 }}>
+            {suggestions && (
+              <ul
+                role="listbox"
+                style={{
+                  position: 'absolute',
+                  bottom: 'calc(100% + 0.25rem)',
+                  left: 0,
+                  right: 0,
+                  margin: 0,
+                  padding: '0.25rem 0',
+                  listStyle: 'none',
+                  background: 'var(--bg-tertiary)',
+                  border: '1px solid var(--border-color)',
+                  borderRadius: '6px',
+                  zIndex: 10,
+                }}
+              >
+                {suggestions.predictions.map((prediction, index) => (
+                  <li
+                    key={prediction.place_id}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    // mousedown fires before the input blurs and hides the list
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      pick(prediction);
+                    }}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    style={{
+                      padding: '0.5rem 0.75rem',
+                      cursor: 'pointer',
+                      background: index === activeIndex ? 'var(--bg-secondary)' : 'transparent',
+                    }}
+                  >
+                    <div>{prediction.main_text}</div>
+                    {prediction.secondary_text && (
+                      <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                        {prediction.secondary_text}
+                      </div>
+                    )}
+                  </li>
+                ))}
+                <li style={{ padding: '0.25rem 0.75rem', fontSize: '0.7rem', color: 'var(--text-secondary)', textAlign: 'right' }}>
+                  {t('input.poweredByGoogle')}
+                </li>
+              </ul>
+            )}
+            <input
+              ref={inputRef}
+              type="text"
+              className="input"
+              placeholder="Ask about places to go, restaurants, directions..."
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={handleKeyDown}
+              onBlur={() => setSuggestions(null)}
+              disabled={isLoading}
+              style={{ width: '100%' }}
+            />
+          </div>
+          {isLoading ? (
+            <button className="btn" onClick={onStop} title="Stop generating">
+              Stop
+            </button>
+          ) : (
+            <button
+              className="btn btn-primary"
+              onClick={onSend}
+              disabled={!input.trim()}
+            >
+              Send
+            </button>
+          )}
         </div>
         <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
           Press Enter to send, Shift+Enter for new line
@@ -1,12 +1,66 @@
-import React from 'react';
+import React, { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import MapEmbed from './MapEmbed';
 import PlacesList from './PlacesList';
+import ToolActivity from './ToolActivity';
+import PlaceCard from './PlaceCard';
+import DirectionsBlock from './DirectionsBlock';
+import ItineraryBlock from './ItineraryBlock';
+import ComparisonTable from './ComparisonTable';
+import ReviewSummary from './ReviewSummary';
+import { DistanceResult, AddressResult } from './LocationResult';
+import { t } from '../lib/i18n';
 
 const MAP_TAG_REGEX = /<map\s+(placeId="([^"]+)"|query="([^"]+)")\s*\/>/g;
 
-function ChatMessage({ message }) {
+// Link target used to mark claims the grounding check couldn't verify
+const UNVERIFIED_HREF = '#unverified';
+// Link target prefix for [n] citation markers
+const CITATION_HREF = '#cite-';
+
+// Why the answer was written from a template instead of by the model (chat.template.* messages)
+const TEMPLATE_REASONS = ['no_llm', 'timeout', 'llm_error', 'empty'];
+
+/**
+ * Wrap unverified claims in marker links so ReactMarkdown renders them flagged
+ * @param {string} content - Answer text
+ * @param {Object} grounding - Grounding report {claims: [{start, end, verified}]}
+ */
+function flagUnverified(content, grounding) {
+  const unverified = (grounding?.claims || [])
+    .filter((claim) => !claim.verified && content.slice(claim.start, claim.end) === claim.text)
+    .sort((a, b) => b.start - a.start);
+
+  let flagged = content;
+  for (const claim of unverified) {
+    const label = claim.text.replace(/[[\]]/g, '\\$&');
+    flagged = `${flagged.slice(0, claim.start)}[${label}](${UNVERIFIED_HREF})${flagged.slice(claim.end)}`;
+  }
+  return flagged;
+}
+
+/**
+ * Turn [n] markers that have a matching citation into links for the chip renderer
+ * @param {string} content - Answer text
+ * @param {Array} citations - [{n, place_id}]
+ */
+function linkCitations(content, citations) {
+  if (!citations?.length) return content;
+  const known = new Set(citations.map((citation) => citation.n));
+  return content.replace(/\[(\d{1,2})\](?!\()/g, (marker, n) =>
+    known.has(Number(n)) ? `[${n}](${CITATION_HREF}${n})` : marker
+  );
+}
+
+function ChatMessage({ message, onShowMore }) {
   const isUser = message.role === 'user';
+  // Place picked from a citation chip; `at` re-triggers the scroll on repeat clicks
+  const [highlight, setHighlight] = useState(null);
+
+  const selectCitation = (n) => {
+    const citation = message.citations?.find((c) => c.n === n);
+    if (citation) setHighlight({ placeId: citation.place_id, at: Date.now() });
+  };
 
   // Parse message content to extract map tags
   const parseContent = (content) => {
@@ -49,7 +103,9 @@ function ChatMessage({ message }) {
     return parts;
   };
 
-  const parsedParts = parseContent(message.content || '');
+  const parsedParts = parseContent(
+    linkCitations(flagUnverified(message.content || '', message.grounding), message.citations)
+  );
 
   return (
     <div
@@ -71,6 +127,9 @@ function ChatMessage({ message }) {
           borderBottomRightRadius: isUser ? '2px' : '12px',
         }}
       >
+        {/* Tool calls made by the agent */}
+        <ToolActivity steps={message.toolSteps} />
+
         {parsedParts.map((part, i) => {
           if (part.type === 'map') {
             return <MapEmbed key={`map-${i}`} placeId={part.placeId} query={part.query} />;
@@ -80,7 +139,43 @@ function ChatMessage({ message }) {
               <ReactMarkdown
                 components={{
                   p: ({ children }) => <p style={{ marginBottom: '0.5rem' }}>{children}</p>,
-                  a: ({ href, children }) => (
+                  a: ({ href, children }) => href?.startsWith(CITATION_HREF) ? (
+                    <button
+                      type="button"
+                      onClick={() => selectCitation(Number(href.slice(CITATION_HREF.length)))}
+                      title={t('chat.showPlace')}
+                      style={{
+                        display: 'inline-flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        minWidth: '1.25rem',
+                        height: '1.25rem',
+                        padding: '0 0.3rem',
+                        margin: '0 0.15rem',
+                        borderRadius: '10px',
+                        border: 'none',
+                        background: 'var(--accent)',
+                        color: 'white',
+                        fontSize: '0.7rem',
+                        fontWeight: 600,
+                        cursor: 'pointer',
+                        verticalAlign: 'middle',
+                      }}
+                    >
+                      {children}
+                    </button>
+                  ) : href === UNVERIFIED_HREF ? (
+                    <span
+                      title={t('chat.notInResults')}
+                      style={{
+                        textDecoration: 'underline wavy #d29922',
+                        textUnderlineOffset: '3px',
+                        cursor: 'help',
+                      }}
+                    >
+                      {children}
+                    </span>
+                  ) : (
                     <a
                       href={href}
                       target="_blank"
@@ -114,9 +209,60 @@ function ChatMessage({ message }) {
           );
         })}
 
+        {message.grounding?.unverified > 0 && (
+          <div style={{ fontSize: '0.75rem', color: '#d29922' }}>
+            {message.grounding.unverified === 1
+              ? t('chat.unverified.one')
+              : t('chat.unverified.other', { count: message.grounding.unverified })}
+          </div>
+        )}
+        {message.grounding?.replaced > 0 && (
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+            {t('chat.replaced')}
+          </div>
+        )}
+
+        {message.status?.answer?.source === 'template' && TEMPLATE_REASONS.includes(message.status.answer.reason) && (
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+            ⚡ {t(`chat.template.${message.status.answer.reason}`)}
+          </div>
+        )}
+        {message.status?.extraction?.source === 'fallback' && (
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+            {t('chat.rawQuery')}
+          </div>
+        )}
+
+        {message.stopped && (
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', fontStyle: 'italic' }}>
+            {t('chat.stopped')}
+          </div>
+        )}
+
+        {/* Render the structured result of the routed intent */}
+        {message.placeDetails && (
+          <div style={{ marginTop: '1rem' }}>
+            <PlaceCard place={message.placeDetails} />
+          </div>
+        )}
+        {message.directions && <DirectionsBlock directions={message.directions} />}
+        {message.distance && <DistanceResult distance={message.distance} />}
+        {message.address && <AddressResult address={message.address} />}
+        {message.itinerary && <ItineraryBlock itinerary={message.itinerary} />}
+        {message.comparison && <ComparisonTable comparison={message.comparison} />}
+        {message.reviewSummary && <ReviewSummary summary={message.reviewSummary} />}
+
         {/* Render places data if available */}
         {message.places && message.places.length > 0 && (
-          <PlacesList places={message.places} compact={true} />
+          <PlacesList
+            places={message.places}
+            compact={true}
+            filters={message.filters}
+            searchArea={message.searchArea}
+            citations={message.citations}
+            highlight={highlight}
+            onShowMore={message.nextPage?.cursor && onShowMore ? () => onShowMore(message.id) : null}
+          />
         )}
       </div>
     </div>
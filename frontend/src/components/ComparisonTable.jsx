@@ -0,0 +1,144 @@
+import React from 'react';
+import { t } from '../lib/i18n';
+
+const SERVICE_LABELS = {
+  dine_in: 'place.dineIn',
+  takeout: 'place.takeout',
+  delivery: 'place.delivery',
+  curbside_pickup: 'place.curbsidePickup',
+  reservable: 'place.reservable',
+};
+
+const cellStyle = {
+  padding: '0.4rem 0.6rem',
+  borderBottom: '1px solid var(--border-color)',
+  textAlign: 'left',
+  verticalAlign: 'top',
+};
+
+const labelCellStyle = {
+  ...cellStyle,
+  fontSize: '0.75rem',
+  color: 'var(--text-secondary)',
+  whiteSpace: 'nowrap',
+};
+
+/**
+ * Yes / no / unknown for a boolean field
+ */
+function renderFlag(value) {
+  if (value === true) return <span style={{ color: '#22c55e' }}>✓</span>;
+  if (value === false) return <span style={{ color: 'var(--text-secondary)' }}>✗</span>;
+  return <span style={{ color: 'var(--text-secondary)' }}>—</span>;
+}
+
+/**
+ * Today's line from weekday_text (which starts on Monday), without the day name
+ */
+function hoursToday(place) {
+  const today = place.opening_hours?.weekday_text?.[(new Date().getDay() + 6) % 7];
+  return today ? today.replace(/^[^:]+:\s*/, '') : '—';
+}
+
+/**
+ * ComparisonTable component - places side by side, best value per row highlighted
+ * @param {Object} comparison - {places, best} from the chat stream or /api/places/compare
+ */
+function ComparisonTable({ comparison }) {
+  const { places, best } = comparison;
+
+  const rows = [
+    {
+      label: t('compare.rating'),
+      best: best.rating,
+      render: (p) => (p.rating ? <><span style={{ color: '#fbbf24' }}>★</span> {p.rating.toFixed(1)}</> : '—'),
+    },
+    {
+      label: t('compare.reviews'),
+      best: best.reviews,
+      render: (p) => (p.user_ratings_total != null ? p.user_ratings_total.toLocaleString() : '—'),
+    },
+    {
+      label: t('compare.price'),
+      best: best.price,
+      render: (p) => (p.price_level ? '$'.repeat(p.price_level) : '—'),
+    },
+    {
+      label: t('place.openNow'),
+      render: (p) => renderFlag(p.opening_hours?.open_now),
+    },
+    {
+      label: t('compare.hoursToday'),
+      render: hoursToday,
+    },
+    ...Object.entries(SERVICE_LABELS).map(([option, key]) => ({
+      label: t(key),
+      render: (p) => renderFlag(p.services?.[option]),
+    })),
+    {
+      label: t('place.accessibility'),
+      render: (p) => renderFlag(p.wheelchair_accessible_entrance),
+    },
+    {
+      label: t('compare.distance'),
+      best: best.distance,
+      render: (p) => p.distance_text || '—',
+    },
+  ];
+
+  return (
+    <div
+      style={{
+        marginTop: '0.75rem',
+        borderRadius: '8px',
+        background: 'var(--bg-secondary)',
+        border: '1px solid var(--border-color)',
+        overflowX: 'auto',
+      }}
+    >
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+        <thead>
+          <tr>
+            <th style={labelCellStyle} />
+            {places.map((place) => (
+              <th key={place.place_id} style={{ ...cellStyle, fontWeight: 600 }}>
+                {place.google_maps_url ? (
+                  <a
+                    href={place.google_maps_url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    style={{ color: 'var(--text-primary)', textDecoration: 'none' }}
+                  >
+                    {place.name}
+                  </a>
+                ) : (
+                  place.name
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.label}>
+              <td style={labelCellStyle}>{row.label}</td>
+              {places.map((place) => {
+                const isBest = row.best && row.best === place.place_id;
+                return (
+                  <td
+                    key={place.place_id}
+                    style={{ ...cellStyle, ...(isBest && { fontWeight: 600, color: '#22c55e' }) }}
+                  >
+                    {row.render(place)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ComparisonTable;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+
+// Steps shown before "Show all steps"
+const COLLAPSED_STEP_COUNT = 6;
+
+const MODE_ICONS = {
+  driving: '🚗',
+  walking: '🚶',
+  bicycling: '🚲',
+  transit: '🚆',
+};
+
+/**
+ * Describe a transit step ("MRT Blue Line toward Dingpu, 5 stops")
+ */
+function formatTransit(transit) {
+  const parts = [
+    [transit.vehicle, transit.line].filter(Boolean).join(' '),
+    transit.headsign ? `toward ${transit.headsign}` : null,
+    transit.num_stops ? `${transit.num_stops} stop${transit.num_stops !== 1 ? 's' : ''}` : null,
+  ].filter(Boolean);
+  return parts.join(', ');
+}
+
+/**
+ * DirectionsBlock component - route summary, step list and navigation link
+ * @param {Object} directions - Directions payload from the chat stream
+ */
+function DirectionsBlock({ directions }) {
+  const [showAllSteps, setShowAllSteps] = useState(false);
+
+  const steps = directions.legs?.flatMap((leg) => leg.steps) || [];
+  const visibleSteps = showAllSteps ? steps : steps.slice(0, COLLAPSED_STEP_COUNT);
+
+  return (
+    <div
+      style={{
+        marginTop: '0.75rem',
+        padding: '0.75rem',
+        borderRadius: '8px',
+        background: 'var(--bg-secondary)',
+        border: '1px solid var(--border-color)',
+      }}
+    >
+      {/* Summary */}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+        <div style={{ minWidth: 0 }}>
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+            {MODE_ICONS[directions.mode]} {directions.origin_address || directions.origin} → {directions.destination_address || directions.destination}
+          </div>
+          <div style={{ fontSize: '1.1rem', fontWeight: 600 }}>
+            {directions.duration}{' '}
+            <span style={{ color: 'var(--text-secondary)', fontWeight: 400 }}>· {directions.distance}</span>
+          </div>
+          {directions.summary && (
+            <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>via {directions.summary}</div>
+          )}
+        </div>
+        {directions.navigation_url && (
+          <a
+            href={directions.navigation_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="btn btn-primary"
+            style={{ textDecoration: 'none', flexShrink: 0, fontSize: '0.8rem' }}
+          >
+            Start navigation
+          </a>
+        )}
+      </div>
+
+      {/* Steps */}
+      {steps.length > 0 && (
+        <ol style={{ margin: '0.75rem 0 0 1.25rem', fontSize: '0.85rem' }}>
+          {visibleSteps.map((step, i) => (
+            <li key={i} style={{ padding: '0.2rem 0' }}>
+              <span>{step.instruction}</span>
+              {step.transit && (
+                <div style={{ fontSize: '0.75rem', color: 'var(--accent)' }}>
+                  {formatTransit(step.transit)}
+                  {step.transit.departure_stop && ` · ${step.transit.departure_stop} → ${step.transit.arrival_stop}`}
+                </div>
+              )}
+              <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                {' '}({step.distance?.text}{step.duration?.text ? `, ${step.duration.text}` : ''})
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {steps.length > COLLAPSED_STEP_COUNT && (
+        <button
+          onClick={() => setShowAllSteps(!showAllSteps)}
+          style={{
+            marginTop: '0.5rem',
+            padding: 0,
+            background: 'none',
+            border: 'none',
+            color: 'var(--accent)',
+            cursor: 'pointer',
+            fontSize: '0.8rem',
+          }}
+        >
+          {showAllSteps ? 'Show fewer steps' : `Show all ${steps.length} steps`}
+        </button>
+      )}
+
+      {directions.warnings?.length > 0 && (
+        <div style={{ marginTop: '0.5rem', fontSize: '0.7rem', color: 'var(--text-secondary)' }}>
+          {directions.warnings.join(' ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DirectionsBlock;
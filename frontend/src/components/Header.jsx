@@ -1,13 +1,52 @@
 import React from 'react';
+import { t } from '../lib/i18n';
+import { getModels } from '../lib/ollama';
+import ProfileSettings from './ProfileSettings';
 
-function Header({ onClear, messageCount }) {
+const selectStyle = {
+  maxWidth: '160px',
+  padding: '0.35rem 0.5rem',
+  border: '1px solid var(--border-color)',
+  borderRadius: '6px',
+  background: 'var(--bg-tertiary)',
+  color: 'var(--text-primary)',
+  fontSize: '0.8rem',
+};
+
+/**
+ * Model dropdown - the empty value leaves the choice to the backend
+ */
+function ModelSelect({ label, value, defaultModel, models, onChange }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+      {label}
+      <select style={selectStyle} value={value || ''} onChange={(e) => onChange(e.target.value || null)}>
+        <option value="">{t('header.defaultModel', { model: defaultModel })}</option>
+        {models.filter((model) => model !== defaultModel).map((model) => (
+          <option key={model} value={model}>{model}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Header component - connection status, model pickers, preferences and Clear Chat
+ * @param {Object} models - Selected models {response, extraction}; null means the backend default
+ * @param {Function} onModelsChange - Called with the new selection
+ */
+function Header({ onClear, messageCount, models, onModelsChange }) {
   const [isConnected, setIsConnected] = React.useState(false);
+  const [available, setAvailable] = React.useState(null);
+  const [showPreferences, setShowPreferences] = React.useState(false);
 
   React.useEffect(() => {
     // Check if Ollama is available
     fetch('/ollama/api/tags')
       .then((res) => res.ok && setIsConnected(true))
       .catch(() => setIsConnected(false));
+
+    getModels().then(setAvailable);
   }, []);
 
   return (
@@ -39,15 +78,39 @@ function Header({ onClear, messageCount }) {
               color: isConnected ? '#3fb950' : '#f85149',
             }}
           >
-            {isConnected ? '● Ollama Connected' : '○ Ollama Disconnected'}
+            {isConnected ? t('header.connected') : t('header.disconnected')}
           </span>
         </div>
-        {messageCount > 0 && (
-          <button className="btn" onClick={onClear}>
-            Clear Chat
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+          {available?.models.length > 0 && (
+            <>
+              <ModelSelect
+                label={t('header.model')}
+                value={models.response}
+                defaultModel={available.defaults.response}
+                models={available.models}
+                onChange={(response) => onModelsChange({ ...models, response })}
+              />
+              <ModelSelect
+                label={t('header.extractionModel')}
+                value={models.extraction}
+                defaultModel={available.defaults.extraction}
+                models={available.models}
+                onChange={(extraction) => onModelsChange({ ...models, extraction })}
+              />
+            </>
+          )}
+          <button className="btn" onClick={() => setShowPreferences((shown) => !shown)}>
+            {t('header.preferences')}
           </button>
-        )}
+          {messageCount > 0 && (
+            <button className="btn" onClick={onClear}>
+              {t('header.clear')}
+            </button>
+          )}
+        </div>
       </div>
+      {showPreferences && <ProfileSettings onClose={() => setShowPreferences(false)} />}
     </header>
   );
 }
@@ -0,0 +1,198 @@
+import React, { useEffect, useRef } from 'react';
+import { loadLeaflet, addTileLayer, decodePolyline } from '../lib/leaflet';
+import { t } from '../lib/i18n';
+
+const MODE_ICONS = {
+  driving: '🚗',
+  walking: '🚶',
+  bicycling: '🚲',
+  transit: '🚆',
+};
+
+const badgeStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  width: '1.5rem',
+  height: '1.5rem',
+  borderRadius: '50%',
+  background: 'var(--accent)',
+  color: 'white',
+  fontSize: '0.75rem',
+  fontWeight: 600,
+  flexShrink: 0,
+};
+
+/**
+ * Numbered Leaflet marker matching the timeline badges
+ */
+function numberedIcon(L, number) {
+  return L.divIcon({
+    className: '',
+    html: `<div style="width:24px;height:24px;border-radius:50%;background:#3b82f6;color:white;font:600 12px sans-serif;display:flex;align-items:center;justify-content:center;border:2px solid white;box-shadow:0 1px 4px rgba(0,0,0,0.4)">${number}</div>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+  });
+}
+
+/**
+ * Route map: one numbered marker per stop, legs drawn along their routes
+ */
+function ItineraryMap({ itinerary }) {
+  const mapRef = useRef(null);
+
+  useEffect(() => {
+    const stops = itinerary.stops
+      .map((stop, index) => ({ ...stop, index }))
+      .filter((stop) => stop.place?.lat && stop.place?.lng);
+    if (!mapRef.current || stops.length === 0) return;
+
+    let map = null;
+    let cancelled = false;
+
+    loadLeaflet()
+      .then((L) => {
+        if (cancelled || !mapRef.current) return;
+        map = L.map(mapRef.current);
+        addTileLayer(L, map);
+
+        stops.forEach((stop, i) => {
+          L.marker([stop.place.lat, stop.place.lng], { icon: numberedIcon(L, i + 1) })
+            .addTo(map)
+            .bindPopup(`<strong>${stop.place.name}</strong><br><small>${stop.query}</small>`);
+        });
+
+        // Straight line when a leg has no route geometry
+        const byIndex = Object.fromEntries(stops.map((stop) => [stop.index, stop.place]));
+        itinerary.legs.forEach((leg) => {
+          const from = byIndex[leg.from];
+          const to = byIndex[leg.to];
+          if (!from || !to) return;
+          const path = leg.polyline ? decodePolyline(leg.polyline) : [[from.lat, from.lng], [to.lat, to.lng]];
+          L.polyline(path, { color: '#3b82f6', weight: 4, opacity: 0.8, dashArray: leg.polyline ? null : '6 6' }).addTo(map);
+        });
+
+        map.fitBounds(stops.map((stop) => [stop.place.lat, stop.place.lng]), { padding: [40, 40], maxZoom: 16 });
+      })
+      .catch((error) => console.error(error.message));
+
+    return () => {
+      cancelled = true;
+      map?.remove();
+    };
+  }, [itinerary]);
+
+  return (
+    <div
+      ref={mapRef}
+      style={{
+        width: '100%',
+        height: '250px',
+        border: '1px solid var(--border-color)',
+        borderRadius: '8px',
+        zIndex: 0,
+        marginBottom: '0.75rem',
+      }}
+    />
+  );
+}
+
+/**
+ * ItineraryBlock component - stop timeline with travel times, plus a route map
+ * @param {Object} itinerary - Itinerary payload from the chat stream
+ */
+function ItineraryBlock({ itinerary }) {
+  let number = 0;
+
+  return (
+    <div
+      style={{
+        marginTop: '0.75rem',
+        padding: '0.75rem',
+        borderRadius: '8px',
+        background: 'var(--bg-secondary)',
+        border: '1px solid var(--border-color)',
+      }}
+    >
+      <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginBottom: '0.75rem' }}>
+        {MODE_ICONS[itinerary.mode]} {t('itinerary.stops', { count: itinerary.stops.length })}
+        {itinerary.area && t('itinerary.around', { area: itinerary.area })}
+        {itinerary.total_duration && t('itinerary.travel', { duration: itinerary.total_duration })}
+      </div>
+
+      <ItineraryMap itinerary={itinerary} />
+
+      <ol style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+        {itinerary.stops.map((stop, i) => {
+          const leg = itinerary.legs.find((l) => l.from === i);
+          if (stop.place) number += 1;
+
+          return (
+            <li key={`${i}-${stop.query}`}>
+              <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'flex-start' }}>
+                <span style={{ ...badgeStyle, ...(!stop.place && { background: 'var(--bg-tertiary)', color: 'var(--text-secondary)' }) }}>
+                  {stop.place ? number : '–'}
+                </span>
+                <div style={{ minWidth: 0 }}>
+                  <div style={{ fontSize: '0.7rem', color: 'var(--text-secondary)', textTransform: 'uppercase' }}>
+                    {stop.query}
+                  </div>
+                  {stop.place ? (
+                    <>
+                      <div style={{ fontWeight: 600 }}>
+                        {stop.place.name}
+                        {stop.place.rating && (
+                          <span style={{ fontWeight: 400, fontSize: '0.8rem', marginLeft: '0.4rem' }}>
+                            <span style={{ color: '#fbbf24' }}>★</span> {stop.place.rating.toFixed(1)}
+                          </span>
+                        )}
+                      </div>
+                      <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                        {stop.place.formatted_address || stop.place.vicinity}
+                      </div>
+                      {stop.alternatives?.length > 0 && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginTop: '0.15rem' }}>
+                          {t('itinerary.alternatives', { names: stop.alternatives.map((alt) => alt.name).join(', ') })}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{t('itinerary.notFound')}</div>
+                  )}
+                </div>
+              </div>
+
+              {/* Travel to the next stop */}
+              {leg && (
+                <div
+                  style={{
+                    margin: '0.25rem 0 0.25rem 0.7rem',
+                    padding: '0.35rem 0 0.35rem 1.3rem',
+                    borderLeft: '2px dashed var(--border-color)',
+                    fontSize: '0.8rem',
+                    color: 'var(--text-secondary)',
+                  }}
+                >
+                  {MODE_ICONS[itinerary.mode]} {leg.duration ? `${leg.duration} · ${leg.distance}` : t('itinerary.noRoute')}
+                  {leg.navigation_url && (
+                    <a
+                      href={leg.navigation_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={{ marginLeft: '0.5rem', color: 'var(--accent)', textDecoration: 'none' }}
+                    >
+                      {t('itinerary.navigate')}
+                    </a>
+                  )}
+                </div>
+              )}
+              {!leg && i < itinerary.stops.length - 1 && <div style={{ height: '0.5rem' }} />}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+export default ItineraryBlock;
@@ -0,0 +1,64 @@
+import React from 'react';
+
+/**
+ * Shared box style for single-answer results
+ */
+const boxStyle = {
+  marginTop: '0.75rem',
+  padding: '0.75rem',
+  borderRadius: '8px',
+  background: 'var(--bg-secondary)',
+  border: '1px solid var(--border-color)',
+  fontSize: '0.875rem',
+};
+
+const labelStyle = {
+  fontSize: '0.75rem',
+  color: 'var(--text-secondary)',
+};
+
+/**
+ * Build an OpenStreetMap link for a point
+ */
+function osmLink(lat, lng) {
+  return `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=17/${lat}/${lng}`;
+}
+
+/**
+ * DistanceResult component - straight-line distance between two points
+ * @param {Object} distance - {origin, destination, distance_text}
+ */
+export function DistanceResult({ distance }) {
+  return (
+    <div style={boxStyle}>
+      <div style={labelStyle}>Straight-line distance</div>
+      <div style={{ fontSize: '1.25rem', fontWeight: 600, color: 'var(--accent)' }}>
+        {distance.distance_text}
+      </div>
+      <div style={{ color: 'var(--text-secondary)' }}>
+        {distance.origin.name} → {distance.destination.name}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * AddressResult component - address found for a coordinate
+ * @param {Object} address - {lat, lng, address}
+ */
+export function AddressResult({ address }) {
+  return (
+    <div style={boxStyle}>
+      <div style={labelStyle}>📍 {address.lat.toFixed(5)}, {address.lng.toFixed(5)}</div>
+      <div style={{ fontWeight: 500, margin: '0.25rem 0' }}>{address.address}</div>
+      <a
+        href={osmLink(address.lat, address.lng)}
+        target="_blank"
+        rel="noopener noreferrer"
+        style={{ color: 'var(--accent)', textDecoration: 'none', fontSize: '0.8rem' }}
+      >
+        Open map →
+      </a>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { t } from '../lib/i18n';
 
 /**
  * Render price level as dollar signs
@@ -42,15 +43,53 @@ function formatOpenNow(openingHours) {
         fontWeight: 500,
       }}
     >
-      {open_now ? 'Open Now' : 'Closed'}
+      {open_now ? t('place.openNow') : t('place.closed')}
     </span>
   );
 }
 
+/**
+ * Citation number badge matching the [n] chips in the answer
+ */
+function renderCitation(citation) {
+  if (!citation) return null;
+
+  return (
+    <span
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        minWidth: '1.25rem',
+        height: '1.25rem',
+        padding: '0 0.3rem',
+        borderRadius: '10px',
+        background: 'var(--accent)',
+        color: 'white',
+        fontSize: '0.7rem',
+        fontWeight: 600,
+        flexShrink: 0,
+      }}
+    >
+      {citation}
+    </span>
+  );
+}
+
+// Outline for the card picked from a citation chip
+const highlightStyle = {
+  boxShadow: '0 0 0 2px var(--accent)',
+  transition: 'box-shadow 0.3s',
+};
+
 /**
  * PlaceCard component - displays comprehensive place information
+ * @param {Object} place - Place data
+ * @param {boolean} compact - Whether to show the compact card
+ * @param {number} citation - Citation number used for this place in the answer
+ * @param {boolean} highlighted - Whether the card was picked from a citation
  */
-function PlaceCard({ place, compact = false }) {
+function PlaceCard({ place, compact = false, citation = null, highlighted = false }) {
   const [showDetails, setShowDetails] = useState(false);
 
   if (compact) {
@@ -65,13 +104,15 @@ function PlaceCard({ place, compact = false }) {
           justifyContent: 'space-between',
           alignItems: 'center',
           gap: '1rem',
+          ...(highlighted && highlightStyle),
         }}
       >
         <div style={{ flex: 1, minWidth: 0 }}>
           <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.25rem' }}>
+            {renderCitation(citation)}
             <h4 style={{ margin: 0, fontSize: '0.95rem', fontWeight: 600 }}>{place.name}</h4>
             {place.permanently_closed && (
-              <span style={{ fontSize: '0.7rem', color: '#ef4444' }}>Permanently Closed</span>
+              <span style={{ fontSize: '0.7rem', color: '#ef4444' }}>{t('place.permanentlyClosed')}</span>
             )}
           </div>
           <p style={{ margin: 0, fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
@@ -98,17 +139,19 @@ function PlaceCard({ place, compact = false }) {
         background: 'var(--bg-secondary)',
         marginBottom: '1rem',
         border: '1px solid var(--border-color)',
+        ...(highlighted && highlightStyle),
       }}
     >
       {/* Header */}
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
         <div style={{ flex: 1, minWidth: 0 }}>
           <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.25rem', flexWrap: 'wrap' }}>
+            {renderCitation(citation)}
             <h3 style={{ margin: 0, fontSize: '1.1rem', fontWeight: 600 }}>{place.name}</h3>
             {renderPriceLevel(place.price_level)}
             {place.permanently_closed && (
               <span style={{ fontSize: '0.75rem', color: '#ef4444', fontWeight: 500 }}>
-                Permanently Closed
+                {t('place.permanentlyClosed')}
               </span>
             )}
           </div>
@@ -124,14 +167,14 @@ function PlaceCard({ place, compact = false }) {
                 {renderStars(place.rating)}
                 {place.user_ratings_total && (
                   <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
-                    ({place.user_ratings_total} reviews)
+                    {t('place.reviews', { count: place.user_ratings_total })}
                   </span>
                 )}
               </div>
             )}
             {place.distance_text && (
               <span style={{ fontSize: '0.875rem', color: 'var(--accent)', fontWeight: 500 }}>
-                📍 {place.distance_text} away
+                {t('place.away', { distance: place.distance_text })}
               </span>
             )}
             {place.opening_hours && formatOpenNow(place.opening_hours)}
@@ -153,7 +196,7 @@ function PlaceCard({ place, compact = false }) {
               flexShrink: 0,
             }}
           >
-            {showDetails ? 'Show Less' : 'Show More'}
+            {showDetails ? t('place.showLess') : t('place.showMore')}
           </button>
         )}
       </div>
@@ -183,7 +226,7 @@ function PlaceCard({ place, compact = false }) {
                   rel="noopener noreferrer"
                   style={{ color: 'var(--accent)', textDecoration: 'none', fontSize: '0.875rem' }}
                 >
-                  Website
+                  {t('place.website')}
                 </a>
               </div>
             )}
@@ -196,7 +239,7 @@ function PlaceCard({ place, compact = false }) {
                   rel="noopener noreferrer"
                   style={{ color: 'var(--accent)', textDecoration: 'none', fontSize: '0.875rem' }}
                 >
-                  Open in Google Maps
+                  {t('place.openInGoogleMaps')}
                 </a>
               </div>
             )}
@@ -205,7 +248,7 @@ function PlaceCard({ place, compact = false }) {
           {/* Opening hours */}
           {place.opening_hours?.weekday_text && (
             <div style={{ marginBottom: '1rem' }}>
-              <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', fontWeight: 600 }}>Hours</h4>
+              <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', fontWeight: 600 }}>{t('place.hours')}</h4>
               <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
                 {place.opening_hours.weekday_text.map((day, i) => (
                   <div key={i} style={{ padding: '0.1rem 0' }}>
@@ -219,13 +262,13 @@ function PlaceCard({ place, compact = false }) {
           {/* Service options */}
           {hasServiceOptions(place) && (
             <div style={{ marginBottom: '1rem' }}>
-              <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', fontWeight: 600 }}>Services</h4>
+              <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', fontWeight: 600 }}>{t('place.services')}</h4>
               <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
-                {place.delivery && <ServiceBadge label="Delivery" />}
-                {place.dine_in && <ServiceBadge label="Dine In" />}
-                {place.takeout && <ServiceBadge label="Takeout" />}
-                {place.curbside_pickup && <ServiceBadge label="Curbside Pickup" />}
-                {place.reservable && <ServiceBadge label="Reservable" />}
+                {place.delivery && <ServiceBadge label={t('place.delivery')} />}
+                {place.dine_in && <ServiceBadge label={t('place.dineIn')} />}
+                {place.takeout && <ServiceBadge label={t('place.takeout')} />}
+                {place.curbside_pickup && <ServiceBadge label={t('place.curbsidePickup')} />}
+                {place.reservable && <ServiceBadge label={t('place.reservable')} />}
               </div>
             </div>
           )}
@@ -233,9 +276,9 @@ function PlaceCard({ place, compact = false }) {
           {/* Accessibility */}
           {place.wheelchair_accessible_entrance !== undefined && (
             <div style={{ marginBottom: '1rem' }}>
-              <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', fontWeight: 600 }}>Accessibility</h4>
+              <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', fontWeight: 600 }}>{t('place.accessibility')}</h4>
               <span style={{ fontSize: '0.8rem', color: place.wheelchair_accessible_entrance ? '#22c55e' : 'var(--text-secondary)' }}>
-                {place.wheelchair_accessible_entrance ? '♿ Wheelchair accessible' : 'No wheelchair access info'}
+                {place.wheelchair_accessible_entrance ? t('place.wheelchairAccessible') : t('place.noWheelchairInfo')}
               </span>
             </div>
           )}
@@ -243,7 +286,7 @@ function PlaceCard({ place, compact = false }) {
           {/* Types */}
           {place.types && place.types.length > 0 && (
             <div>
-              <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', fontWeight: 600 }}>Categories</h4>
+              <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', fontWeight: 600 }}>{t('place.categories')}</h4>
               <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem' }}>
                 {place.types
                   .filter(t => !t.startsWith('establishment'))
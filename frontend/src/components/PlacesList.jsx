@@ -1,14 +1,41 @@
 import React, { useEffect, useRef, useState } from 'react';
 import PlaceCard from './PlaceCard';
+import { loadLeaflet, addTileLayer } from '../lib/leaflet';
+import { t } from '../lib/i18n';
+
+/**
+ * Format a radius in meters ("500 m", "1.5 km")
+ */
+function formatRadius(meters) {
+  return meters < 1000 ? `${meters} m` : `${Math.round(meters / 100) / 10} km`;
+}
 
 /**
  * PlacesList component - displays a list of place cards with a combined map
  * @param {Array} places - Array of place objects
  * @param {boolean} compact - Whether to show compact cards
+ * @param {Object} filters - Constraints applied to the results {applied, removed, unchecked, preferences?: {applied, apply}}
+ * @param {Object} searchArea - Point distances are measured from {name, lat, lng, source, radius_m, rank_by?}
+ * @param {Array} citations - Citation numbers used in the answer [{n, place_id}]
+ * @param {Object} highlight - Place selected from a citation {placeId, at}
+ * @param {Function} onShowMore - Loads the next page of results (omit when there is none)
  */
-function PlacesList({ places, compact = false }) {
+function PlacesList({ places, compact = false, filters = null, searchArea = null, citations = null, highlight = null, onShowMore = null }) {
   const mapRef = useRef(null);
+  const mapInstanceRef = useRef(null);
+  const markersRef = useRef({});
+  const cardRefs = useRef({});
   const [mapLoaded, setMapLoaded] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const showMore = async () => {
+    setLoadingMore(true);
+    try {
+      await onShowMore();
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
   // Initialize map when component mounts or places change
   useEffect(() => {
@@ -17,24 +44,13 @@ function PlacesList({ places, compact = false }) {
     const placesWithCoords = places.filter(p => p.lat && p.lng);
     if (placesWithCoords.length === 0) return;
 
-    // Load Leaflet CSS and JS dynamically
-    if (!window.L) {
-      const link = document.createElement('link');
-      link.rel = 'stylesheet';
-      link.href = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
-      document.head.appendChild(link);
-
-      const script = document.createElement('script');
-      script.src = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js';
-      script.onload = () => {
+    // Load Leaflet dynamically
+    loadLeaflet()
+      .then(() => {
         setMapLoaded(true);
         initMap();
-      };
-      document.head.appendChild(script);
-    } else {
-      setMapLoaded(true);
-      initMap();
-    }
+      })
+      .catch((error) => console.error(error.message));
 
     function initMap() {
       if (!mapRef.current || !window.L) return;
@@ -60,15 +76,16 @@ function PlacesList({ places, compact = false }) {
 
       // Create map
       const map = window.L.map(container).setView([centerLat, centerLng], 13);
+      mapInstanceRef.current = map;
+      markersRef.current = {};
 
       // Add tile layer
-      window.L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-      }).addTo(map);
+      addTileLayer(window.L, map);
 
       // Add markers for each place
       placesWithCoords.forEach((place, i) => {
         const marker = window.L.marker([place.lat, place.lng]).addTo(map);
+        if (place.place_id) markersRef.current[place.place_id] = marker;
         marker.bindPopup(`
           <div style="font-family: sans-serif;">
             <strong>${place.name}</strong><br>
@@ -81,13 +98,26 @@ function PlacesList({ places, compact = false }) {
         if (i === 0) marker.openPopup();
       });
 
-      // Fit bounds to show all markers
+      // Mark the named place distances are measured from, and the radius asked for
       const bounds = placesWithCoords.map(p => [p.lat, p.lng]);
+      if (searchArea?.source === 'geocoded') {
+        window.L.circleMarker([searchArea.lat, searchArea.lng], { radius: 6, color: '#f97316', fillOpacity: 0.9 })
+          .addTo(map)
+          .bindTooltip(searchArea.name);
+        if (searchArea.radius_m) {
+          window.L.circle([searchArea.lat, searchArea.lng], { radius: searchArea.radius_m, color: '#f97316', weight: 1, fillOpacity: 0.05 }).addTo(map);
+        }
+        bounds.push([searchArea.lat, searchArea.lng]);
+      }
+
+      // Fit bounds to show all markers
       map.fitBounds(bounds, { padding: [50, 50] });
     }
 
     return () => {
       // Cleanup
+      mapInstanceRef.current = null;
+      markersRef.current = {};
       if (mapRef.current && mapRef.current._leaflet_id) {
         const container = mapRef.current;
         while (container.firstChild) {
@@ -95,7 +125,22 @@ function PlacesList({ places, compact = false }) {
         }
       }
     };
-  }, [compact, places]);
+  }, [compact, places, searchArea]);
+
+  // Scroll to the cited place and open its marker
+  useEffect(() => {
+    if (!highlight) return;
+
+    cardRefs.current[highlight.placeId]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    const marker = markersRef.current[highlight.placeId];
+    if (marker && mapInstanceRef.current) {
+      mapInstanceRef.current.panTo(marker.getLatLng());
+      marker.openPopup();
+    }
+  }, [highlight]);
+
+  const citationFor = (placeId) => citations?.find((c) => c.place_id === placeId)?.n;
 
   if (!places || places.length === 0) {
     return (
@@ -108,7 +153,7 @@ function PlacesList({ places, compact = false }) {
           color: 'var(--text-secondary)',
         }}
       >
-        No places found
+        {t('places.none')}
       </div>
     );
   }
@@ -134,7 +179,49 @@ function PlacesList({ places, compact = false }) {
     <div style={{ marginTop: '1rem' }}>
       {!compact && (
         <div style={{ marginBottom: '0.75rem', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
-          Found {places.length} place{places.length !== 1 ? 's' : ''}
+          {places.length === 1 ? t('places.foundOne') : t('places.found', { count: places.length })}
+        </div>
+      )}
+
+      {/* Constraints the results were filtered by */}
+      {filters?.applied?.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.35rem', marginBottom: '0.75rem' }}>
+          <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{t('places.filtered')}</span>
+          {filters.applied.map((label) => (
+            <span
+              key={label}
+              style={{
+                fontSize: '0.7rem',
+                padding: '0.2rem 0.5rem',
+                borderRadius: '12px',
+                background: 'rgba(59, 130, 246, 0.15)',
+                color: '#3b82f6',
+              }}
+            >
+              {label}
+            </span>
+          ))}
+          {filters.removed > 0 && (
+            <span style={{ fontSize: '0.7rem', color: 'var(--text-secondary)' }}>
+              ({t('places.hidden', { count: filters.removed })}{filters.unchecked > 0 && `, ${t('places.unchecked', { count: filters.unchecked })}`})
+            </span>
+          )}
+        </div>
+      )}
+      {searchArea && places.some((p) => p.distance_text) && (
+        <div style={{ marginBottom: '0.75rem', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+          {searchArea.name
+            ? t('places.distanceFrom', { name: searchArea.name })
+            : t('places.distanceFromYou')}
+          {searchArea.radius_m && ` · ${t('places.within', { distance: formatRadius(searchArea.radius_m) })}`}
+          {searchArea.rank_by === 'distance' && ` · ${t('places.nearestFirst')}`}
+        </div>
+      )}
+      {filters?.preferences?.applied?.length > 0 && (
+        <div style={{ marginBottom: '0.75rem', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+          {t(filters.preferences.apply === 'rerank' ? 'places.preferencesFirst' : 'places.preferences', {
+            preferences: filters.preferences.applied.join(', '),
+          })}
         </div>
       )}
 
@@ -170,8 +257,31 @@ function PlacesList({ places, compact = false }) {
       )}
 
       {places.map((place, index) => (
-        <PlaceCard key={place.place_id || index} place={place} compact={compact} />
+        <div
+          key={place.place_id || index}
+          ref={(el) => {
+            if (place.place_id) cardRefs.current[place.place_id] = el;
+          }}
+        >
+          <PlaceCard
+            place={place}
+            compact={compact}
+            citation={citationFor(place.place_id)}
+            highlighted={!!place.place_id && highlight?.placeId === place.place_id}
+          />
+        </div>
       ))}
+
+      {onShowMore && (
+        <button
+          className="btn"
+          onClick={showMore}
+          disabled={loadingMore}
+          style={{ width: '100%', marginTop: '0.5rem', fontSize: '0.8rem' }}
+        >
+          {loadingMore ? t('places.loadingMore') : t('places.showMore')}
+        </button>
+      )}
     </div>
   );
 }
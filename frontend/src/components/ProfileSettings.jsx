@@ -0,0 +1,145 @@
+import React from 'react';
+import { t } from '../lib/i18n';
+import { getProfile, saveProfile } from '../lib/ollama';
+
+// Attributes offered as standing preferences (keys of PLACE_ATTRIBUTES on the backend)
+const ATTRIBUTES = [
+  'serves_vegetarian_food',
+  'wheelchair_accessible_entrance',
+  'dine_in',
+  'takeout',
+  'delivery',
+  'reservable',
+];
+const TRAVEL_MODES = ['walking', 'driving', 'bicycling', 'transit'];
+const RATINGS = [3.5, 4, 4.5];
+
+const fieldStyle = {
+  padding: '0.35rem 0.5rem',
+  border: '1px solid var(--border-color)',
+  borderRadius: '6px',
+  background: 'var(--bg-tertiary)',
+  color: 'var(--text-primary)',
+  fontSize: '0.8rem',
+};
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '0.35rem', fontSize: '0.75rem', color: 'var(--text-secondary)' };
+
+/**
+ * Settings panel for the saved preferences applied to every search
+ * @param {Function} onClose - Called when the panel should close
+ */
+function ProfileSettings({ onClose }) {
+  const [profile, setProfile] = React.useState(null);
+  const [status, setStatus] = React.useState(null);
+
+  React.useEffect(() => {
+    getProfile()
+      .then(setProfile)
+      .catch((error) => setStatus({ error: error.message }));
+  }, []);
+
+  const update = (fields) => {
+    setProfile((current) => ({ ...current, ...fields }));
+    setStatus(null);
+  };
+
+  const toggleAttribute = (attribute) => {
+    const attributes = profile.attributes.includes(attribute)
+      ? profile.attributes.filter((a) => a !== attribute)
+      : [...profile.attributes, attribute];
+    update({ attributes });
+  };
+
+  const handleSave = async () => {
+    setStatus({ saving: true });
+    try {
+      const { price_max, min_rating, attributes, travel_mode, apply } = profile;
+      setProfile(await saveProfile({ price_max, min_rating, attributes, travel_mode, apply }));
+      setStatus({ saved: true });
+    } catch (error) {
+      setStatus({ error: error.message });
+    }
+  };
+
+  // Select values are strings; '' means no preference
+  const toNumber = (value) => (value === '' ? null : Number(value));
+
+  return (
+    <div style={{ borderTop: '1px solid var(--border-color)', marginTop: '1rem', paddingTop: '1rem' }}>
+      <div className="container" style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+        <div style={{ fontSize: '0.9rem', fontWeight: 600 }}>{t('profile.title')}</div>
+        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{t('profile.description')}</div>
+
+        {!profile ? (
+          status?.error && <div style={{ fontSize: '0.8rem', color: '#f85149' }}>{status.error}</div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+              <label style={labelStyle}>
+                {t('profile.budget')}
+                <select style={fieldStyle} value={profile.price_max ?? ''} onChange={(e) => update({ price_max: toNumber(e.target.value) })}>
+                  <option value="">{t('profile.any')}</option>
+                  {[1, 2, 3].map((level) => (
+                    <option key={level} value={level}>{t('profile.priceMax', { price: '$'.repeat(level) })}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={labelStyle}>
+                {t('profile.minRating')}
+                <select style={fieldStyle} value={profile.min_rating ?? ''} onChange={(e) => update({ min_rating: toNumber(e.target.value) })}>
+                  <option value="">{t('profile.any')}</option>
+                  {RATINGS.map((rating) => (
+                    <option key={rating} value={rating}>{`${rating}★+`}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={labelStyle}>
+                {t('profile.travelMode')}
+                <select style={fieldStyle} value={profile.travel_mode ?? ''} onChange={(e) => update({ travel_mode: e.target.value || null })}>
+                  <option value="">{t('profile.any')}</option>
+                  {TRAVEL_MODES.map((mode) => (
+                    <option key={mode} value={mode}>{t(`profile.mode.${mode}`)}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={labelStyle}>
+                {t('profile.apply')}
+                <select style={fieldStyle} value={profile.apply} onChange={(e) => update({ apply: e.target.value })}>
+                  <option value="filter">{t('profile.apply.filter')}</option>
+                  <option value="rerank">{t('profile.apply.rerank')}</option>
+                </select>
+              </label>
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.5rem 1rem', flexWrap: 'wrap', fontSize: '0.8rem' }}>
+              {ATTRIBUTES.map((attribute) => (
+                <label key={attribute} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={profile.attributes.includes(attribute)}
+                    onChange={() => toggleAttribute(attribute)}
+                  />
+                  {t(`profile.attr.${attribute}`)}
+                </label>
+              ))}
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+              <button className="btn btn-primary" onClick={handleSave} disabled={status?.saving}>
+                {t('profile.save')}
+              </button>
+              <button className="btn" onClick={onClose}>
+                {t('profile.close')}
+              </button>
+              {status?.saved && <span style={{ fontSize: '0.75rem', color: '#3fb950' }}>{t('profile.saved')}</span>}
+              {status?.error && <span style={{ fontSize: '0.75rem', color: '#f85149' }}>{status.error}</span>}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ProfileSettings;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { t } from '../lib/i18n';
+
+const listStyle = {
+  margin: '0.25rem 0 0',
+  paddingLeft: '1.1rem',
+  fontSize: '0.85rem',
+};
+
+/**
+ * Sentiment from -1..1 as a colored bar
+ */
+function SentimentBar({ sentiment }) {
+  const percent = Math.round((sentiment + 1) * 50);
+  const color = sentiment >= 0.3 ? '#22c55e' : sentiment <= -0.3 ? '#ef4444' : '#fbbf24';
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+      <span>{t('reviews.sentiment')}</span>
+      <div style={{ flex: 1, maxWidth: '120px', height: '6px', borderRadius: '3px', background: 'var(--bg-tertiary)' }}>
+        <div style={{ width: `${percent}%`, height: '100%', borderRadius: '3px', background: color }} />
+      </div>
+      <span>{percent}%</span>
+    </div>
+  );
+}
+
+/**
+ * ReviewSummary component - pros, cons and common mentions from a place's reviews
+ * @param {Object} summary - Review summary from the chat stream or /api/places/summary
+ */
+function ReviewSummary({ summary }) {
+  if (summary.source !== 'llm') return null;
+
+  return (
+    <div
+      style={{
+        marginTop: '0.75rem',
+        padding: '0.75rem',
+        borderRadius: '8px',
+        background: 'var(--bg-secondary)',
+        border: '1px solid var(--border-color)',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '0.5rem', marginBottom: '0.5rem' }}>
+        <div style={{ fontWeight: 600 }}>{summary.name}</div>
+        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', whiteSpace: 'nowrap' }}>
+          {t('reviews.basedOn', { count: summary.review_count })}
+          {summary.average_review_rating && (
+            <> · <span style={{ color: '#fbbf24' }}>★</span> {summary.average_review_rating}</>
+          )}
+        </div>
+      </div>
+
+      {typeof summary.sentiment === 'number' && <SentimentBar sentiment={summary.sentiment} />}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginTop: '0.5rem' }}>
+        {summary.pros.length > 0 && (
+          <div style={{ flex: '1 1 180px' }}>
+            <div style={{ fontSize: '0.75rem', color: '#22c55e', fontWeight: 600 }}>{t('reviews.pros')}</div>
+            <ul style={listStyle}>
+              {summary.pros.map((item) => <li key={item}>{item}</li>)}
+            </ul>
+          </div>
+        )}
+        {summary.cons.length > 0 && (
+          <div style={{ flex: '1 1 180px' }}>
+            <div style={{ fontSize: '0.75rem', color: '#ef4444', fontWeight: 600 }}>{t('reviews.cons')}</div>
+            <ul style={listStyle}>
+              {summary.cons.map((item) => <li key={item}>{item}</li>)}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {summary.mentions.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem', marginTop: '0.5rem' }}>
+          {summary.mentions.map((item) => (
+            <span
+              key={item}
+              style={{
+                padding: '0.15rem 0.5rem',
+                borderRadius: '999px',
+                background: 'var(--bg-tertiary)',
+                fontSize: '0.75rem',
+              }}
+            >
+              {item}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReviewSummary;
@@ -0,0 +1,71 @@
+import React from 'react';
+
+const STATUS_ICONS = {
+  running: '⏳',
+  done: '✓',
+  error: '✗',
+};
+
+/**
+ * Summarize a tool result in a few words
+ */
+function summarizeResult(step) {
+  if (step.error) return step.error;
+  const result = step.result;
+  if (!result) return null;
+  if (typeof result.count === 'number') return `${result.count} result${result.count !== 1 ? 's' : ''}`;
+  if (result.duration) return `${result.distance}, ${result.duration}`;
+  if (result.distance_text) return result.distance_text;
+  if (result.address) return result.address;
+  if (result.name) return result.name;
+  return null;
+}
+
+/**
+ * Format tool arguments as "key: value" pairs
+ */
+function formatArguments(args) {
+  if (!args) return '';
+  return Object.entries(args)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+}
+
+/**
+ * ToolActivity component - shows the agent's tool calls and their results
+ * @param {Array} steps - Tool steps {id, step, name, arguments, status, result, error}
+ */
+function ToolActivity({ steps }) {
+  if (!steps || steps.length === 0) return null;
+
+  return (
+    <div
+      style={{
+        marginBottom: '0.75rem',
+        padding: '0.5rem 0.75rem',
+        borderRadius: '6px',
+        background: 'var(--bg-secondary)',
+        border: '1px solid var(--border-color)',
+        fontSize: '0.75rem',
+        color: 'var(--text-secondary)',
+      }}
+    >
+      {steps.map((step) => {
+        const summary = summarizeResult(step);
+        return (
+          <div key={step.id} style={{ display: 'flex', gap: '0.5rem', padding: '0.1rem 0' }}>
+            <span style={{ color: step.status === 'error' ? '#ef4444' : step.status === 'done' ? '#22c55e' : undefined }}>
+              {STATUS_ICONS[step.status]}
+            </span>
+            <span style={{ fontFamily: 'monospace' }}>
+              {step.name}({formatArguments(step.arguments)})
+            </span>
+            {summary && <span>→ {summary}</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ToolActivity;
@@ -0,0 +1,356 @@
+/**
+ * UI strings
+ * Picks a dictionary from the browser language; missing keys fall back to English.
+ */
+
+const MESSAGES = {
+  en: {
+    'location.loading': '🔄 Getting your location for distance calculation...',
+    'location.enabled': '📍 Location enabled - distances calculated from your position',
+    'location.disabled': '📍 Location disabled',
+    'location.enable': 'Enable',
+    'welcome.subtitle': 'Local LLM with Google Maps integration',
+    'welcome.prompts': [
+      'Find coffee shops nearby',
+      'Show me restaurants near me',
+      'What are some attractions in Taipei?',
+      'Find gas stations around here',
+    ],
+    'chat.thinking': 'Thinking...',
+    'chat.error': 'Sorry, I encountered an error: {message}',
+    'chat.stopped': 'Stopped',
+    'chat.showPlace': 'Show this place',
+    'chat.notInResults': 'Not found in the search results',
+    'chat.unverified.one': '⚠ 1 detail in this answer was not found in the search results',
+    'chat.unverified.other': '⚠ {count} details in this answer were not found in the search results',
+    'chat.replaced': 'Summary generated from the search results - the model\'s answer could not be verified',
+    'chat.rawQuery': 'Searched for your message as typed - filters could not be extracted',
+    'chat.template.no_llm': 'Summary generated without a language model',
+    'chat.template.timeout': 'The language model took too long - showing a summary of the results',
+    'chat.template.llm_error': 'The language model is unavailable - showing a summary of the results',
+    'chat.template.empty': 'The language model returned nothing - showing a summary of the results',
+    'header.connected': '● Ollama Connected',
+    'header.disconnected': '○ Ollama Disconnected',
+    'header.clear': 'Clear Chat',
+    'header.model': 'Answer',
+    'header.extractionModel': 'Extraction',
+    'header.defaultModel': '{model} (default)',
+    'header.preferences': 'Preferences',
+    'profile.title': 'Search preferences',
+    'profile.description': 'Applied to every search. Anything you ask for in a message takes priority.',
+    'profile.budget': 'Budget',
+    'profile.priceMax': '{price} or less',
+    'profile.minRating': 'Minimum rating',
+    'profile.travelMode': 'Default travel mode',
+    'profile.apply': 'Places that don\'t match',
+    'profile.apply.filter': 'Hide them',
+    'profile.apply.rerank': 'List them last',
+    'profile.any': 'Any',
+    'profile.mode.walking': 'Walking',
+    'profile.mode.driving': 'Driving',
+    'profile.mode.bicycling': 'Bicycling',
+    'profile.mode.transit': 'Transit',
+    'profile.attr.serves_vegetarian_food': 'Vegetarian-friendly',
+    'profile.attr.wheelchair_accessible_entrance': 'Wheelchair accessible',
+    'profile.attr.dine_in': 'Dine-in',
+    'profile.attr.takeout': 'Takeout',
+    'profile.attr.delivery': 'Delivery',
+    'profile.attr.reservable': 'Takes reservations',
+    'profile.save': 'Save',
+    'profile.close': 'Close',
+    'profile.saved': 'Saved',
+    'places.none': 'No places found',
+    'places.found': 'Found {count} places',
+    'places.foundOne': 'Found 1 place',
+    'places.filtered': 'Filtered:',
+    'places.hidden': '{count} hidden',
+    'places.preferences': 'Your preferences: {preferences}',
+    'places.preferencesFirst': 'Listed first: {preferences}',
+    'places.distanceFrom': '📍 Distances from {name}',
+    'places.distanceFromYou': '📍 Distances from your location',
+    'places.within': 'within {distance}',
+    'places.nearestFirst': 'nearest first',
+    'places.unchecked': '{count} not checked',
+    'places.showMore': 'Show more',
+    'places.loadingMore': 'Loading…',
+    'places.moreExpired': 'Those results have expired. Please search again.',
+    'input.poweredByGoogle': 'Suggestions powered by Google',
+    'place.openNow': 'Open Now',
+    'place.closed': 'Closed',
+    'place.permanentlyClosed': 'Permanently Closed',
+    'place.reviews': '({count} reviews)',
+    'place.away': '📍 {distance} away',
+    'place.showMore': 'Show More',
+    'place.showLess': 'Show Less',
+    'place.website': 'Website',
+    'place.openInGoogleMaps': 'Open in Google Maps',
+    'place.hours': 'Hours',
+    'place.services': 'Services',
+    'place.delivery': 'Delivery',
+    'place.dineIn': 'Dine In',
+    'place.takeout': 'Takeout',
+    'place.curbsidePickup': 'Curbside Pickup',
+    'place.reservable': 'Reservable',
+    'place.accessibility': 'Accessibility',
+    'place.wheelchairAccessible': '♿ Wheelchair accessible',
+    'place.noWheelchairInfo': 'No wheelchair access info',
+    'place.categories': 'Categories',
+    'itinerary.stops': '{count} stops',
+    'itinerary.around': ' around {area}',
+    'itinerary.travel': ' · {duration} of travel',
+    'itinerary.notFound': 'Nothing found nearby',
+    'itinerary.noRoute': 'No route found',
+    'itinerary.navigate': 'Navigate →',
+    'itinerary.alternatives': 'Also nearby: {names}',
+    'compare.rating': 'Rating',
+    'compare.reviews': 'Reviews',
+    'compare.price': 'Price',
+    'compare.hoursToday': 'Hours today',
+    'compare.distance': 'Distance',
+    'reviews.basedOn': '{count} reviews',
+    'reviews.sentiment': 'Sentiment',
+    'reviews.pros': 'Pros',
+    'reviews.cons': 'Cons',
+  },
+  'zh-TW': {
+    'location.loading': '🔄 正在取得您的位置以計算距離...',
+    'location.enabled': '📍 已啟用定位 - 距離以您的位置計算',
+    'location.disabled': '📍 定位已停用',
+    'location.enable': '啟用',
+    'welcome.subtitle': '結合 Google 地圖的本地 LLM',
+    'welcome.prompts': [
+      '尋找附近的咖啡廳',
+      '推薦我附近的餐廳',
+      '台北有哪些景點？',
+      '尋找附近的加油站',
+    ],
+    'chat.thinking': '思考中...',
+    'chat.error': '抱歉，發生錯誤：{message}',
+    'chat.stopped': '已停止',
+    'chat.showPlace': '顯示這個地點',
+    'chat.notInResults': '搜尋結果中找不到',
+    'chat.unverified.one': '⚠ 這則回答中有 1 項細節在搜尋結果中找不到',
+    'chat.unverified.other': '⚠ 這則回答中有 {count} 項細節在搜尋結果中找不到',
+    'chat.replaced': '摘要由搜尋結果產生 - 無法驗證模型的回答',
+    'chat.rawQuery': '已直接以您的訊息搜尋 - 無法擷取篩選條件',
+    'chat.template.no_llm': '摘要未使用語言模型產生',
+    'chat.template.timeout': '語言模型回應太慢 - 顯示結果摘要',
+    'chat.template.llm_error': '語言模型無法使用 - 顯示結果摘要',
+    'chat.template.empty': '語言模型沒有回應內容 - 顯示結果摘要',
+    'header.connected': '● Ollama 已連線',
+    'header.disconnected': '○ Ollama 未連線',
+    'header.clear': '清除對話',
+    'header.model': '回答',
+    'header.extractionModel': '擷取',
+    'header.defaultModel': '{model}（預設）',
+    'header.preferences': '偏好設定',
+    'profile.title': '搜尋偏好',
+    'profile.description': '套用於每次搜尋。訊息中提出的條件優先。',
+    'profile.budget': '預算',
+    'profile.priceMax': '{price} 以下',
+    'profile.minRating': '最低評分',
+    'profile.travelMode': '預設交通方式',
+    'profile.apply': '不符合的地點',
+    'profile.apply.filter': '隱藏',
+    'profile.apply.rerank': '排在後面',
+    'profile.any': '不限',
+    'profile.mode.walking': '步行',
+    'profile.mode.driving': '開車',
+    'profile.mode.bicycling': '騎自行車',
+    'profile.mode.transit': '大眾運輸',
+    'profile.attr.serves_vegetarian_food': '提供素食',
+    'profile.attr.wheelchair_accessible_entrance': '無障礙入口',
+    'profile.attr.dine_in': '內用',
+    'profile.attr.takeout': '外帶',
+    'profile.attr.delivery': '外送',
+    'profile.attr.reservable': '可訂位',
+    'profile.save': '儲存',
+    'profile.close': '關閉',
+    'profile.saved': '已儲存',
+    'places.none': '找不到地點',
+    'places.found': '找到 {count} 個地點',
+    'places.foundOne': '找到 1 個地點',
+    'places.filtered': '篩選條件：',
+    'places.hidden': '已隱藏 {count} 筆',
+    'places.preferences': '你的偏好：{preferences}',
+    'places.preferencesFirst': '優先列出：{preferences}',
+    'places.distanceFrom': '📍 距離以{name}為起點',
+    'places.distanceFromYou': '📍 距離以你的位置為起點',
+    'places.within': '{distance} 以內',
+    'places.nearestFirst': '由近到遠',
+    'places.unchecked': '{count} 筆未檢查',
+    'places.showMore': '顯示更多',
+    'places.loadingMore': '載入中…',
+    'places.moreExpired': '這些結果已過期，請重新搜尋。',
+    'input.poweredByGoogle': '建議由 Google 提供',
+    'place.openNow': '營業中',
+    'place.closed': '已打烊',
+    'place.permanentlyClosed': '永久停業',
+    'place.reviews': '（{count} 則評論）',
+    'place.away': '📍 距離 {distance}',
+    'place.showMore': '顯示更多',
+    'place.showLess': '顯示較少',
+    'place.website': '網站',
+    'place.openInGoogleMaps': '在 Google 地圖中開啟',
+    'place.hours': '營業時間',
+    'place.services': '服務',
+    'place.delivery': '外送',
+    'place.dineIn': '內用',
+    'place.takeout': '外帶',
+    'place.curbsidePickup': '路邊取貨',
+    'place.reservable': '可訂位',
+    'place.accessibility': '無障礙設施',
+    'place.wheelchairAccessible': '♿ 輪椅可通行',
+    'place.noWheelchairInfo': '無輪椅通行資訊',
+    'place.categories': '類別',
+    'itinerary.stops': '{count} 個地點',
+    'itinerary.around': '（{area}）',
+    'itinerary.travel': ' · 交通時間 {duration}',
+    'itinerary.notFound': '附近找不到符合的地點',
+    'itinerary.noRoute': '找不到路線',
+    'itinerary.navigate': '導航 →',
+    'itinerary.alternatives': '附近也有：{names}',
+    'compare.rating': '評分',
+    'compare.reviews': '評論數',
+    'compare.price': '價位',
+    'compare.hoursToday': '今日營業時間',
+    'compare.distance': '距離',
+    'reviews.basedOn': '{count} 則評論',
+    'reviews.sentiment': '整體評價',
+    'reviews.pros': '優點',
+    'reviews.cons': '缺點',
+  },
+  ja: {
+    'location.loading': '🔄 距離計算のために現在地を取得しています...',
+    'location.enabled': '📍 位置情報オン - 現在地からの距離を表示しています',
+    'location.disabled': '📍 位置情報オフ',
+    'location.enable': '有効にする',
+    'welcome.subtitle': 'Google マップと連携したローカル LLM',
+    'welcome.prompts': [
+      '近くのカフェを探す',
+      '近くのレストランを教えて',
+      '台北の観光スポットは？',
+      '近くのガソリンスタンドを探す',
+    ],
+    'chat.thinking': '考え中...',
+    'chat.error': 'エラーが発生しました：{message}',
+    'chat.stopped': '停止しました',
+    'chat.showPlace': 'この場所を表示',
+    'chat.notInResults': '検索結果に見つかりません',
+    'chat.unverified.one': '⚠ この回答の 1 件の情報は検索結果に見つかりませんでした',
+    'chat.unverified.other': '⚠ この回答の {count} 件の情報は検索結果に見つかりませんでした',
+    'chat.replaced': '検索結果から作成した概要です - モデルの回答を確認できませんでした',
+    'chat.rawQuery': 'メッセージをそのまま検索しました - 条件を抽出できませんでした',
+    'chat.template.no_llm': '言語モデルを使わずに作成した概要です',
+    'chat.template.timeout': '言語モデルの応答に時間がかかりすぎたため、結果の概要を表示しています',
+    'chat.template.llm_error': '言語モデルが利用できないため、結果の概要を表示しています',
+    'chat.template.empty': '言語モデルから応答がなかったため、結果の概要を表示しています',
+    'header.connected': '● Ollama 接続中',
+    'header.disconnected': '○ Ollama 未接続',
+    'header.clear': 'チャットを消去',
+    'header.model': '回答',
+    'header.extractionModel': '抽出',
+    'header.defaultModel': '{model}（デフォルト）',
+    'header.preferences': '設定',
+    'profile.title': '検索の好み',
+    'profile.description': 'すべての検索に適用されます。メッセージで指定した条件が優先されます。',
+    'profile.budget': '予算',
+    'profile.priceMax': '{price} 以下',
+    'profile.minRating': '最低評価',
+    'profile.travelMode': 'デフォルトの移動手段',
+    'profile.apply': '条件に合わない場所',
+    'profile.apply.filter': '表示しない',
+    'profile.apply.rerank': '後ろに表示',
+    'profile.any': '指定なし',
+    'profile.mode.walking': '徒歩',
+    'profile.mode.driving': '車',
+    'profile.mode.bicycling': '自転車',
+    'profile.mode.transit': '公共交通機関',
+    'profile.attr.serves_vegetarian_food': 'ベジタリアン対応',
+    'profile.attr.wheelchair_accessible_entrance': '車椅子対応の入口',
+    'profile.attr.dine_in': '店内飲食',
+    'profile.attr.takeout': 'テイクアウト',
+    'profile.attr.delivery': 'デリバリー',
+    'profile.attr.reservable': '予約可',
+    'profile.save': '保存',
+    'profile.close': '閉じる',
+    'profile.saved': '保存しました',
+    'places.none': '場所が見つかりませんでした',
+    'places.found': '{count} 件見つかりました',
+    'places.foundOne': '1 件見つかりました',
+    'places.filtered': '絞り込み：',
+    'places.hidden': '{count} 件を非表示',
+    'places.preferences': 'あなたの好み：{preferences}',
+    'places.preferencesFirst': '優先表示：{preferences}',
+    'places.distanceFrom': '📍 {name}からの距離',
+    'places.distanceFromYou': '📍 現在地からの距離',
+    'places.within': '{distance} 以内',
+    'places.nearestFirst': '近い順',
+    'places.unchecked': '{count} 件は未確認',
+    'places.showMore': 'さらに表示',
+    'places.loadingMore': '読み込み中…',
+    'places.moreExpired': '検索結果の有効期限が切れました。もう一度検索してください。',
+    'input.poweredByGoogle': '候補は Google 提供',
+    'place.openNow': '営業中',
+    'place.closed': '営業時間外',
+    'place.permanentlyClosed': '閉業',
+    'place.reviews': '（{count} 件のレビュー）',
+    'place.away': '📍 {distance}',
+    'place.showMore': 'もっと見る',
+    'place.showLess': '閉じる',
+    'place.website': 'ウェブサイト',
+    'place.openInGoogleMaps': 'Google マップで開く',
+    'place.hours': '営業時間',
+    'place.services': 'サービス',
+    'place.delivery': 'デリバリー',
+    'place.dineIn': '店内飲食',
+    'place.takeout': 'テイクアウト',
+    'place.curbsidePickup': '店頭受け取り',
+    'place.reservable': '予約可',
+    'place.accessibility': 'バリアフリー',
+    'place.wheelchairAccessible': '♿ 車椅子対応',
+    'place.noWheelchairInfo': '車椅子対応の情報なし',
+    'place.categories': 'カテゴリ',
+    'itinerary.stops': '{count} か所',
+    'itinerary.around': '（{area}）',
+    'itinerary.travel': ' · 移動時間 {duration}',
+    'itinerary.notFound': '近くに見つかりませんでした',
+    'itinerary.noRoute': 'ルートが見つかりません',
+    'itinerary.navigate': 'ナビ →',
+    'itinerary.alternatives': '近くの候補：{names}',
+    'compare.rating': '評価',
+    'compare.reviews': 'レビュー数',
+    'compare.price': '価格帯',
+    'compare.hoursToday': '本日の営業時間',
+    'compare.distance': '距離',
+    'reviews.basedOn': '{count} 件のレビュー',
+    'reviews.sentiment': '総合評価',
+    'reviews.pros': '良い点',
+    'reviews.cons': '気になる点',
+  },
+};
+
+/**
+ * Pick the dictionary for a BCP 47 locale ("zh-Hant-TW", "ja-JP", "en-US")
+ */
+function pickLocale(language) {
+  const base = (language || '').toLowerCase().split('-')[0];
+  if (base === 'zh') return 'zh-TW';
+  return MESSAGES[base] ? base : 'en';
+}
+
+// Browser locale, also sent to the backend so replies match
+export const BROWSER_LOCALE = typeof navigator !== 'undefined' ? navigator.language : 'en';
+
+export const locale = pickLocale(BROWSER_LOCALE);
+
+/**
+ * Translate a UI string
+ * @param {string} key - Message key
+ * @param {Object} vars - Values for {placeholders}
+ */
+export function t(key, vars = {}) {
+  const message = MESSAGES[locale][key] ?? MESSAGES.en[key] ?? key;
+  if (typeof message !== 'string') return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
@@ -0,0 +1,70 @@
+// Leaflet is loaded from the CDN on first use
+const LEAFLET_CSS = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
+const LEAFLET_JS = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js';
+
+let leafletPromise = null;
+
+/**
+ * Load Leaflet once, however many maps ask for it
+ * @returns {Promise<Object>} window.L
+ */
+export function loadLeaflet() {
+  if (window.L) return Promise.resolve(window.L);
+  if (leafletPromise) return leafletPromise;
+
+  leafletPromise = new Promise((resolve, reject) => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = LEAFLET_CSS;
+    document.head.appendChild(link);
+
+    const script = document.createElement('script');
+    script.src = LEAFLET_JS;
+    script.onload = () => resolve(window.L);
+    script.onerror = () => {
+      leafletPromise = null;
+      reject(new Error('Failed to load Leaflet'));
+    };
+    document.head.appendChild(script);
+  });
+  return leafletPromise;
+}
+
+/**
+ * Add the OpenStreetMap tile layer to a map
+ */
+export function addTileLayer(L, map) {
+  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+  }).addTo(map);
+}
+
+/**
+ * Decode a Google encoded polyline into [lat, lng] pairs
+ * @param {string} encoded - Encoded polyline (overview_polyline)
+ * @returns {Array<[number, number]>}
+ */
+export function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    for (const axis of ['lat', 'lng']) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20 && index < encoded.length);
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === 'lat') lat += delta;
+      else lng += delta;
+    }
+    points.push([lat / 1e5, lng / 1e5]);
+  }
+  return points;
+}
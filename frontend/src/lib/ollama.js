@@ -1,77 +1,303 @@
+import { BROWSER_LOCALE } from './i18n';
+
 // API configuration - proxied through backend
 const API_HOST = '/api';
-const MODEL = 'phi3:mini'; // Using fast model for quick responses
 
 /**
- * Stream chat from backend (uses JSON extraction + Ollama)
+ * Trim a place to the fields the backend needs to resolve follow-ups
+ * ("the second one", "cheaper ones") without resending full details
+ */
+function compactPlace(place) {
+  return {
+    place_id: place.place_id,
+    name: place.name,
+    formatted_address: place.formatted_address,
+    vicinity: place.vicinity,
+    lat: place.lat,
+    lng: place.lng,
+    rating: place.rating,
+    user_ratings_total: place.user_ratings_total,
+    price_level: place.price_level,
+    open_now: place.opening_hours?.open_now,
+    distance_text: place.distance_text,
+  };
+}
+
+// Reconnects after a dropped chat stream before giving up
+const MAX_RESUME_ATTEMPTS = 3;
+
+/**
+ * Read Server-Sent Events from a fetch response
+ * Heartbeat comments are skipped; frames without data only carry retry.
+ * @returns {AsyncGenerator<{event?: string, id?: string, data?: string, retry?: string}>}
+ */
+async function* readEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let frame = {};
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (line === '') {
+        if (frame.data !== undefined || frame.retry) yield frame;
+        frame = {};
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'data') {
+        frame.data = frame.data === undefined ? fieldValue : `${frame.data}\n${fieldValue}`;
+      } else if (field === 'event' || field === 'id' || field === 'retry') {
+        frame[field] = fieldValue;
+      }
+    }
+  }
+}
+
+/**
+ * Wait before reconnecting, unless the user stops first
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    let timer;
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    // Already stopped: the 'abort' event has fired and won't fire again
+    if (signal?.aborted) return abort();
+    timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+/**
+ * Hand an event to its callback
+ */
+function dispatch(handlers, type, data) {
+  if (type === 'token') handlers.token?.(data.text);
+  else if (type === 'error') handlers.error?.(data.message);
+  else if (type === 'done') handlers.done?.();
+  else if (handlers[type]) handlers[type](data);
+  else handlers.event?.(type, data);
+}
+
+/**
+ * Stream chat from backend
+ * The backend answers with typed events; a dropped connection is resumed
+ * from the last event received (Last-Event-ID).
  * @param {Array} messages - Chat history
- * @param {Function} onChunk - Callback for each chunk of text
- * @param {Function} onError - Callback for errors
+ * @param {Object} handlers - Event callbacks, all optional:
+ *   token(text), error(message), done(), one per payload type (status(data),
+ *   places(data), directions(data), tool_call(data), ...) and event(type, data)
+ *   for payload types without their own callback
  * @param {Object} userLocation - User's location for distance calc {lat, lng}
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Aborts the request (Stop button)
+ * @param {string} options.model - Model for the answer (default: the backend's)
+ * @param {string} options.extractionModel - Model for routing and extraction (default: the backend's)
+ * @param {string} options.conversationId - Stored conversation: only the last message is sent,
+ *   the backend loads the history and saves the turn
  */
-export async function streamChat(messages, onChunk, onError, userLocation = null) {
+export async function streamChat(messages, handlers, userLocation = null, { signal, model, extractionModel, conversationId } = {}) {
+  let streamId = null;
+  let lastEventId = null;
+  let retryMs = 2000;
+  let finished = false;
+
+  // Stop should also stop the backend, which otherwise waits for a resume
+  const cancel = () => {
+    if (streamId && !finished) {
+      fetch(`${API_HOST}/chat/${streamId}`, { method: 'DELETE', keepalive: true }).catch(() => {});
+    }
+  };
+  signal?.addEventListener('abort', cancel, { once: true });
+
   try {
-    // Format messages - backend handles system prompt
+    // Format messages - backend handles system prompt.
+    // Places shown in earlier answers go along so follow-ups can refer to them.
     const formattedMessages = messages.map((msg) => ({
       role: msg.role,
       content: msg.content,
+      ...(msg.places?.length > 0 && { places: msg.places.map(compactPlace) }),
+      ...(!msg.places?.length && msg.placeDetails && { places: [compactPlace(msg.placeDetails)] }),
+      ...(msg.itinerary && {
+        places: msg.itinerary.stops.filter((stop) => stop.place).map((stop) => compactPlace(stop.place)),
+      }),
+      ...(msg.comparison && { places: msg.comparison.places.map(compactPlace) }),
+      ...(msg.reviewSummary?.place && { places: [compactPlace(msg.reviewSummary.place)] }),
+      // Lets "show me more" continue the search
+      ...(msg.nextPage?.cursor && { next_page: msg.nextPage.cursor }),
+      // Suggestions picked while typing: the backend uses their place_id instead of geocoding
+      ...(msg.pickedPlaces?.length > 0 && { picked_places: msg.pickedPlaces }),
     }));
+    const lastMessage = messages[messages.length - 1];
 
-    const response = await fetch(`${API_HOST}/chat`, {
+    let response = await fetch(`${API_HOST}/chat`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        messages: formattedMessages,
+        ...(conversationId
+          ? {
+              conversationId,
+              message: lastMessage.content,
+              ...(lastMessage.pickedPlaces?.length > 0 && { picked_places: lastMessage.pickedPlaces }),
+            }
+          : { messages: formattedMessages }),
         userLocation: userLocation,
+        locale: BROWSER_LOCALE,
+        ...(model && { model }),
+        ...(extractionModel && { extractionModel }),
       }),
+      signal,
     });
 
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (!line.trim() || !line.startsWith('data: ')) continue;
-        const data = line.slice(6);
+    for (let attempt = 0; ; attempt++) {
+      if (!response.ok) {
+        // Validation errors (e.g. a model that was removed) come with a message
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `API error: ${response.status}`);
+      }
+      streamId = response.headers.get('X-Stream-Id') || streamId;
 
-        if (data === '[DONE]') break;
+      try {
+        for await (const frame of readEvents(response)) {
+          if (frame.retry) retryMs = parseInt(frame.retry) || retryMs;
+          if (frame.data === undefined) continue;
+          if (frame.id) lastEventId = frame.id;
 
-        try {
-          const parsed = JSON.parse(data);
-          if (parsed.content) {
-            onChunk(parsed.content);
-          } else if (parsed.type === 'places') {
-            // Pass places data as JSON string for App.jsx to parse
-            onChunk(data);
-          }
-          if (parsed.error) {
-            onError(parsed.error);
+          const type = frame.event || 'message';
+          const data = JSON.parse(frame.data);
+          if (type === 'error' && data.code === 'resume_gap') {
+            throw new Error(data.message);
           }
-        } catch (e) {
-          // Skip invalid JSON
+          if (type === 'done') finished = true;
+          dispatch(handlers, type, data);
+          if (finished) return;
         }
+      } catch (error) {
+        // Network failures surface as TypeError; anything else is final
+        if (!(error instanceof TypeError)) throw error;
       }
+
+      if (!streamId || attempt >= MAX_RESUME_ATTEMPTS) {
+        throw new Error('Connection to the server was lost');
+      }
+      console.warn(`[Chat] Stream interrupted, resuming after ${lastEventId || 'the start'}`);
+      await wait(retryMs, signal);
+      response = await fetch(`${API_HOST}/chat/${streamId}/events`, {
+        headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {},
+        signal,
+      });
     }
   } catch (error) {
-    onError(error.message);
+    // Stopped by the user - not an error
+    if (error.name === 'AbortError') return;
+    handlers.error?.(error.message);
     throw error;
+  } finally {
+    signal?.removeEventListener('abort', cancel);
   }
 }
 
+/**
+ * Create a stored conversation
+ * @param {Object} fields - {title, userLocation} (optional)
+ */
+export async function createConversation(fields = {}) {
+  const response = await fetch(`${API_HOST}/conversations`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  });
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Get a stored conversation with its messages
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object|null>} The conversation, or null when it no longer exists
+ */
+export async function getConversation(id) {
+  const response = await fetch(`${API_HOST}/conversations/${encodeURIComponent(id)}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * List stored conversations, most recent first
+ */
+export async function listConversations() {
+  const response = await fetch(`${API_HOST}/conversations`);
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return (await response.json()).conversations;
+}
+
+/**
+ * Delete a stored conversation
+ * @param {string} id - Conversation id
+ */
+export async function deleteConversation(id) {
+  const response = await fetch(`${API_HOST}/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`API error: ${response.status}`);
+  }
+}
+
+/**
+ * Get the saved preference profile
+ * @returns {Promise<Object>} {price_max, min_rating, attributes, travel_mode, apply}
+ */
+export async function getProfile() {
+  const response = await fetch(`${API_HOST}/profile`);
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Save preference profile fields
+ * @param {Object} fields - Fields to change; the others keep their value
+ * @returns {Promise<Object>} The updated profile
+ */
+export async function saveProfile(fields) {
+  const response = await fetch(`${API_HOST}/profile`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `API error: ${response.status}`);
+  }
+  return response.json();
+}
+
 /**
  * Search for places
  * @param {string} query - Search query
@@ -96,6 +322,44 @@ export async function searchPlaces(query, options = {}) {
   return response.json();
 }
 
+/**
+ * Fetch the next page of a search
+ * @param {string} cursor - next_cursor of a search response, or the cursor of a chat next_page event
+ * @returns {Promise<Object|null>} {results, next_cursor}, or null when the cursor has expired
+ */
+export async function getMorePlaces(cursor) {
+  const params = new URLSearchParams({ cursor });
+
+  const response = await fetch(`${API_HOST}/places/search?${params}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Suggest places for partly typed text
+ * @param {string} input - Text typed so far
+ * @param {Object} options - Request options
+ * @param {string} options.sessionToken - Autocomplete session, one per place being typed
+ * @param {Object} options.userLocation - User's location, to bias suggestions {lat, lng}
+ * @param {AbortSignal} options.signal - Aborts the request when the user keeps typing
+ * @returns {Promise<{predictions: Array, session_token: string}>}
+ */
+export async function autocompletePlaces(input, { sessionToken, userLocation, signal } = {}) {
+  const params = new URLSearchParams({ input, language: BROWSER_LOCALE });
+  if (sessionToken) params.set('sessionToken', sessionToken);
+  if (userLocation?.lat) params.set('userLat', userLocation.lat);
+  if (userLocation?.lng) params.set('userLng', userLocation.lng);
+
+  const response = await fetch(`${API_HOST}/places/autocomplete?${params}`, { signal });
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return response.json();
+}
+
 /**
  * Get detailed information about a place
  * @param {string} placeId - Google Place ID
@@ -113,6 +377,37 @@ export async function getPlaceDetails(placeId, userLocation = null) {
   return response.json();
 }
 
+/**
+ * Summarize what reviewers say about a place
+ * @param {string} placeId - Google Place ID
+ */
+export async function getReviewSummary(placeId) {
+  const params = new URLSearchParams({ placeId });
+
+  const response = await fetch(`${API_HOST}/places/summary?${params}`);
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Compare places side by side
+ * @param {string[]} placeIds - Google Place IDs (2 to 4)
+ * @param {Object} userLocation - User's location for distance calc
+ */
+export async function comparePlaces(placeIds, userLocation = null) {
+  const params = new URLSearchParams({ placeIds: placeIds.join(',') });
+  if (userLocation?.lat) params.set('userLat', userLocation.lat);
+  if (userLocation?.lng) params.set('userLng', userLocation.lng);
+
+  const response = await fetch(`${API_HOST}/places/compare?${params}`);
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return response.json();
+}
+
 /**
  * Geocode an address to coordinates
  * @param {string} address - Address to geocode
@@ -156,17 +451,17 @@ export async function calculateDistance(lat1, lng1, lat2, lng2) {
 }
 
 /**
- * Get list of available models from Ollama directly
+ * Get the models a chat request may pick
+ * @returns {Promise<{provider, defaults: {response, extraction}, models: string[]}|null>}
  */
 export async function getModels() {
   try {
-    const response = await fetch('/ollama/api/tags');
+    const response = await fetch(`${API_HOST}/models`);
     if (!response.ok) throw new Error('Failed to fetch models');
-    const data = await response.json();
-    return data.models || [];
+    return await response.json();
   } catch (error) {
     console.error('Error fetching models:', error);
-    return [];
+    return null;
   }
 }
 